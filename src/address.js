@@ -0,0 +1,279 @@
+/**
+ * Offline address validation — catches typos before they reach a carrier
+ * (and a paid label attempt): ISO country codes, postal code formats,
+ * US/Canadian/Indian state codes, phone and email shapes.
+ *
+ * `validateAddress` returns the normalized address (whitespace collapsed,
+ * codes upper-cased, postal codes in their national format, state names
+ * turned into codes) plus field-level errors and warnings. Errors mean a
+ * carrier would reject the address; warnings are worth a second look.
+ *
+ * Shipment and rate tools run `checkAddresses` on their address arguments
+ * unless called with `skip_address_validation: true`.
+ */
+
+import { ErrorCode, ShipiError } from "./errors.js";
+
+// ─── Reference data ─────────────────────────────────────────────────
+const COUNTRIES = new Set(`
+  AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ
+  CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR
+  GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP
+  KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT
+  MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW
+  SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG
+  UM US UY UZ VA VC VE VG VI VN VU WF WS XK YE YT ZA ZM ZW
+`.trim().split(/\s+/));
+
+// Names and ISO alpha-3 codes people type instead of the alpha-2 code
+const COUNTRY_ALIASES = {
+  USA: "US", "UNITED STATES": "US", "UNITED STATES OF AMERICA": "US", AMERICA: "US",
+  UK: "GB", GBR: "GB", "UNITED KINGDOM": "GB", "GREAT BRITAIN": "GB", ENGLAND: "GB", SCOTLAND: "GB", WALES: "GB",
+  CAN: "CA", CANADA: "CA", IND: "IN", INDIA: "IN", AUS: "AU", AUSTRALIA: "AU", NZL: "NZ", "NEW ZEALAND": "NZ",
+  DEU: "DE", GERMANY: "DE", FRA: "FR", FRANCE: "FR", ITA: "IT", ITALY: "IT", ESP: "ES", SPAIN: "ES",
+  NLD: "NL", NETHERLANDS: "NL", HOLLAND: "NL", IRL: "IE", IRELAND: "IE", MEX: "MX", MEXICO: "MX",
+  CHN: "CN", CHINA: "CN", JPN: "JP", JAPAN: "JP", BRA: "BR", BRAZIL: "BR", SGP: "SG", SINGAPORE: "SG",
+  ARE: "AE", UAE: "AE", "UNITED ARAB EMIRATES": "AE", ZAF: "ZA", "SOUTH AFRICA": "ZA", HKG: "HK", "HONG KONG": "HK",
+};
+
+// Countries whose addresses carry no postal code
+const NO_POSTAL = new Set(`
+  AE AG AO AW BF BI BJ BS BW BZ CD CF CG CI CK CM DJ DM ER FJ GA GD GH GM GN GQ GY HK KI KM KN KP LC LY ML MO MR MW NR
+  NU QA RW SB SC SL SO SR ST SY TF TG TK TL TO TV UG VU YE ZW
+`.trim().split(/\s+/));
+
+// Postal formats: the national pattern plus an optional reformatter for bare input
+const fourDigits = { re: /^\d{4}$/ };
+const fiveDigits = { re: /^\d{5}$/ };
+const sixDigits = { re: /^\d{6}$/ };
+const split = (at, sep) => (v) => {
+  const bare = v.replace(/[\s-]/g, "");
+  return bare.length > at ? `${bare.slice(0, at)}${sep}${bare.slice(at)}` : v;
+};
+
+const POSTAL_FORMATS = {
+  US: { re: /^\d{5}(-\d{4})?$/, format: (v) => (/^\d{9}$/.test(v) ? `${v.slice(0, 5)}-${v.slice(5)}` : v), example: "94105 or 94105-1234" },
+  CA: { re: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/, format: split(3, " "), example: "K1A 0B1" },
+  GB: {
+    re: /^([A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}|GIR 0AA)$/,
+    format: (v) => {
+      const bare = v.replace(/\s/g, "");
+      return bare.length > 3 ? `${bare.slice(0, -3)} ${bare.slice(-3)}` : v;
+    },
+    example: "SW1A 1AA",
+  },
+  IN: { re: /^[1-9]\d{5}$/, example: "110001" },
+  IE: { re: /^([AC-FHKNPRTV-Y]\d{2}|D6W) [0-9AC-FHKNPRTV-Y]{4}$/, format: split(3, " "), example: "D02 X285", optional: true },
+  NL: { re: /^\d{4} [A-Z]{2}$/, format: split(4, " "), example: "1012 AB" },
+  JP: { re: /^\d{3}-\d{4}$/, format: split(3, "-"), example: "100-0001" },
+  BR: { re: /^\d{5}-\d{3}$/, format: split(5, "-"), example: "01310-100" },
+  PL: { re: /^\d{2}-\d{3}$/, format: split(2, "-"), example: "00-950" },
+  PT: { re: /^\d{4}-\d{3}$/, format: split(4, "-"), example: "1000-001" },
+  SE: { re: /^\d{3} \d{2}$/, format: split(3, " "), example: "111 22" },
+  CZ: { re: /^\d{3} \d{2}$/, format: split(3, " "), example: "110 00" },
+  SK: { re: /^\d{3} \d{2}$/, format: split(3, " "), example: "811 01" },
+  IL: { re: /^\d{7}$/, example: "6100000" },
+  TW: { re: /^\d{3}(\d{2,3})?$/, example: "100" },
+  AR: { re: /^([A-Z]\d{4}[A-Z]{3}|\d{4})$/, example: "C1000AAA" },
+};
+for (const c of ["AU", "AT", "BE", "BG", "CH", "CY", "DK", "GE", "HU", "LU", "MK", "NO", "NZ", "PH", "SI", "TN", "ZA", "BD", "AM"]) POSTAL_FORMATS[c] = { ...fourDigits, example: "2000" };
+for (const c of ["DE", "FR", "IT", "ES", "MX", "FI", "MY", "TH", "ID", "TR", "UA", "HR", "EE", "KR", "SA", "EG", "MA", "PK", "LK", "NP", "DZ", "GT", "CR", "UY", "RS", "BA", "ME", "JO", "KW", "MC", "MN"]) POSTAL_FORMATS[c] = { ...fiveDigits, example: "10115" };
+for (const c of ["CN", "SG", "RU", "KZ", "RO", "VN", "BY", "CO", "EC", "NG", "TJ", "TM", "UZ", "KG"]) POSTAL_FORMATS[c] = { ...sixDigits, example: "100000" };
+// Formats that carry a fixed prefix or extra letters in practice
+POSTAL_FORMATS.LT = { re: /^(LT-)?\d{5}$/, example: "LT-01100" };
+POSTAL_FORMATS.LV = { re: /^(LV-)?\d{4}$/, example: "LV-1010" };
+POSTAL_FORMATS.MT = { re: /^[A-Z]{3} ?\d{4}$/, example: "VLT 1117" };
+POSTAL_FORMATS.GR = { re: /^\d{3} ?\d{2}$/, example: "105 57" };
+
+const US_STATES = [
+  ["AL", "Alabama"], ["AK", "Alaska"], ["AZ", "Arizona"], ["AR", "Arkansas"], ["CA", "California"], ["CO", "Colorado"],
+  ["CT", "Connecticut"], ["DE", "Delaware"], ["DC", "District of Columbia"], ["FL", "Florida"], ["GA", "Georgia"],
+  ["HI", "Hawaii"], ["ID", "Idaho"], ["IL", "Illinois"], ["IN", "Indiana"], ["IA", "Iowa"], ["KS", "Kansas"],
+  ["KY", "Kentucky"], ["LA", "Louisiana"], ["ME", "Maine"], ["MD", "Maryland"], ["MA", "Massachusetts"],
+  ["MI", "Michigan"], ["MN", "Minnesota"], ["MS", "Mississippi"], ["MO", "Missouri"], ["MT", "Montana"],
+  ["NE", "Nebraska"], ["NV", "Nevada"], ["NH", "New Hampshire"], ["NJ", "New Jersey"], ["NM", "New Mexico"],
+  ["NY", "New York"], ["NC", "North Carolina"], ["ND", "North Dakota"], ["OH", "Ohio"], ["OK", "Oklahoma"],
+  ["OR", "Oregon"], ["PA", "Pennsylvania"], ["RI", "Rhode Island"], ["SC", "South Carolina"], ["SD", "South Dakota"],
+  ["TN", "Tennessee"], ["TX", "Texas"], ["UT", "Utah"], ["VT", "Vermont"], ["VA", "Virginia"], ["WA", "Washington"],
+  ["WV", "West Virginia"], ["WI", "Wisconsin"], ["WY", "Wyoming"], ["PR", "Puerto Rico"], ["GU", "Guam"],
+  ["VI", "U.S. Virgin Islands"], ["AS", "American Samoa"], ["MP", "Northern Mariana Islands"], ["UM", "U.S. Minor Outlying Islands"],
+  ["AA", "Armed Forces Americas"], ["AE", "Armed Forces Europe"], ["AP", "Armed Forces Pacific"],
+];
+
+const CA_PROVINCES = [
+  ["AB", "Alberta"], ["BC", "British Columbia"], ["MB", "Manitoba"], ["NB", "New Brunswick"],
+  ["NL", "Newfoundland and Labrador"], ["NS", "Nova Scotia"], ["NT", "Northwest Territories"], ["NU", "Nunavut"],
+  ["ON", "Ontario"], ["PE", "Prince Edward Island"], ["QC", "Quebec"], ["SK", "Saskatchewan"], ["YT", "Yukon"],
+];
+
+const IN_STATES = [
+  ["AN", "Andaman and Nicobar Islands"], ["AP", "Andhra Pradesh"], ["AR", "Arunachal Pradesh"], ["AS", "Assam"],
+  ["BR", "Bihar"], ["CH", "Chandigarh"], ["CT", "Chhattisgarh"], ["DH", "Dadra and Nagar Haveli and Daman and Diu"],
+  ["DL", "Delhi"], ["GA", "Goa"], ["GJ", "Gujarat"], ["HR", "Haryana"], ["HP", "Himachal Pradesh"],
+  ["JK", "Jammu and Kashmir"], ["JH", "Jharkhand"], ["KA", "Karnataka"], ["KL", "Kerala"], ["LA", "Ladakh"],
+  ["LD", "Lakshadweep"], ["MP", "Madhya Pradesh"], ["MH", "Maharashtra"], ["MN", "Manipur"], ["ML", "Meghalaya"],
+  ["MZ", "Mizoram"], ["NL", "Nagaland"], ["OR", "Odisha"], ["PY", "Puducherry"], ["PB", "Punjab"], ["RJ", "Rajasthan"],
+  ["SK", "Sikkim"], ["TN", "Tamil Nadu"], ["TG", "Telangana"], ["TR", "Tripura"], ["UP", "Uttar Pradesh"],
+  ["UT", "Uttarakhand"], ["WB", "West Bengal"],
+];
+
+// Older or alternative codes still in common use, and the current code for each
+const SUBDIVISION_ALIASES = {
+  CA: { PQ: "QC", NF: "NL", YK: "YT" },
+  IN: { CG: "CT", OD: "OR", TS: "TG", UK: "UT", DN: "DH", DD: "DH", "NEW DELHI": "DL", ORISSA: "OR", PONDICHERRY: "PY" },
+};
+
+const SUBDIVISIONS = Object.fromEntries(
+  [["US", US_STATES], ["CA", CA_PROVINCES], ["IN", IN_STATES]].map(([country, list]) => [
+    country,
+    {
+      codes: new Set(list.map(([code]) => code)),
+      byName: new Map(list.map(([code, name]) => [name.toUpperCase(), code])),
+    },
+  ]),
+);
+SUBDIVISIONS.CA.byName.set("QUÉBEC", "QC");
+
+// ─── Field checks ───────────────────────────────────────────────────
+const clean = (value) => String(value ?? "").replace(/\s+/g, " ").trim();
+
+/** ISO alpha-2 code for `value`, or null */
+export function normalizeCountry(value) {
+  const v = clean(value).toUpperCase().replace(/\./g, "");
+  if (COUNTRIES.has(v)) return v;
+  return COUNTRY_ALIASES[v] ?? null;
+}
+
+/** Current code for an upper-cased state code, name or older code of a US, CA or IN address; undefined when unknown */
+function stateCode(country, v) {
+  const table = SUBDIVISIONS[country];
+  if (table.codes.has(v)) return v;
+  return table.byName.get(v) ?? SUBDIVISION_ALIASES[country]?.[v];
+}
+
+/** Code of a US, CA or IN state given by code, name or older code; other values uppercased */
+export function normalizeState(country, value) {
+  const v = clean(value).toUpperCase().replace(/\./g, "");
+  if (!SUBDIVISIONS[country]) return v;
+  return stateCode(country, v) ?? v;
+}
+
+function checkState(country, value, report) {
+  const v = clean(value).toUpperCase().replace(/\./g, "");
+  if (!SUBDIVISIONS[country]) return clean(value);
+  if (!v) {
+    report.error("state", `A ${country === "CA" ? "province" : "state"} code is required for ${country} addresses`);
+    return "";
+  }
+  const code = stateCode(country, v);
+  if (code === v) return v;
+  if (code) {
+    report.warning("state", `"${clean(value)}" was replaced by its ${SUBDIVISION_ALIASES[country]?.[v] ? "current " : ""}code ${code}`);
+    return code;
+  }
+  report.error("state", `"${clean(value)}" is not a ${country} ${country === "CA" ? "province" : "state"} code`);
+  return clean(value);
+}
+
+function checkPostal(country, value, report) {
+  const v = clean(value).toUpperCase();
+  if (NO_POSTAL.has(country)) return v;
+  const format = POSTAL_FORMATS[country];
+  if (!v) {
+    if (format && !format.optional) report.error("postal", `A postal code is required for ${country} addresses`);
+    return v;
+  }
+  if (!format) return v;
+  const formatted = format.format ? format.format(v) : v;
+  if (!format.re.test(formatted)) {
+    report.error("postal", `"${v}" is not a valid ${country} postal code (e.g. ${format.example})`);
+    return v;
+  }
+  return formatted;
+}
+
+function checkPhone(country, field, value, report) {
+  const v = clean(value);
+  if (!v) return v;
+  const bare = v.replace(/(?:ext\.?|x)\s*\d+$/i, "").replace(/[\s().-]/g, "");
+  if (!/^\+?\d{7,15}$/.test(bare)) {
+    report.warning(field, `"${v}" does not look like a phone number`);
+  } else if ((country === "US" || country === "CA") && !bare.startsWith("+") && !/^1?\d{10}$/.test(bare)) {
+    report.warning(field, `"${v}" should have 10 digits for ${country}`);
+  }
+  return v;
+}
+
+function checkEmail(value, report) {
+  const v = clean(value);
+  if (!v) return v;
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(v)) {
+    report.warning("email", `"${v}" does not look like an email address`);
+    return v;
+  }
+  const at = v.lastIndexOf("@");
+  return `${v.slice(0, at)}@${v.slice(at + 1).toLowerCase()}`;
+}
+
+// ─── Validation ─────────────────────────────────────────────────────
+/**
+ * Validate and normalize one address. Unknown fields are kept; `phone` and
+ * `mobile` are both checked. Returns { valid, address, errors, warnings }
+ * where errors and warnings are [{ field, message }].
+ */
+export function validateAddress(input = {}) {
+  const errors = [];
+  const warnings = [];
+  const report = {
+    error: (field, message) => errors.push({ field, message }),
+    warning: (field, message) => warnings.push({ field, message }),
+  };
+
+  const address = { ...input };
+  for (const [k, v] of Object.entries(address)) if (typeof v === "string") address[k] = clean(v);
+
+  for (const field of ["address1", "city", "country"]) {
+    if (!address[field]) report.error(field, `${field} is empty`);
+  }
+
+  const country = address.country ? normalizeCountry(address.country) : null;
+  if (address.country && !country) {
+    report.error("country", `"${address.country}" is not an ISO country code (use two letters, e.g. US, GB, IN)`);
+  } else if (country) {
+    if (country !== address.country.toUpperCase()) report.warning("country", `"${address.country}" was replaced by its ISO code ${country}`);
+    address.country = country;
+    if ("state" in address || SUBDIVISIONS[country]) address.state = checkState(country, address.state, report);
+    if ("postal" in address || POSTAL_FORMATS[country]) address.postal = checkPostal(country, address.postal, report);
+  }
+
+  for (const field of ["phone", "mobile"]) {
+    if (address[field]) address[field] = checkPhone(country, field, address[field], report);
+  }
+  if (address.email) address.email = checkEmail(address.email, report);
+
+  return { valid: errors.length === 0, address, errors, warnings };
+}
+
+/**
+ * Validate the addresses under `fields` of a tool's params. Returns the
+ * params with those addresses normalized, plus problems and warnings as
+ * "field.subfield: message" strings.
+ */
+export function checkAddresses(params, fields) {
+  if (params.skip_address_validation) return { params, problems: [], warnings: [] };
+  const out = { ...params };
+  const problems = [];
+  const warnings = [];
+  for (const field of fields) {
+    if (!params[field]) continue;
+    const result = validateAddress(params[field]);
+    out[field] = result.address;
+    problems.push(...result.errors.map((e) => `${field}.${e.field}: ${e.message}`));
+    warnings.push(...result.warnings.map((w) => `${field}.${w.field}: ${w.message}`));
+  }
+  return { params: out, problems, warnings };
+}
+
+export function addressError(problems) {
+  return new ShipiError(ErrorCode.VALIDATION, `Invalid address: ${problems.join("; ")}`, { details: { problems } });
+}
@@ -0,0 +1,205 @@
+/**
+ * Address book lookups for shipments — turn saved addresses and carrier
+ * account records into shipper/recipient blocks, find a saved address by
+ * ID or by (approximate) name or company, and save a new recipient once a
+ * label is bought.
+ */
+
+import { ErrorCode, ShipiError } from "./errors.js";
+import { shipiRequest } from "./shipi.js";
+
+// Field names seen in address book and carrier records, per schema field
+const FIELD_ALIASES = {
+  name: ["name", "contact_name", "person_name"],
+  company: ["company", "company_name"],
+  address1: ["address1", "address_1", "address_line1", "street1", "street"],
+  address2: ["address2", "address_2", "address_line2", "street2"],
+  city: ["city"],
+  state: ["state", "state_code", "province"],
+  postal: ["postal", "postal_code", "zip", "zipcode", "pincode"],
+  country: ["country", "country_code"],
+  phone: ["phone", "mobile", "phone_number"],
+  email: ["email"],
+  tax_id: ["tax_id", "gstin", "vat", "vat_number"],
+};
+
+/**
+ * A shipment address from a record's `<prefix><field>` values, or null
+ * when the record has no street and city.
+ */
+export function addressFromRecord(record, prefix = "") {
+  if (!record || typeof record !== "object") return null;
+  const address = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    for (const alias of aliases) {
+      const value = record[`${prefix}${alias}`];
+      if (value !== undefined && value !== null && value !== "") {
+        address[field] = String(value);
+        break;
+      }
+    }
+  }
+  if (!address.address1 || !address.city) return null;
+  return { name: "", company: "", address2: "", state: "", phone: "", email: "", ...address };
+}
+
+/**
+ * The shipper address on a carrier account record: a nested object, or
+ * flat shipper_* / s_* fields. Null when the account has none.
+ */
+export function shipperFromCarrier(record) {
+  let found = null;
+  const walk = (node) => {
+    if (found || !node || typeof node !== "object") return;
+    for (const prefix of ["shipper_", "s_", ""]) {
+      found = addressFromRecord(node, prefix);
+      if (found) return;
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(record);
+  return found;
+}
+
+/** Address records with an id from a list response */
+function savedRecords(data) {
+  let found = [];
+  const walk = (node) => {
+    if (found.length || !node || typeof node !== "object") return;
+    if (Array.isArray(node) && node.some((item) => item?.id !== undefined && addressFromRecord(item))) {
+      found = node.filter((item) => item?.id !== undefined);
+      return;
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(data);
+  return found;
+}
+
+// ─── Fuzzy lookup ───────────────────────────────────────────────────
+const tokens = (text) => String(text ?? "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").split(/[^a-z0-9]+/).filter(Boolean);
+
+/** True when a and b differ by at most one insertion, deletion or substitution */
+function nearlyEqual(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * How well `query` matches a saved address's name and company, 0-100:
+ * 100 for an exact match, else the share of query words found (exactly,
+ * as a prefix, or with one typo in words of three letters or more).
+ */
+export function matchScore(query, record) {
+  const wanted = tokens(query);
+  if (!wanted.length) return 0;
+  const fields = [record.name, record.company, record.company_name, record.contact_name].filter(Boolean);
+  if (fields.some((f) => tokens(f).join(" ") === wanted.join(" "))) return 100;
+  const have = fields.flatMap(tokens);
+  const matched = wanted.filter((w) => have.some((h) => h === w || (w.length >= 3 && h.startsWith(w)) || (w.length >= 3 && nearlyEqual(w, h))));
+  return Math.round((matched.length / wanted.length) * 90);
+}
+
+const describe = (r) => ({ id: r.id, name: r.name ?? null, company: r.company ?? r.company_name ?? null, city: r.city ?? null, type: r.type ?? null });
+
+/**
+ * The saved address best matching `query` by name or company. Addresses of
+ * `type` win ties; an unmatched or ambiguous query is a validation error
+ * listing the candidates.
+ */
+export function findSaved(query, records, type) {
+  const scored = records
+    .map((record) => ({ record, score: matchScore(query, record) }))
+    .filter((s) => s.score >= 50)
+    .map((s) => ({ ...s, score: s.score + (type && s.record.type === type ? 5 : 0) }))
+    .sort((a, b) => b.score - a.score);
+  if (!scored.length) {
+    throw new ShipiError(ErrorCode.VALIDATION, `No saved address matches "${query}"; use list_addresses to see the address book`);
+  }
+  const best = scored.filter((s) => s.score === scored[0].score);
+  if (best.length > 1) {
+    throw new ShipiError(ErrorCode.VALIDATION, `"${query}" matches ${best.length} saved addresses; pass the address ID instead`, {
+      details: { candidates: best.map((s) => describe(s.record)) },
+    });
+  }
+  return scored[0].record;
+}
+
+// ─── API ────────────────────────────────────────────────────────────
+/**
+ * A saved address by ID (number or numeric string) or by name/company.
+ * Resolves with { id, address }.
+ */
+export async function lookupSaved(ref, account, type) {
+  if (typeof ref === "number" || /^\d+$/.test(String(ref).trim())) {
+    const id = Number(ref);
+    const data = await shipiRequest("api/v1/addresses.php", { action: "get", id }, "GET", account);
+    const address = addressFromRecord(data?.data ?? data?.address ?? data);
+    if (!address) throw new ShipiError(ErrorCode.VALIDATION, `Saved address ${id} was not found or has no street and city`);
+    return { id, address };
+  }
+  const data = await shipiRequest("api/v1/addresses.php", { action: "list" }, "GET", account);
+  const record = findSaved(ref, savedRecords(data), type);
+  return { id: record.id, address: addressFromRecord(record) };
+}
+
+/** Saved addresses matching `search` by name or company, best first */
+export function searchSaved(data, search) {
+  return savedRecords(data)
+    .map((record) => ({ ...record, match_score: matchScore(search, record) }))
+    .filter((r) => r.match_score >= 50)
+    .sort((a, b) => b.match_score - a.match_score);
+}
+
+/**
+ * Save a recipient as a receiver address unless the book already has one
+ * at the same street and postal code. Resolves with { id, saved } or
+ * { error } — the label is already bought, so this never throws.
+ */
+export async function saveRecipient(recipient, account) {
+  const key = (a) => `${tokens(a.address1).join(" ")}|${tokens(a.postal).join("")}`;
+  try {
+    const list = await shipiRequest("api/v1/addresses.php", { action: "list", type: "receiver" }, "GET", account);
+    const existing = savedRecords(list).find((r) => {
+      const a = addressFromRecord(r);
+      return a && key(a) === key(recipient);
+    });
+    if (existing) return { id: existing.id, saved: false, note: "Already in the address book" };
+
+    const data = await shipiRequest("api/v1/addresses.php", {
+      action: "add",
+      type: "receiver",
+      name: recipient.name,
+      company: recipient.company || "",
+      mobile: recipient.phone || "",
+      email: recipient.email || "",
+      address1: recipient.address1,
+      address2: recipient.address2 || "",
+      city: recipient.city,
+      state: recipient.state || "",
+      country: recipient.country,
+      postal: recipient.postal,
+      tax_id: recipient.tax_id || "",
+    }, "POST", account);
+    return { id: data?.id ?? data?.data?.id ?? null, saved: true };
+  } catch (err) {
+    return { error: `Could not save the recipient: ${err.message}` };
+  }
+}
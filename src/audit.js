@@ -0,0 +1,181 @@
+/**
+ * Audit log — one JSON line per call to a tool that changes something
+ * (labels, cancellations, pickups, address book edits, print batches),
+ * appended to SHIPI_AUDIT_LOG (default SHIPI_DATA_DIR/audit.jsonl) and
+ * never rewritten.
+ *
+ * Each entry records when, which tool, which session and client, which
+ * profile/account, the arguments (secrets masked, long text cut), whether
+ * it succeeded, and the order, shipment, tracking number and cost involved.
+ * Dry runs change nothing and are not logged; refused and failed calls are.
+ *
+ * Entries carry the account scope (a hash, never the key) so get_audit_log
+ * only shows a caller its own account's history.
+ */
+
+import { appendFileSync, createReadStream, existsSync, mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import { createInterface } from "node:readline";
+import { AUDIT_LOG } from "./config.js";
+import { ShipiError, redactObject } from "./errors.js";
+import { toNumber } from "./fields.js";
+import { accountScope } from "./idempotency.js";
+import { log } from "./log.js";
+import { labelSummary } from "./shipments.js";
+
+export const AUDITED_TOOLS = [
+  "create_shipment",
+  "create_shipments_batch",
+  "create_return_label",
+  "cancel_shipment",
+  "schedule_pickup",
+  "cancel_pickup",
+  "reschedule_pickup",
+  "add_address",
+  "edit_address",
+  "delete_address",
+  "print_labels",
+];
+const audited = new Set(AUDITED_TOOLS);
+const MAX_TEXT = 500;
+
+/** True for calls that get an audit entry */
+export function isAudited(name, params) {
+  return audited.has(name) && !params?.dry_run;
+}
+
+/** Arguments as logged: keys and tokens masked, long text (CSV uploads) cut */
+function auditArgs(params) {
+  const clean = (value) => {
+    if (Array.isArray(value)) return value.map(clean);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, /token|secret|password/i.test(k) && v ? "[REDACTED]" : clean(v)]));
+    }
+    return typeof value === "string" && value.length > MAX_TEXT ? `${value.slice(0, MAX_TEXT)}… (${value.length} chars)` : value;
+  };
+  return clean(redactObject(params));
+}
+
+/** Cost billed for a label: the response's charge, else the quote it was bought at */
+function labelCost(data) {
+  for (const source of [data, data?.data]) {
+    for (const field of ["total_charge", "shipping_cost", "cost", "amount"]) {
+      const total = toNumber(source?.[field]);
+      if (total !== undefined) return { total, currency: String(source.currency ?? data.estimated_cost?.currency ?? "").toUpperCase() || null };
+    }
+  }
+  return data?.estimated_cost ?? null;
+}
+
+/** Order, shipment, tracking and cost fields for an entry */
+function subjects(name, params, data) {
+  switch (name) {
+    case "create_shipment": {
+      const label = data ? labelSummary(data) : {};
+      return {
+        order_id: params.order_reference ?? null,
+        shipment_id: label.shipment_id ?? null,
+        tracking_number: label.tracking_number ?? null,
+        cost: data ? labelCost(data) : null,
+      };
+    }
+    case "create_return_label": {
+      const label = data ? labelSummary(data) : {};
+      return {
+        order_id: params.order_id ?? data?.return_of?.order_id ?? null,
+        return_for: params.shipment_id ?? data?.return_of?.shipment_id ?? null,
+        shipment_id: label.shipment_id ?? null,
+        tracking_number: label.tracking_number ?? null,
+        cost: data ? labelCost(data) : null,
+      };
+    }
+    case "create_shipments_batch":
+      return {
+        batch_id: data?.batch_id ?? params.batch_id ?? null,
+        labels: (data?.rows || []).filter((r) => r.status === "created").map((r) => ({
+          order_id: r.order_reference,
+          shipment_id: r.shipment_id ?? null,
+          tracking_number: r.tracking_number ?? null,
+        })),
+      };
+    case "cancel_shipment":
+      return { shipment_id: params.shipment_id };
+    case "schedule_pickup":
+      return {
+        order_ids: [...new Set([params.order_id, ...(params.order_ids || [])].filter(Boolean))],
+        pickups: (data?.pickups || []).map((p) => ({ pickup_id: p.pickup_id ?? null, result: p.result, confirmation_number: p.confirmation_number ?? null })),
+      };
+    case "cancel_pickup":
+      return { pickup_id: data?.pickup?.pickup_id ?? params.pickup_id, order_ids: data?.removed_order_ids ?? data?.pickup?.order_ids ?? params.order_ids ?? [] };
+    case "reschedule_pickup":
+      return { pickup_id: data?.previous?.pickup_id ?? params.pickup_id, replaced_by: data?.pickup?.pickup_id ?? null, order_ids: data?.pickup?.order_ids ?? [] };
+    case "print_labels":
+      return { labels: Array.isArray(data?.labels) ? data.labels : [] };
+    default:
+      return { address_id: params.id ?? data?.id ?? data?.data?.id ?? null };
+  }
+}
+
+/**
+ * Append the entry for one tool call. `session` is { id, client, token };
+ * pass the result as `data` or the failure as `error`. Never throws: a full
+ * disk must not turn a bought label into an error.
+ */
+export function recordCall({ name, params, account, session, data, error }) {
+  const entry = {
+    ts: new Date().toISOString(),
+    tool: name,
+    session,
+    profile: account?.profile ?? null,
+    account: account ? accountScope(account) : null,
+    args: auditArgs(params),
+    status: error ? "error" : "success",
+    ...(error && {
+      error: error instanceof ShipiError ? { code: error.code, message: error.message } : { message: String(error?.message || error) },
+    }),
+    ...subjects(name, params, data),
+  };
+  try {
+    mkdirSync(dirname(AUDIT_LOG), { recursive: true });
+    appendFileSync(AUDIT_LOG, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch (err) {
+    log(`Audit log write failed (${AUDIT_LOG}):`, err);
+  }
+}
+
+/**
+ * Entries for this account, newest first, filtered by date_from/date_to
+ * (YYYY-MM-DD, inclusive), tool, order_id, tracking_number and status.
+ * Resolves with { count, entries } — count before `limit`.
+ */
+export async function readAuditLog(params, account) {
+  const scope = accountScope(account);
+  const matches = [];
+  const wanted = (value) => String(value ?? "").toLowerCase();
+  const hasLabel = (entry, field, value) => wanted(entry[field]) === wanted(value)
+    || (entry.labels || []).some((l) => wanted(l[field]) === wanted(value))
+    || (field === "order_id" && (entry.order_ids || []).some((id) => wanted(id) === wanted(value)));
+
+  if (!existsSync(AUDIT_LOG)) return { count: 0, entries: [] };
+  const lines = createInterface({ input: createReadStream(AUDIT_LOG, "utf8"), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // a line cut short by a crash
+    }
+    if (entry.account !== scope) continue;
+    const day = entry.ts.slice(0, 10);
+    if (params.date_from && day < params.date_from) continue;
+    if (params.date_to && day > params.date_to) continue;
+    if (params.tool && entry.tool !== params.tool) continue;
+    if (params.status && entry.status !== params.status) continue;
+    if (params.order_id && !hasLabel(entry, "order_id", params.order_id)) continue;
+    if (params.tracking_number && !hasLabel(entry, "tracking_number", params.tracking_number)) continue;
+    matches.push(entry);
+  }
+  matches.reverse();
+  return { count: matches.length, entries: matches.slice(params.offset, params.offset + params.limit) };
+}
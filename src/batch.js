@@ -0,0 +1,333 @@
+/**
+ * Batch label creation — many orders in one call, a bounded number of
+ * label requests in flight, and resumable: each batch's row results are
+ * kept in batches.json, so re-running it (same orders, or just its
+ * batch_id) only retries the rows that did not get a label.
+ *
+ * Every row goes through purchaseShipment, so per-order idempotency still
+ * applies: a row whose order already has a label replays it.
+ *
+ * CSV column mapping (header names are case-insensitive; spaces and dashes
+ * count as underscores). Rows sharing an order_reference become one
+ * shipment with one product line per row; address and carrier columns are
+ * read from the first row of the group.
+ *
+ *   order_reference                     your order number
+ *   carrier_id, service_code            override the call's defaults
+ *   shipper_<field>, recipient_<field>  field = name, company, address1,
+ *                                       address2, city, state, postal,
+ *                                       country, phone, email, tax_id
+ *   product_name, weight, quantity, price, length, width, height
+ *   hs_code, origin_country, product_description, declared_value
+ *                                       customs line data, per row
+ *   currency, reason_for_export, incoterm, invoice_number
+ *                                       customs details, per order
+ *
+ * shipper_* columns may be left out when the call supplies a default shipper.
+ */
+
+import { REQUIRE_CONFIRMATION } from "./config.js";
+import { parseCsv } from "./csv.js";
+import { ErrorCode, ShipiError, errorSummary } from "./errors.js";
+import * as idempotency from "./idempotency.js";
+import { mapLimit } from "./pool.js";
+import { checkShipment, labelPolicy, labelSummary, purchaseShipment, quoteShipment } from "./shipments.js";
+import { spendToday } from "./policy.js";
+import { JsonStore } from "./store.js";
+
+export const MAX_BATCH_ORDERS = 1000;
+export const ADDRESS_FIELDS = ["name", "company", "address1", "address2", "city", "state", "postal", "country", "phone", "email", "tax_id"];
+const PRODUCT_COLUMNS = {
+  product_name: "name",
+  weight: "weight",
+  quantity: "quantity",
+  price: "price",
+  length: "length",
+  width: "width",
+  height: "height",
+  hs_code: "hs_code",
+  origin_country: "origin_country",
+  product_description: "description",
+  declared_value: "declared_value",
+};
+const TEXT_PRODUCT_FIELDS = new Set(["name", "hs_code", "origin_country", "description"]);
+const CUSTOMS_COLUMNS = ["currency", "reason_for_export", "incoterm", "invoice_number"];
+
+const batches = new JsonStore("batches.json");
+
+// ─── Input normalization ────────────────────────────────────────────
+function addressFromCsv(record, prefix) {
+  const address = {};
+  for (const field of ADDRESS_FIELDS) {
+    const value = record[`${prefix}_${field}`];
+    if (value) address[field] = value;
+  }
+  return Object.keys(address).length ? address : undefined;
+}
+
+function customsFromCsv(record) {
+  const customs = {};
+  for (const column of CUSTOMS_COLUMNS) {
+    if (record[column]) customs[column] = column === "reason_for_export" ? record[column].toLowerCase() : record[column];
+  }
+  return Object.keys(customs).length ? customs : undefined;
+}
+
+function productFromCsv(record, problems) {
+  const product = {};
+  for (const [column, field] of Object.entries(PRODUCT_COLUMNS)) {
+    const value = record[column];
+    if (value === undefined || value === "") continue;
+    if (TEXT_PRODUCT_FIELDS.has(field)) {
+      product[field] = value;
+      continue;
+    }
+    const n = Number(value);
+    if (Number.isFinite(n)) product[field] = n;
+    else problems.push(`row ${record.__row}: ${column} "${value}" is not a number`);
+  }
+  return product;
+}
+
+/** CSV text → orders (rows grouped by order_reference) */
+function ordersFromCsv(csv) {
+  const records = parseCsv(csv);
+  const orders = [];
+  const byReference = new Map();
+
+  for (const record of records) {
+    const ref = record.order_reference || "";
+    let order = ref && byReference.get(ref);
+    if (!order) {
+      order = {
+        order_reference: ref || undefined,
+        carrier_id: record.carrier_id ? Number(record.carrier_id) : undefined,
+        service_code: record.service_code || undefined,
+        shipper: addressFromCsv(record, "shipper"),
+        recipient: addressFromCsv(record, "recipient"),
+        customs: customsFromCsv(record),
+        products: [],
+        rows: [],
+        problems: [],
+      };
+      if (record.carrier_id && !Number.isFinite(order.carrier_id)) {
+        order.problems.push(`row ${record.__row}: carrier_id "${record.carrier_id}" is not a number`);
+      }
+      orders.push(order);
+      if (ref) byReference.set(ref, order);
+    }
+    order.rows.push(record.__row);
+    order.products.push(productFromCsv(record, order.problems));
+  }
+  return orders;
+}
+
+/**
+ * Apply call-level defaults and validate. Returns orders shaped like
+ * create_shipment arguments plus `index`, `rows` and `problems`.
+ */
+export function normalizeOrders({ orders, csv, defaults = {} }) {
+  const raw = csv ? ordersFromCsv(csv) : (orders || []).map((o, i) => ({ ...o, rows: [i + 1], problems: [] }));
+  if (!raw.length) throw new ShipiError(ErrorCode.VALIDATION, "The batch has no orders: pass `orders` or a `csv` with a header row");
+  if (raw.length > MAX_BATCH_ORDERS) {
+    throw new ShipiError(ErrorCode.VALIDATION, `A batch can hold at most ${MAX_BATCH_ORDERS} orders (got ${raw.length}); split it`);
+  }
+
+  return raw.map((order, index) => {
+    const normalized = {
+      index,
+      rows: order.rows,
+      order_reference: order.order_reference,
+      carrier_id: order.carrier_id ?? defaults.carrier_id,
+      service_code: order.service_code ?? defaults.service_code ?? "",
+      shipper: order.shipper ?? defaults.shipper,
+      recipient: order.recipient,
+      products: (order.products || []).map((p) => ({ name: "Package", quantity: 1, price: 0, ...p })),
+      problems: [...order.problems],
+    };
+    const customs = order.customs ?? defaults.customs;
+    if (customs) normalized.customs = customs;
+    if (normalized.carrier_id === undefined) normalized.problems.push("carrier_id is missing (set it per order or as a batch default)");
+    if (!normalized.shipper) normalized.problems.push("shipper is missing (set it per order or as a batch default)");
+    if (!normalized.recipient) normalized.problems.push("recipient is missing");
+    if (normalized.shipper && normalized.recipient) {
+      const checked = checkShipment({ ...normalized, skip_address_validation: defaults.skip_address_validation });
+      normalized.shipper = checked.params.shipper;
+      normalized.recipient = checked.params.recipient;
+      normalized.problems.push(...checked.problems);
+      if (checked.warnings.length) normalized.warnings = checked.warnings;
+    }
+    return normalized;
+  });
+}
+
+/** The part of an order that identifies it (what the label is bought for) */
+function orderPayload(o) {
+  return {
+    order_reference: o.order_reference ?? null,
+    carrier_id: o.carrier_id ?? null,
+    service_code: o.service_code,
+    shipper: o.shipper ?? null,
+    recipient: o.recipient ?? null,
+    products: o.products,
+    ...(o.customs && { customs: o.customs }),
+  };
+}
+
+function summarize(batchId, record) {
+  const rows = record.orders.map((o) => record.results[o.index] || {
+    index: o.index,
+    rows: o.rows,
+    order_reference: o.order_reference ?? null,
+    status: "pending",
+  });
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  const created = count("created");
+  const counts = { total: rows.length, created, failed: count("failed"), invalid: count("invalid"), pending: count("pending") };
+  return {
+    batch_id: batchId,
+    status: created === rows.length ? "completed" : created ? "partial" : "failed",
+    counts,
+    rows,
+    ...(created < rows.length && {
+      resume_hint: `Call create_shipments_batch with batch_id "${batchId}" to retry only the failed rows; invalid rows must be corrected and sent as a new batch`,
+    }),
+  };
+}
+
+// ─── Dry run ────────────────────────────────────────────────────────
+async function previewBatch(batchId, orders, scope, hash, account, concurrency, previous) {
+  const quotes = await mapLimit(orders, concurrency, async (order) => {
+    if (order.problems.length) return null;
+    if (previous?.results[order.index]?.status === "created") return null;
+    const { rate } = await quoteShipment(order, account);
+    return { rate, problems: await labelPolicy(order, rate, account) };
+  });
+
+  const totals = {};
+  const rows = orders.map((order, i) => {
+    const row = {
+      index: order.index,
+      rows: order.rows,
+      order_reference: order.order_reference ?? null,
+      ...(order.warnings && { address_warnings: order.warnings }),
+    };
+    if (order.problems.length) return { ...row, status: "invalid", problems: order.problems };
+    if (previous?.results[order.index]?.status === "created") return { ...row, ...previous.results[order.index], status: "already_created" };
+    const { value, error } = quotes[i];
+    if (error) return { ...row, status: "ok", estimated_cost: null, warning: `Rate lookup failed: ${error.message}` };
+    const { rate, problems } = value;
+    if (problems.length) return { ...row, status: "blocked", problems, estimated_cost: rate ? { total: rate.total, currency: rate.currency } : null };
+    if (rate) totals[rate.currency] = Math.round(((totals[rate.currency] || 0) + rate.total) * 100) / 100;
+    return {
+      ...row,
+      status: "ok",
+      service_code: rate?.service_code ?? order.service_code,
+      estimated_cost: rate ? { total: rate.total, currency: rate.currency } : null,
+      ...(!rate && { warning: "No matching rate returned for this service" }),
+    };
+  });
+
+  // Each row was checked on its own; the day's budget has to cover them all.
+  const warnings = [];
+  const { remaining } = spendToday(account);
+  const total = Object.values(totals).reduce((sum, t) => sum + t, 0);
+  if (remaining !== null && total > remaining) {
+    warnings.push(`The batch is estimated at ${Math.round(total * 100) / 100}, more than the ${remaining} left of today's spend limit; rows past the limit will fail`);
+  }
+
+  const { token, expires_at } = idempotency.issueConfirmation({ scope, hash, rate: null });
+  return {
+    status: "preview",
+    batch_id: batchId,
+    counts: {
+      total: rows.length,
+      to_create: rows.filter((r) => r.status === "ok").length,
+      invalid: rows.filter((r) => r.status === "invalid").length,
+      blocked: rows.filter((r) => r.status === "blocked").length,
+      already_created: rows.filter((r) => r.status === "already_created").length,
+    },
+    estimated_total: totals,
+    ...(warnings.length && { warnings }),
+    rows,
+    confirmation_token: token,
+    confirmation_expires_at: expires_at,
+  };
+}
+
+// ─── Run ────────────────────────────────────────────────────────────
+/**
+ * Create (or resume) a batch. `params` carries orders|csv|batch_id, the
+ * defaults, concurrency, dry_run and confirmation_token.
+ */
+export async function runBatch(params, account) {
+  const scope = idempotency.accountScope(account);
+  let record;
+  let batchId = params.batch_id;
+
+  if (!params.orders && !params.csv) {
+    if (!batchId) throw new ShipiError(ErrorCode.VALIDATION, "Pass `orders`, `csv`, or the `batch_id` of a batch to resume");
+    record = batches.get(batchId);
+    if (!record || record.scope !== scope) throw new ShipiError(ErrorCode.VALIDATION, `Unknown batch_id "${batchId}"`);
+  } else {
+    const orders = normalizeOrders({
+      orders: params.orders,
+      csv: params.csv,
+      defaults: {
+        carrier_id: params.carrier_id,
+        service_code: params.service_code,
+        shipper: params.shipper,
+        customs: params.customs,
+        skip_address_validation: params.skip_address_validation,
+      },
+    });
+    const hash = idempotency.payloadHash(orders.map(orderPayload));
+    batchId = batchId || `batch_${idempotency.payloadHash(`${scope}:${hash}`).slice(0, 12)}`;
+    const existing = batches.get(batchId);
+    if (existing && (existing.scope !== scope || existing.hash !== hash)) {
+      throw new ShipiError(ErrorCode.VALIDATION, `batch_id "${batchId}" belongs to a different set of orders`);
+    }
+    record = existing || { scope, hash, created_at: new Date().toISOString(), confirmed: false, orders, results: {} };
+  }
+
+  if (params.dry_run) {
+    return previewBatch(batchId, record.orders, scope, record.hash, account, params.concurrency, record);
+  }
+
+  // A batch is confirmed once; resuming it later needs no new token.
+  if (REQUIRE_CONFIRMATION && !record.confirmed) {
+    idempotency.checkConfirmation(params.confirmation_token, { scope, hash: record.hash });
+  }
+  record.confirmed = true;
+  batches.set(batchId, record);
+  idempotency.consumeConfirmation(params.confirmation_token);
+
+  const todo = record.orders.filter((o) => record.results[o.index]?.status !== "created");
+  await mapLimit(todo, params.concurrency, async (order) => {
+    const base = { index: order.index, rows: order.rows, order_reference: order.order_reference ?? null, attempted_at: new Date().toISOString() };
+    let result;
+    if (order.problems.length) {
+      result = { ...base, status: "invalid", problems: order.problems };
+    } else {
+      try {
+        // Addresses were checked (or deliberately not) when the batch was normalized.
+        const data = await purchaseShipment({ ...order, skip_address_validation: true }, account, { requireConfirmation: false });
+        result = {
+          ...base,
+          status: "created",
+          ...labelSummary(data),
+          ...(data.commercial_invoice && { commercial_invoice: data.commercial_invoice.path ?? data.commercial_invoice.error }),
+          ...(data.idempotent_replay && { replayed: true }),
+        };
+      } catch (err) {
+        result = { ...base, status: "failed", error: errorSummary(err) };
+      }
+    }
+    // Saved row by row so a crash mid-batch loses nothing already bought.
+    record.results[order.index] = result;
+    record.updated_at = new Date().toISOString();
+    batches.set(batchId, record);
+  });
+
+  return summarize(batchId, record);
+}
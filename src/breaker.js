@@ -0,0 +1,61 @@
+/**
+ * Circuit breaker — fail fast while the Shipi API is down instead of
+ * stacking up requests that will only time out.
+ *
+ *   closed     requests flow; consecutive failures are counted
+ *   open       requests are rejected until the cooldown elapses
+ *   half_open  one probe request is let through; success closes the
+ *              circuit, failure re-opens it for another cooldown
+ */
+
+export class CircuitBreaker {
+  constructor({ threshold = 5, cooldownMs = 30_000, now = Date.now } = {}) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.reset();
+  }
+
+  reset() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probing = false;
+  }
+
+  /**
+   * Whether a request may go out now. In half_open only the first caller
+   * gets through; it must report back via success() or failure().
+   */
+  allow() {
+    if (this.state === "open" && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half_open";
+      this.probing = false;
+    }
+    if (this.state === "closed") return true;
+    if (this.state === "half_open" && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  /** Milliseconds until the circuit will accept a probe request */
+  remainingMs() {
+    if (this.state !== "open") return 0;
+    return Math.max(0, this.cooldownMs - (this.now() - this.openedAt));
+  }
+
+  success() {
+    this.reset();
+  }
+
+  failure() {
+    this.failures++;
+    if (this.state === "half_open" || this.failures >= this.threshold) {
+      this.state = "open";
+      this.openedAt = this.now();
+      this.probing = false;
+    }
+  }
+}
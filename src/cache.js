@@ -0,0 +1,382 @@
+/**
+ * Local cache — a per-account shipment index under SHIPI_DATA_DIR/cache that
+ * is synced incrementally by date and queried offline, plus short-lived
+ * copies of carrier and address book reads.
+ *
+ * A sync pages through shipments created since the last complete sync,
+ * re-reading the last `resync_days` so status changes on recent shipments
+ * are picked up, and upserts them by id. The sync point only moves forward
+ * once every page has been read.
+ *
+ * With SHIPI_CACHE=true, list/get/search results also update the index and
+ * carrier/address reads are served from the cache for SHIPI_CACHE_TTL_MIN.
+ *
+ * Each account has three files: the index and sync state (`<scope>.json`),
+ * the API records behind the index (`<scope>.raw.json`, read only for
+ * reports, include_raw and offline fallbacks) and the TTL reads
+ * (`<scope>.lookups.json`), so a lookup never rewrites the index.
+ */
+
+import { join } from "node:path";
+import { CACHE_ENABLED, CACHE_SYNC_MIN, CACHE_TTL_MIN } from "./config.js";
+import { addDays, formatDate, parseDate, today } from "./dates.js";
+import { ShipiError } from "./errors.js";
+import { firstOf, toNumber } from "./fields.js";
+import { accountScope } from "./idempotency.js";
+import { shipiRequest } from "./shipi.js";
+import { JsonStore } from "./store.js";
+
+const PAGE_SIZE = 100;
+export const MAX_SYNC_PAGES = 100;
+// How far back the first sync reaches when no date_from is given.
+const FIRST_SYNC_DAYS = 90;
+export const SORT_FIELDS = ["created_at", "cost", "recipient", "carrier", "status"];
+
+const stores = new Map();
+
+/** The cache files of one account: { index, raw, lookups } */
+function storesFor(account) {
+  const scope = accountScope(account);
+  if (!stores.has(scope)) {
+    const file = (suffix) => new JsonStore(join("cache", `${scope}${suffix}.json`));
+    const index = file("");
+    // Older versions kept the TTL reads in the index file.
+    if (index.get("lookups")) index.delete("lookups");
+    stores.set(scope, { index, raw: file(".raw"), lookups: file(".lookups") });
+  }
+  return stores.get(scope);
+}
+
+/** One API shipment row reduced to the fields queries use; `raw` keeps the rest */
+export function normalizeShipment(row) {
+  const to = row.recipient ?? row.receiver ?? row.to ?? {};
+  const products = Array.isArray(row.products) ? row.products : [];
+  const party = (fields, nested) => firstOf(row, fields) ?? firstOf(to, nested) ?? null;
+  return {
+    id: String(firstOf(row, ["shipment_id", "id", "del_ref"]) ?? ""),
+    order_id: firstOf(row, ["order_id", "order_reference", "order_number"]) ?? null,
+    tracking_number: firstOf(row, ["tracking_number", "tracking_no", "awb"]) ?? null,
+    carrier: String(firstOf(row, ["carrier", "carrier_type", "carrier_name"]) ?? "").toLowerCase() || null,
+    service: firstOf(row, ["service_name", "service_code", "service"]) ?? null,
+    status: String(firstOf(row, ["status", "shipment_status"]) ?? "").toLowerCase() || null,
+    created_at: firstOf(row, ["created_at", "created", "ship_date", "date"]) ?? null,
+    recipient: {
+      name: party(["t_name", "recipient_name", "to_name", "receiver_name"], ["name"]),
+      company: party(["t_company", "recipient_company", "to_company"], ["company"]),
+      city: party(["t_city", "recipient_city", "to_city"], ["city"]),
+      state: party(["t_state", "recipient_state", "to_state"], ["state"]),
+      postal: party(["t_postal", "recipient_postal", "to_postal"], ["postal", "postal_code", "zip"]),
+      country: party(["t_country", "recipient_country", "to_country"], ["country"]),
+    },
+    cost: toNumber(firstOf(row, ["total_charge", "shipping_cost", "cost", "amount", "total", "rate"])) ?? null,
+    currency: String(firstOf(row, ["currency", "currency_code"]) ?? "").toUpperCase() || null,
+    packages: products.reduce((n, p) => n + (toNumber(firstOf(p, ["prod_quantity", "quantity", "qty"])) ?? 1), 0) || 1,
+    weight: toNumber(firstOf(row, ["total_weight", "weight"]))
+      ?? (products.length ? products.reduce((w, p) => w + (toNumber(firstOf(p, ["prod_weight", "weight"])) ?? 0) * (toNumber(firstOf(p, ["prod_quantity", "quantity", "qty"])) ?? 1), 0) : null),
+    estimated_delivery: firstOf(row, ["estimated_delivery", "promised_date", "delivery_date", "eta"]) ?? null,
+    delivered_at: firstOf(row, ["delivered_at", "delivered_date", "delivery_time"]) ?? null,
+    return_for: firstOf(row, ["return_for", "original_shipment_id"]) ?? null,
+    raw: row,
+  };
+}
+
+/** The shipment record in a get/search response */
+export function shipmentRecord(data) {
+  let record = data?.data ?? data?.shipment ?? data;
+  if (Array.isArray(record)) record = record[0];
+  if (Array.isArray(record?.shipments)) record = record.shipments[0];
+  if (!record || typeof record !== "object") return null;
+  // Some records keep the label request as a JSON string.
+  const meta = typeof record.meta === "string" ? safeJson(record.meta) : record.meta;
+  return { ...(meta && typeof meta === "object" ? meta : {}), ...record };
+}
+
+function safeJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/** Shipment rows anywhere in a list, search or get response */
+function shipmentRows(data) {
+  const rows = [];
+  const looksLikeShipment = (item) => item && typeof item === "object" && !Array.isArray(item)
+    && firstOf(item, ["tracking_number", "tracking_no", "awb", "order_id"]) !== undefined
+    && firstOf(item, ["shipment_id", "id", "del_ref"]) !== undefined;
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      if (node.some(looksLikeShipment)) {
+        rows.push(...node.filter(looksLikeShipment));
+        return;
+      }
+      node.forEach(walk);
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+    if (looksLikeShipment(node)) {
+      rows.push(node);
+      return;
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(data);
+  return rows;
+}
+
+/**
+ * Index API rows, writing each file at most once and not at all when
+ * nothing changed. Returns the number of shipments new to the index.
+ */
+function upsert(files, rows) {
+  const index = files.index.get("shipments") || {};
+  const syncedAt = new Date().toISOString();
+  const raws = [];
+  let added = 0;
+  let changed = false;
+  for (const row of rows) {
+    const { raw, ...shipment } = normalizeShipment(row);
+    if (!shipment.id) continue;
+    const { synced_at, raw: legacyRaw, ...known } = index[shipment.id] ?? {};
+    if (!index[shipment.id]) added++;
+    if (legacyRaw || JSON.stringify(known) !== JSON.stringify(shipment)) {
+      index[shipment.id] = { ...shipment, synced_at: syncedAt };
+      changed = true;
+    }
+    if (JSON.stringify(files.raw.get(shipment.id)) !== JSON.stringify(raw)) raws.push([shipment.id, raw]);
+  }
+  if (changed) files.index.set("shipments", index);
+  if (raws.length) files.raw.setMany(raws);
+  return added;
+}
+
+/** The API record behind an indexed shipment (older index rows carry their own) */
+const rawOf = (files, s) => files.raw.get(s.id) ?? s.raw ?? {};
+
+// ─── Write-through ──────────────────────────────────────────────────
+/** Add the shipments in an API response to the index (SHIPI_CACHE only) */
+export function indexShipments(account, data) {
+  if (!CACHE_ENABLED) return;
+  const rows = shipmentRows(data);
+  if (rows.length) upsert(storesFor(account), rows);
+}
+
+/** Record a cancellation so the index does not wait for the next sync */
+export function markCancelled(account, shipmentId) {
+  const { index: store } = storesFor(account);
+  const index = store.get("shipments");
+  const shipment = index?.[String(shipmentId)];
+  if (!shipment || shipment.status === "cancelled") return;
+  index[String(shipmentId)] = { ...shipment, status: "cancelled" };
+  store.set("shipments", index);
+}
+
+/** A shipment from the index by id or order id, with its API record as `raw`, or undefined */
+export function cachedShipment(account, { id, order_id }) {
+  const files = storesFor(account);
+  const index = files.index.get("shipments") || {};
+  const shipment = id !== undefined && index[String(id)]
+    ? index[String(id)]
+    : order_id !== undefined ? Object.values(index).find((s) => String(s.order_id) === String(order_id)) : undefined;
+  return shipment && { ...shipment, raw: rawOf(files, shipment) };
+}
+
+// ─── TTL reads ──────────────────────────────────────────────────────
+/**
+ * `fetcher()`'s result, served from the cache for CACHE_TTL_MIN under
+ * `key`. Without SHIPI_CACHE this is just `fetcher()`.
+ */
+export async function cachedRead(account, key, fetcher) {
+  if (!CACHE_ENABLED) return fetcher();
+  const { lookups } = storesFor(account);
+  const hit = lookups.get(key);
+  if (hit && Date.now() - Date.parse(hit.at) < CACHE_TTL_MIN * 60_000) return hit.data;
+  const data = await fetcher();
+  lookups.set(key, { at: new Date().toISOString(), data });
+  return data;
+}
+
+/** Drop cached reads whose key starts with `prefix` */
+export function invalidate(account, prefix) {
+  if (!CACHE_ENABLED) return;
+  storesFor(account).lookups.prune((_, key) => key.startsWith(prefix));
+}
+
+// ─── Sync ───────────────────────────────────────────────────────────
+/**
+ * Page through shipments.php list results for `query`, handing `onPage` the
+ * rows (from `extract`) not seen on an earlier page, by `key`. `onPage` may
+ * return false to stop. Resolves with whether the list was read to its end.
+ */
+export async function pageShipments(query, account, { extract, key, maxPages = Infinity }, onPage) {
+  const seen = new Set();
+  for (let page = 1; page <= maxPages; page++) {
+    const data = await shipiRequest("api/v1/shipments.php", { action: "list", page, per_page: PAGE_SIZE, ...query }, "GET", account);
+    const rows = extract(data);
+    const fresh = [];
+    for (const row of rows) {
+      const id = key(row);
+      if (!seen.has(id)) fresh.push(row);
+      seen.add(id);
+    }
+    if (onPage(fresh) === false) return false;
+    // A short page ends the list; so does one with nothing new (an API that ignores `page`).
+    if (rows.length < PAGE_SIZE || !fresh.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Pull shipments into the index, one write per page. Resolves with {
+ * date_from, date_to, fetched, added, complete, indexed, synced_through }.
+ */
+export async function syncShipments(params, account) {
+  const files = storesFor(account);
+  const store = files.index;
+  const state = store.get("sync") || {};
+  const now = parseDate(today());
+  let from = params.date_from;
+  if (!from) {
+    const resyncFrom = addDays(now, -params.resync_days);
+    const last = !params.full && parseDate(state.synced_through);
+    from = formatDate(last ? (last < resyncFrom ? last : resyncFrom) : addDays(now, -FIRST_SYNC_DAYS));
+  }
+
+  let fetched = 0;
+  let added = 0;
+  const complete = await pageShipments({ date_from: from, date_to: params.date_to }, account, {
+    extract: shipmentRows,
+    key: (row) => String(firstOf(row, ["shipment_id", "id", "del_ref"])),
+    maxPages: params.max_pages,
+  }, (rows) => {
+    fetched += rows.length;
+    added += upsert(files, rows);
+  });
+
+  // A bounded (date_to) or partial sync leaves the sync point where it was.
+  const syncedThrough = complete && !params.date_to ? formatDate(now) : state.synced_through ?? null;
+  // The earliest date the index is complete from, for reports over older
+  // periods; a bounded sync only extends it when it reaches the covered range.
+  const contiguous = !params.date_to || (state.synced_from && params.date_to >= state.synced_from);
+  const syncedFrom = complete && contiguous && (!state.synced_from || from < state.synced_from) ? from : state.synced_from ?? null;
+  store.set("sync", { last_sync_at: new Date().toISOString(), synced_through: syncedThrough, synced_from: syncedFrom });
+  return {
+    date_from: from,
+    date_to: params.date_to ?? null,
+    fetched,
+    added,
+    complete,
+    indexed: Object.keys(store.get("shipments") || {}).length,
+    synced_through: syncedThrough,
+    ...(!complete && { warning: `Stopped after ${params.max_pages} pages; call sync_shipments again with a later date_from or more max_pages` }),
+  };
+}
+
+// ─── Query ──────────────────────────────────────────────────────────
+const contains = (value, wanted) => String(value ?? "").toLowerCase().includes(String(wanted).toLowerCase());
+const same = (value, wanted) => String(value ?? "").toLowerCase() === String(wanted).toLowerCase();
+
+function matches(s, f) {
+  const date = parseDate(s.created_at);
+  if (f.q && ![s.id, s.order_id, s.tracking_number, s.recipient.name, s.recipient.company, s.recipient.city].some((v) => contains(v, f.q))) return false;
+  if (f.recipient && !contains(s.recipient.name, f.recipient) && !contains(s.recipient.company, f.recipient)) return false;
+  if (f.city && !same(s.recipient.city, f.city)) return false;
+  if (f.state && !same(s.recipient.state, f.state)) return false;
+  if (f.country && !same(s.recipient.country, f.country)) return false;
+  if (f.carrier && !same(s.carrier, f.carrier)) return false;
+  if (f.service && !contains(s.service, f.service)) return false;
+  if (f.status?.length && !f.status.some((st) => same(s.status, st))) return false;
+  if (f.cost_min !== undefined && !(s.cost >= f.cost_min)) return false;
+  if (f.cost_max !== undefined && !(s.cost !== null && s.cost <= f.cost_max)) return false;
+  if (f.date_from && !(date && date >= parseDate(f.date_from))) return false;
+  if (f.date_to && !(date && date <= parseDate(f.date_to))) return false;
+  return true;
+}
+
+const sortValue = {
+  created_at: (s) => String(s.created_at ?? ""),
+  cost: (s) => s.cost ?? -Infinity,
+  recipient: (s) => String(s.recipient.name ?? "").toLowerCase(),
+  carrier: (s) => s.carrier ?? "",
+  status: (s) => s.status ?? "",
+};
+
+/**
+ * Bring the index up to date per `refresh`: "auto" syncs when the last sync
+ * is older than CACHE_SYNC_MIN (and back-fills when `from` predates what
+ * the index covers), "always" syncs, "never" leaves it. Resolves with
+ * { synced_at, sync } where sync summarizes what was fetched, if anything.
+ * When "auto" cannot reach the API it resolves with { synced_at, stale,
+ * warning } so callers answer from what is indexed; "always" rethrows.
+ */
+export async function refreshIndex(account, { refresh, from }) {
+  const store = storesFor(account).index;
+  const state = store.get("sync") || {};
+  const age = state.last_sync_at ? Date.now() - Date.parse(state.last_sync_at) : Infinity;
+  const runs = [];
+  try {
+    if (refresh === "always" || (refresh === "auto" && age > CACHE_SYNC_MIN * 60_000)) {
+      runs.push(await syncShipments({ resync_days: 7, max_pages: MAX_SYNC_PAGES }, account));
+    }
+    const coveredFrom = store.get("sync")?.synced_from;
+    if (refresh !== "never" && from && coveredFrom && from < coveredFrom) {
+      runs.push(await syncShipments({ date_from: from, date_to: coveredFrom, max_pages: MAX_SYNC_PAGES }, account));
+    }
+  } catch (err) {
+    if (refresh === "always" || !(err instanceof ShipiError && err.retryable)) throw err;
+    const syncedAt = store.get("sync")?.last_sync_at ?? null;
+    return {
+      synced_at: syncedAt,
+      stale: true,
+      warning: `Could not refresh the shipment index (${err.message}); showing what was synced ${syncedAt ? `at ${syncedAt}` : "so far"}`,
+    };
+  }
+  if (!runs.length) return { synced_at: state.last_sync_at ?? null };
+  return {
+    synced_at: store.get("sync").last_sync_at,
+    sync: {
+      fetched: runs.reduce((n, r) => n + r.fetched, 0),
+      added: runs.reduce((n, r) => n + r.added, 0),
+      complete: runs.every((r) => r.complete),
+    },
+  };
+}
+
+/** Every shipment in the index, re-normalized from the stored API record */
+export function indexedShipments(account) {
+  const files = storesFor(account);
+  return Object.values(files.index.get("shipments") || {}).map((s) => ({ ...normalizeShipment(rawOf(files, s)), id: s.id, status: s.status }));
+}
+
+/**
+ * Filter the index, syncing first per `refresh` (see refreshIndex).
+ * Resolves with the page of matches, their count and cost totals per
+ * currency.
+ */
+export async function queryShipments(params, account) {
+  const files = storesFor(account);
+  const { synced_at, sync, stale, warning } = await refreshIndex(account, { refresh: params.refresh, from: params.date_from });
+
+  const all = Object.values(files.index.get("shipments") || {}).filter((s) => matches(s, params));
+  const key = sortValue[params.sort_by];
+  const direction = params.order === "asc" ? 1 : -1;
+  all.sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0) * direction);
+
+  const totals = {};
+  for (const s of all) {
+    if (s.cost === null) continue;
+    const currency = s.currency || "unknown";
+    totals[currency] = Math.round(((totals[currency] || 0) + s.cost) * 100) / 100;
+  }
+  return {
+    source: "cache",
+    synced_at,
+    ...(sync && { sync }),
+    ...(stale && { stale, warnings: [warning] }),
+    ...(!synced_at && { note: "The index is empty; run sync_shipments first" }),
+    matches: all.length,
+    cost_totals: totals,
+    shipments: all.slice(params.offset, params.offset + params.limit).map(({ raw, ...s }) => (params.include_raw ? { ...s, raw: files.raw.get(s.id) ?? raw } : s)),
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Runtime configuration, read once from the environment.
+ */
+
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export const VERSION = "1.0.2";
+
+export const BASE_URL = process.env.SHIPI_BASE_URL || "https://app.myshipi.com";
+export const DEFAULT_KEY = process.env.SHIPI_INTEGRATION_KEY || "";
+
+// Local state (idempotency records, caches, logs) lives here.
+export const DATA_DIR = process.env.SHIPI_DATA_DIR || join(homedir(), ".shipi");
+
+// ─── Profiles ───────────────────────────────────────────────────────
+// Named accounts (integration key + base URL) — see profiles.js.
+export const PROFILES_FILE = process.env.SHIPI_PROFILES_FILE || join(homedir(), ".shipi", "profiles.json");
+export const DEFAULT_PROFILE = process.env.SHIPI_PROFILE || "";
+
+// ─── Shipments ──────────────────────────────────────────────────────
+// Labels are only bought with a confirmation token from a dry run, unless
+// SHIPI_REQUIRE_CONFIRMATION=false.
+export const REQUIRE_CONFIRMATION = !/^(0|false|no|off)$/i.test(process.env.SHIPI_REQUIRE_CONFIRMATION || "");
+export const CONFIRMATION_TTL_MIN = Number(process.env.SHIPI_CONFIRMATION_TTL_MIN) || 10;
+// How long a completed create_shipment is remembered for replay.
+export const IDEMPOTENCY_TTL_HOURS = Number(process.env.SHIPI_IDEMPOTENCY_TTL_HOURS) || 168;
+
+// ─── Units ──────────────────────────────────────────────────────────
+// What the label and rates APIs expect when a carrier account declares no units.
+export const API_UNITS = {
+  weight: (process.env.SHIPI_WEIGHT_UNIT || "lb").toLowerCase(),
+  dimension: (process.env.SHIPI_DIMENSION_UNIT || "in").toLowerCase(),
+};
+
+// ─── Packing ────────────────────────────────────────────────────────
+// Box catalog for `pack: true` and pack_products — see packing.js.
+export const BOX_CATALOG = process.env.SHIPI_BOX_CATALOG || join(DATA_DIR, "boxes.json");
+
+// ─── Rate shopping ──────────────────────────────────────────────────
+// Default business rules for shop_rates; each can be overridden per call.
+const csvList = (value) => (value || "").split(",").map((v) => v.trim().toLowerCase()).filter(Boolean);
+export const RATE_RULES = {
+  excluded_carriers: csvList(process.env.SHIPI_EXCLUDED_CARRIERS),
+  preferred_carriers: csvList(process.env.SHIPI_PREFERRED_CARRIERS),
+  max_cost: Number(process.env.SHIPI_MAX_RATE) || undefined,
+};
+
+// ─── Policy ─────────────────────────────────────────────────────────
+// Guardrails enforced on every client — see policy.js.
+export const POLICY = {
+  read_only: /^(1|true|yes|on)$/i.test(process.env.SHIPI_READ_ONLY || ""),
+  max_label_cost: Number(process.env.SHIPI_MAX_LABEL_COST) || undefined,
+  daily_spend_limit: Number(process.env.SHIPI_DAILY_SPEND_LIMIT) || undefined,
+  allowed_carriers: csvList(process.env.SHIPI_ALLOWED_CARRIERS),
+  allowed_services: csvList(process.env.SHIPI_ALLOWED_SERVICES),
+  blocked_countries: csvList(process.env.SHIPI_BLOCKED_COUNTRIES),
+  confirm_destructive: !/^(0|false|no|off)$/i.test(process.env.SHIPI_CONFIRM_DESTRUCTIVE || ""),
+};
+
+// ─── Pickups ────────────────────────────────────────────────────────
+// Latest time (shipper's local time) a same-day pickup can be booked, per
+// carrier, as `carrier=HH:MM` pairs overriding the defaults in pickups.js;
+// `carrier=none` disallows same-day pickups. E.g. `fedex=16:00,ups=none`.
+export const PICKUP_CUTOFFS = new Map(
+  [...parsePairs(process.env.SHIPI_PICKUP_CUTOFFS || "")]
+    .map(([carrier, time]) => [carrier.toLowerCase(), time.toLowerCase()])
+    .filter(([, time]) => /^(\d{1,2}:\d{2}|none)$/.test(time)),
+);
+// How many days ahead a pickup can be booked.
+export const PICKUP_MAX_DAYS = Number(process.env.SHIPI_PICKUP_MAX_DAYS) || 10;
+
+// The pickup API's cancel call. Unset, bookings are never cancelled or
+// changed: cancel_pickup and reschedule_pickup refuse, and orders for a
+// carrier that is already coming get a pickup of their own.
+export const PICKUP_CANCEL_ENDPOINT = process.env.SHIPI_PICKUP_CANCEL_ENDPOINT || "";
+
+// The label API's call that marks labels printed. Unset, print_labels
+// marks nothing and the same labels come up in the next batch.
+export const MARK_PRINTED_ENDPOINT = process.env.SHIPI_MARK_PRINTED_ENDPOINT || "";
+
+// ─── Audit ──────────────────────────────────────────────────────────
+// Append-only JSONL record of every call that changes something — see audit.js.
+export const AUDIT_LOG = process.env.SHIPI_AUDIT_LOG || join(DATA_DIR, "audit.jsonl");
+
+// ─── Local cache ────────────────────────────────────────────────────
+// SHIPI_CACHE=true serves carrier and address book reads from a local cache
+// for SHIPI_CACHE_TTL_MIN minutes and keeps the shipment index current from
+// list/get/search results. sync_shipments and query_shipments work either way.
+export const CACHE_ENABLED = /^(1|true|yes|on)$/i.test(process.env.SHIPI_CACHE || "");
+export const CACHE_TTL_MIN = Number(process.env.SHIPI_CACHE_TTL_MIN) || 10;
+// query_shipments syncs first when the index is older than this.
+export const CACHE_SYNC_MIN = Number(process.env.SHIPI_CACHE_SYNC_MIN) || 15;
+
+// ─── Resilience ─────────────────────────────────────────────────────
+export const REQUEST_TIMEOUT_MS = Number(process.env.SHIPI_TIMEOUT_MS) || 30_000;
+
+/**
+ * Per-endpoint timeouts keyed by endpoint prefix; the longest matching prefix
+ * wins. Override or extend with SHIPI_ENDPOINT_TIMEOUTS as `prefix=ms` pairs,
+ * e.g. `label_api/=90000,api/v1/stats.php=60000`.
+ */
+export const ENDPOINT_TIMEOUTS = new Map([
+  ["label_api/", 60_000],
+  ["rates_api/", 45_000],
+  ["pickup_api/", 45_000],
+  ...[...parsePairs(process.env.SHIPI_ENDPOINT_TIMEOUTS || "")]
+    .map(([prefix, ms]) => [prefix, Number(ms)])
+    .filter(([, ms]) => ms > 0),
+]);
+
+export const MAX_RETRIES = Number(process.env.SHIPI_MAX_RETRIES ?? 2);
+export const RETRY_BASE_MS = Number(process.env.SHIPI_RETRY_BASE_MS) || 500;
+export const RETRY_MAX_DELAY_MS = Number(process.env.SHIPI_RETRY_MAX_DELAY_MS) || 10_000;
+
+// Consecutive upstream failures before the circuit opens, and how long it stays open.
+export const BREAKER_THRESHOLD = Number(process.env.SHIPI_BREAKER_THRESHOLD) || 5;
+export const BREAKER_COOLDOWN_MS = Number(process.env.SHIPI_BREAKER_COOLDOWN_MS) || 30_000;
+
+// ─── Transport ──────────────────────────────────────────────────────
+// "stdio" (default) or "http"; `--http` on the command line also selects http.
+export const TRANSPORT = process.argv.includes("--http")
+  ? "http"
+  : (process.env.SHIPI_TRANSPORT || "stdio").toLowerCase();
+
+export const HTTP_HOST = process.env.SHIPI_HTTP_HOST || "127.0.0.1";
+export const HTTP_PORT = Number(process.env.SHIPI_HTTP_PORT) || 3000;
+
+// Idle HTTP sessions are closed after this many minutes without a request.
+export const HTTP_SESSION_TTL_MIN = Number(process.env.SHIPI_HTTP_SESSION_TTL) || 30;
+
+/**
+ * Bearer token → profile name or integration key, from SHIPI_HTTP_TOKENS as
+ * comma-separated `token=profile` / `token=integration_key` pairs. Empty map
+ * means the bearer token itself is used as the integration key.
+ */
+export const HTTP_TOKENS = parsePairs(process.env.SHIPI_HTTP_TOKENS || "");
+
+/** Parse comma-separated `name=value` pairs into a Map */
+function parsePairs(raw) {
+  const map = new Map();
+  for (const pair of raw.split(",")) {
+    const idx = pair.indexOf("=");
+    if (idx <= 0) continue;
+    const name = pair.slice(0, idx).trim();
+    const value = pair.slice(idx + 1).trim();
+    if (name && value) map.set(name, value);
+  }
+  return map;
+}
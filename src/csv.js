@@ -0,0 +1,81 @@
+/**
+ * CSV — RFC 4180 parsing (quoted fields, embedded commas, quotes and line
+ * breaks) and serialization. No dependency; inputs are chat-sized.
+ */
+
+/** Parse CSV text into an array of rows (arrays of strings) */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+/** Normalize a header cell: lower case, spaces and dashes to underscores */
+export function normalizeHeader(name) {
+  return name.trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by normalized header.
+ * Each object also carries `__row`, its 1-based position among data rows.
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const keys = header.map(normalizeHeader);
+  return rows.map((cells, i) => {
+    const record = { __row: i + 1 };
+    keys.forEach((k, j) => {
+      if (k) record[k] = (cells[j] ?? "").trim();
+    });
+    return record;
+  });
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Serialize objects to CSV using `columns` (defaults to the first row's keys) */
+export function toCsv(records, columns = Object.keys(records[0] || {})) {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const record of records) lines.push(columns.map((c) => escapeCell(record[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,231 @@
+/**
+ * International shipments — decide when a shipment crosses a customs
+ * border, check the customs data that carriers require for it (HS code,
+ * country of origin, description and declared value per product; currency,
+ * reason for export and incoterm per shipment) and produce the commercial
+ * invoice that travels with the parcel.
+ *
+ * Invoices are written as PDF under SHIPI_DATA_DIR/invoices and returned
+ * as embedded resources.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { basename, join } from "node:path";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { normalizeCountry } from "./address.js";
+import { DATA_DIR } from "./config.js";
+import { today } from "./dates.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import { printable } from "./labels.js";
+
+export const INCOTERMS = ["DAP", "DDP", "DDU", "EXW", "FCA", "CPT", "CIP", "FOB", "CIF", "CFR"];
+export const EXPORT_REASONS = ["sale", "gift", "sample", "return", "repair", "personal_use", "documents", "other"];
+export const INVOICE_DIR = join(DATA_DIR, "invoices");
+
+// One customs territory each: no declaration between members.
+const CUSTOMS_UNIONS = [
+  new Set("AT BE BG HR CY CZ DK EE FI FR DE GR HU IE IT LV LT LU MT NL PL PT RO SK SI ES SE MC".split(" ")),
+  new Set(["US", "PR"]),
+];
+
+// Destinations where customs routinely hold parcels without the recipient's tax ID
+const RECIPIENT_TAX_ID_COUNTRIES = new Set(["BR", "CL", "CN", "ID", "IN", "KR", "MX", "TR", "ZA", "AR"]);
+
+/** True when shipper and recipient are in different customs territories */
+export function isInternational(shipper, recipient) {
+  const from = normalizeCountry(shipper?.country);
+  const to = normalizeCountry(recipient?.country);
+  if (!from || !to || from === to) return false;
+  return !CUSTOMS_UNIONS.some((union) => union.has(from) && union.has(to));
+}
+
+/** Declared value of one unit: declared_value, else price */
+const unitValue = (p) => p.declared_value ?? p.price ?? 0;
+
+/**
+ * Customs problems and warnings for a shipment ({ shipper, recipient,
+ * products, customs }). Domestic shipments have none.
+ */
+export function checkCustoms({ shipper, recipient, products, customs = {} }) {
+  const problems = [];
+  const warnings = [];
+  if (!isInternational(shipper, recipient)) return { international: false, problems, warnings };
+
+  if (!/^[A-Z]{3}$/i.test(customs.currency || "")) problems.push("customs.currency is required for international shipments (ISO code, e.g. USD)");
+  if (!customs.reason_for_export) problems.push(`customs.reason_for_export is required for international shipments (${EXPORT_REASONS.join(", ")})`);
+  products.forEach((p, i) => {
+    const hs = String(p.hs_code ?? "").replace(/[.\s]/g, "");
+    if (!hs) problems.push(`products[${i}].hs_code is required for international shipments`);
+    else if (!/^\d{6,10}$/.test(hs)) problems.push(`products[${i}].hs_code "${p.hs_code}" must be 6 to 10 digits`);
+    if (!p.origin_country) problems.push(`products[${i}].origin_country is required for international shipments`);
+    else if (!normalizeCountry(p.origin_country)) problems.push(`products[${i}].origin_country "${p.origin_country}" is not an ISO country code`);
+    if (!(p.description || (p.name && p.name !== "Package"))) {
+      problems.push(`products[${i}].description is required for international shipments (what the item is, not "Package")`);
+    }
+    if (!(unitValue(p) > 0) && customs.reason_for_export !== "documents") {
+      problems.push(`products[${i}].declared_value (or price) must be greater than 0`);
+    }
+  });
+
+  const to = normalizeCountry(recipient.country);
+  if (RECIPIENT_TAX_ID_COUNTRIES.has(to) && !recipient.tax_id) {
+    warnings.push(`Customs in ${to} usually require the recipient's tax ID; set recipient.tax_id`);
+  }
+  if (!shipper.tax_id) warnings.push("shipper.tax_id (EORI/VAT/GSTIN/EIN) is not set; some carriers require it for export");
+  if (!customs.incoterm) warnings.push("customs.incoterm not set; DAP (recipient pays duties) is assumed");
+  return { international: true, problems, warnings };
+}
+
+export function customsError(problems) {
+  return new ShipiError(ErrorCode.VALIDATION, `Invalid customs data: ${problems.join("; ")}`, { details: { problems } });
+}
+
+/** Customs line items with totals, as used in meta and on the invoice */
+export function customsLines(products) {
+  return products.map((p) => {
+    const quantity = p.quantity || 1;
+    const value = unitValue(p);
+    return {
+      description: p.description || p.name,
+      hs_code: String(p.hs_code ?? "").replace(/[.\s]/g, ""),
+      origin_country: normalizeCountry(p.origin_country) ?? p.origin_country ?? "",
+      quantity,
+      unit_value: value,
+      total_value: Math.round(value * quantity * 100) / 100,
+      weight: p.weight,
+    };
+  });
+}
+
+/** Customs summary for an international shipment */
+export function customsSummary({ products, customs = {} }) {
+  const lines = customsLines(products);
+  return {
+    currency: (customs.currency || "").toUpperCase(),
+    incoterm: customs.incoterm || "DAP",
+    reason_for_export: customs.reason_for_export,
+    invoice_number: customs.invoice_number || null,
+    declared_total: Math.round(lines.reduce((sum, l) => sum + l.total_value, 0) * 100) / 100,
+    lines,
+  };
+}
+
+// ─── Commercial invoice ─────────────────────────────────────────────
+const LETTER = [612, 792];
+
+// Line item columns: heading, x, and whether the column is right-aligned (x is then its right edge)
+const INVOICE_COLUMNS = [
+  ["Description", 40, false],
+  ["HS code", 250, false],
+  ["Origin", 310, false],
+  ["Qty", 375, true],
+  ["Weight", 425, true],
+  ["Unit value", 497, true],
+  ["Total value", 572, true],
+];
+
+const partyLines = (a) => [
+  a.name,
+  a.company,
+  a.address1,
+  a.address2,
+  [a.city, a.state, a.postal].filter(Boolean).join(" "),
+  a.country,
+  a.phone && `Tel: ${a.phone}`,
+  a.email,
+  a.tax_id && `Tax ID: ${a.tax_id}`,
+].filter(Boolean);
+
+/** Commercial invoice as a PDF (Letter, more pages for long item lists); resolves with its bytes */
+export async function renderInvoice({ shipper, recipient, products, customs = {}, invoice_number, tracking_number, date }) {
+  const summary = customsSummary({ products, customs });
+  const money = (n) => `${n.toFixed(2)} ${summary.currency}`;
+  const doc = await PDFDocument.create();
+  doc.setTitle(`Commercial Invoice ${invoice_number}`);
+  const [font, bold] = await Promise.all([doc.embedFont(StandardFonts.Helvetica), doc.embedFont(StandardFonts.HelveticaBold)]);
+  const [width, height] = LETTER;
+  const margin = 40;
+  let page;
+  let y;
+  const newPage = () => {
+    page = doc.addPage(LETTER);
+    y = height - margin;
+  };
+  // cells: [text, x, right-aligned?]
+  const row = (cells, { size = 9, f = font, gap = 13 } = {}) => {
+    if (y < margin + gap) newPage();
+    for (const [value, x, right] of cells) {
+      const text = printable(value);
+      page.drawText(text, { x: right ? x - f.widthOfTextAtSize(text, size) : x, y, size, font: f, color: rgb(0, 0, 0) });
+    }
+    y -= gap;
+  };
+  const rule = () => {
+    page.drawLine({ start: { x: margin, y: y + 9 }, end: { x: width - margin, y: y + 9 }, thickness: 0.5 });
+    y -= 4;
+  };
+
+  newPage();
+  row([["Commercial Invoice", margin]], { size: 18, f: bold, gap: 28 });
+  const meta = [
+    ["Invoice number", invoice_number],
+    ["Date", date],
+    tracking_number && ["Tracking number", tracking_number],
+    ["Reason for export", summary.reason_for_export],
+    ["Incoterm", summary.incoterm],
+    ["Currency", summary.currency],
+  ].filter(Boolean);
+  for (const [label, value] of meta) row([[label, margin], [value, margin + 110]]);
+
+  y -= 12;
+  row([["Shipper / Exporter", margin], ["Consignee", width / 2]], { size: 10, f: bold, gap: 15 });
+  const from = partyLines(shipper);
+  const to = partyLines(recipient);
+  for (let i = 0; i < Math.max(from.length, to.length); i++) row([[from[i] ?? "", margin], [to[i] ?? "", width / 2]]);
+
+  y -= 16;
+  row(INVOICE_COLUMNS, { f: bold });
+  rule();
+  for (const l of summary.lines) {
+    const cells = [String(l.description ?? "").slice(0, 40), l.hs_code, l.origin_country, l.quantity, l.weight, money(l.unit_value), money(l.total_value)];
+    row(cells.map((value, i) => [value, INVOICE_COLUMNS[i][1], INVOICE_COLUMNS[i][2]]));
+  }
+  rule();
+  row([["Total declared value", INVOICE_COLUMNS[5][1], true], [money(summary.declared_total), INVOICE_COLUMNS[6][1], true]], { f: bold });
+
+  y -= 36;
+  row([["I declare that the information on this invoice is true and correct.", margin]], { gap: 36 });
+  row([["Signature: ______________________", margin], [`Name: ${shipper.name ?? ""}`, margin + 230]]);
+  return Buffer.from(await doc.save());
+}
+
+/** MCP embedded-resource content block for an invoice file */
+export function invoiceContent(path, bytes) {
+  return { type: "resource", resource: { uri: `shipi://invoices/${basename(path)}`, mimeType: "application/pdf", blob: bytes.toString("base64") } };
+}
+
+/**
+ * Write the commercial invoice for a shipment. Resolves with {
+ * invoice_number, path, declared_total, currency, content } — content is
+ * the PDF as an embedded resource.
+ */
+export async function writeInvoice(shipment) {
+  const date = today();
+  const invoiceNumber = shipment.customs?.invoice_number
+    || `CI-${shipment.tracking_number || shipment.order_reference || Date.now().toString(36)}`;
+  const bytes = await renderInvoice({ ...shipment, invoice_number: invoiceNumber, date });
+  mkdirSync(INVOICE_DIR, { recursive: true });
+  const path = join(INVOICE_DIR, `${invoiceNumber.replace(/[^\w.-]+/g, "_")}.pdf`);
+  writeFileSync(path, bytes, { mode: 0o600 });
+  const summary = customsSummary(shipment);
+  return { invoice_number: invoiceNumber, path, declared_total: summary.declared_total, currency: summary.currency, content: invoiceContent(path, bytes) };
+}
+
+/** A written invoice ({ path, … }) with its PDF read back as content; without it if the file is gone */
+export function readInvoice(invoice) {
+  try {
+    return { ...invoice, content: invoiceContent(invoice.path, readFileSync(invoice.path)) };
+  } catch {
+    return invoice;
+  }
+}
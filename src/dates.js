@@ -0,0 +1,65 @@
+/**
+ * Calendar helpers on plain `YYYY-MM-DD` dates (UTC, no time of day).
+ */
+
+const DAY_MS = 86_400_000;
+
+/** Today's date as YYYY-MM-DD */
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Parse YYYY-MM-DD (or any ISO timestamp) to a UTC midnight Date, or null.
+ * Dates that do not exist (2026-13-45, 2026-02-30) are null rather than
+ * rolled over into the next month.
+ */
+export function parseDate(value) {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (Number.isNaN(date.getTime()) || formatDate(date) !== match[0]) return null;
+  return date;
+}
+
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** `date` plus `days` calendar days (negative to go back) */
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+export function isWeekend(date) {
+  const day = date.getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/** `date` plus `days` business days (Mon–Fri) */
+export function addBusinessDays(date, days) {
+  const out = new Date(date.getTime());
+  let left = days;
+  while (left > 0) {
+    out.setTime(out.getTime() + DAY_MS);
+    if (!isWeekend(out)) left--;
+  }
+  return out;
+}
+
+/** Business days from `from` to `to` (0 when `to` is not after `from`) */
+export function businessDaysBetween(from, to) {
+  let count = 0;
+  const cursor = new Date(from.getTime());
+  while (cursor < to) {
+    cursor.setTime(cursor.getTime() + DAY_MS);
+    if (!isWeekend(cursor)) count++;
+  }
+  return count;
+}
+
+/** Whole calendar days from `from` to `to` (negative when `to` is earlier) */
+export function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
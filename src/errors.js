@@ -0,0 +1,132 @@
+/**
+ * Error model — every failed Shipi call surfaces as a ShipiError with a
+ * stable code, and tools report it as an MCP result with `isError: true`.
+ */
+
+export const ErrorCode = Object.freeze({
+  AUTH_FAILED: "auth_failed",
+  VALIDATION: "validation",
+  CARRIER_REJECTED: "carrier_rejected",
+  RATE_LIMITED: "rate_limited",
+  UPSTREAM_UNAVAILABLE: "upstream_unavailable",
+  TIMEOUT: "timeout",
+  CONFLICT: "conflict",
+  POLICY_DENIED: "policy_denied",
+});
+
+const RETRYABLE = new Set([ErrorCode.RATE_LIMITED, ErrorCode.UPSTREAM_UNAVAILABLE, ErrorCode.TIMEOUT]);
+
+// Endpoints that hand the payload to a carrier; an API-level rejection there
+// is the carrier saying no rather than a malformed request.
+const CARRIER_ENDPOINTS = /^(label_api|rates_api|pickup_api|cancel_api)\//;
+
+export class ShipiError extends Error {
+  /**
+   * @param {string} code one of ErrorCode
+   * @param {string} message
+   * @param {{ status?: number, requestId?: string, retryAfter?: number, details?: object }} [info]
+   */
+  constructor(code, message, { status, requestId, retryAfter, details } = {}) {
+    super(redact(message));
+    this.name = "ShipiError";
+    this.code = code;
+    this.status = status;
+    this.requestId = requestId;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+
+  get retryable() {
+    return RETRYABLE.has(this.code);
+  }
+
+  toJSON() {
+    const error = { code: this.code, message: this.message, retryable: this.retryable };
+    if (this.status) error.http_status = this.status;
+    if (this.requestId) error.request_id = this.requestId;
+    if (this.retryAfter !== undefined) error.retry_after = this.retryAfter;
+    if (this.details) error.details = redactObject(this.details);
+    return { status: "error", error };
+  }
+}
+
+/** Map an HTTP status to an error code */
+export function codeForStatus(status) {
+  if (status === 401 || status === 403) return ErrorCode.AUTH_FAILED;
+  if (status === 408 || status === 504) return ErrorCode.TIMEOUT;
+  if (status === 429) return ErrorCode.RATE_LIMITED;
+  if (status >= 500) return ErrorCode.UPSTREAM_UNAVAILABLE;
+  return ErrorCode.VALIDATION;
+}
+
+/** Map an API `status: "error"` message to an error code */
+export function codeForMessage(message, endpoint = "") {
+  const text = String(message || "");
+  if (/unauthori[sz]ed|forbidden|invalid (integration|api) key|integration key/i.test(text)) {
+    return ErrorCode.AUTH_FAILED;
+  }
+  if (/rate limit|too many requests/i.test(text)) return ErrorCode.RATE_LIMITED;
+  if (CARRIER_ENDPOINTS.test(endpoint)) return ErrorCode.CARRIER_REJECTED;
+  return ErrorCode.VALIDATION;
+}
+
+// Configured keys and tokens; any literal occurrence is masked by redact().
+const secrets = new Set();
+
+/** Remember a secret so redact() masks it wherever it appears */
+export function registerSecret(value) {
+  // Very short values would mask ordinary words; real keys are long.
+  if (typeof value === "string" && value.length >= 8) secrets.add(value);
+}
+
+/** Mask integration keys and tokens in free text (URLs, log lines, upstream messages) */
+export function redact(text) {
+  let out = String(text);
+  for (const secret of secrets) out = out.split(secret).join("[REDACTED]");
+  return out
+    .replace(/(integrat(?:ion|ed)_key["']?\s*[=:]\s*["']?)[^&\s"',}]+/gi, "$1[REDACTED]")
+    .replace(/(Bearer\s+)[^\s"',}]+/gi, "$1[REDACTED]");
+}
+
+/** Deep-copy an object with any integration key fields masked */
+export function redactObject(value) {
+  if (Array.isArray(value)) return value.map(redactObject);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = /^(integrat(ion|ed)_key|authorization)$/i.test(k) ? "[REDACTED]" : redactObject(v);
+    }
+    return out;
+  }
+  return typeof value === "string" ? redact(value) : value;
+}
+
+/** Format API result for MCP text content */
+export function toText(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+const ATTACHMENTS = Symbol("attachments");
+
+/** Tool data plus MCP content blocks (files, images) sent after the JSON text */
+export function withAttachments(data, content) {
+  return Object.defineProperty({ ...data }, ATTACHMENTS, { value: content });
+}
+
+/** { code, message } of an error, for per-item results; other exceptions count as upstream_unavailable */
+export function errorSummary(err) {
+  return err instanceof ShipiError ? { code: err.code, message: err.message } : { code: ErrorCode.UPSTREAM_UNAVAILABLE, message: String(err?.message || err) };
+}
+
+/** Successful tool result */
+export function toolResult(data) {
+  return { content: [{ type: "text", text: toText(data) }, ...(data?.[ATTACHMENTS] || [])] };
+}
+
+/** Failed tool result; non-Shipi exceptions are reported as upstream_unavailable */
+export function errorResult(err) {
+  const error = err instanceof ShipiError
+    ? err
+    : new ShipiError(ErrorCode.UPSTREAM_UNAVAILABLE, err?.message || String(err));
+  return { isError: true, content: [{ type: "text", text: toText(error.toJSON()) }] };
+}
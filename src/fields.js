@@ -0,0 +1,24 @@
+/**
+ * API field helpers — Shipi responses name the same value differently per
+ * endpoint and carrier (tracking_number, tracking_no, awb) and send numbers
+ * as strings ("12.50", "12.50 USD"). Every module reading responses picks
+ * values out of them with these.
+ */
+
+/** The first of `fields` set on `obj` — not undefined, null, "" or an object — else undefined */
+export function firstOf(obj, fields) {
+  for (const f of fields) {
+    const value = obj?.[f];
+    if (value !== undefined && value !== null && value !== "" && typeof value !== "object") return value;
+  }
+  return undefined;
+}
+
+/** The number in `value` (12.5, "12.50", "12.50 USD"), else undefined */
+export function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+  if (typeof value !== "string") return undefined;
+  const bare = value.replace(/[^\d.-]/g, "");
+  const n = Number(bare);
+  return /\d/.test(bare) && Number.isFinite(n) ? n : undefined;
+}
@@ -0,0 +1,212 @@
+/**
+ * HTTP transport — one shared server for many MCP clients.
+ *
+ * Endpoints:
+ *   POST/GET/DELETE /mcp        Streamable HTTP (current MCP spec)
+ *   GET /sse + POST /messages   legacy HTTP+SSE transport for older clients
+ *   GET /health                 liveness probe, no auth
+ *
+ * Every request must carry `Authorization: Bearer <token>`. The token is
+ * mapped to a profile or integration key (see HTTP_TOKENS in config.js) and
+ * handed to tools through `extra.authInfo`, so each request is billed to its
+ * own Shipi account. A session stays bound to the token that opened it.
+ */
+
+import { createServer as createHttpServer } from "node:http";
+import { createHash, randomUUID } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { HTTP_HOST, HTTP_PORT, HTTP_SESSION_TTL_MIN, HTTP_TOKENS, VERSION } from "./config.js";
+import { log } from "./log.js";
+import { accountForToken } from "./profiles.js";
+import { createServer } from "./server.js";
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/** sessionId → { transport, server, kind, tokenHash, lastSeen } */
+const sessions = new Map();
+
+// ─── Helpers ────────────────────────────────────────────────────────
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function jsonRpcError(res, status, message, code = -32000) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code, message }, id: null });
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Map the request's bearer token onto an AuthInfo carrying the account
+ * (profile or raw integration key) it stands for. Returns null when the
+ * token is missing or unknown.
+ */
+function authenticate(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!match) return null;
+  const token = match[1].trim();
+  const mapped = HTTP_TOKENS.size ? HTTP_TOKENS.get(token) : token;
+  if (!mapped) return null;
+  return {
+    token,
+    clientId: hashToken(token).slice(0, 12),
+    scopes: [],
+    extra: { account: accountForToken(mapped) },
+  };
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new Error("Request body too large");
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8");
+  return text ? JSON.parse(text) : undefined;
+}
+
+/** Look up a session and check it belongs to the caller's token */
+function getSession(sessionId, auth, kind) {
+  const session = sessionId && sessions.get(sessionId);
+  if (!session || session.kind !== kind) return null;
+  if (session.tokenHash !== hashToken(auth.token)) return null;
+  session.lastSeen = Date.now();
+  return session;
+}
+
+async function openSession(transport, kind, auth) {
+  const server = createServer();
+  await server.connect(transport);
+  return { transport, server, kind, tokenHash: hashToken(auth.token), lastSeen: Date.now() };
+}
+
+// ─── Streamable HTTP ────────────────────────────────────────────────
+async function handleMcp(req, res, auth) {
+  const sessionId = req.headers["mcp-session-id"];
+
+  if (req.method === "POST") {
+    const body = await readJsonBody(req);
+    const existing = getSession(sessionId, auth, "streamable");
+    if (existing) {
+      await existing.transport.handleRequest(req, res, body);
+      return;
+    }
+    if (sessionId || !isInitializeRequest(body)) {
+      jsonRpcError(res, sessionId ? 404 : 400, sessionId ? "Session not found" : "No valid session ID provided");
+      return;
+    }
+
+    let session;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, session);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+    session = await openSession(transport, "streamable", auth);
+    await transport.handleRequest(req, res, body);
+    return;
+  }
+
+  if (req.method === "GET" || req.method === "DELETE") {
+    const existing = getSession(sessionId, auth, "streamable");
+    if (!existing) {
+      jsonRpcError(res, 404, "Session not found");
+      return;
+    }
+    await existing.transport.handleRequest(req, res);
+    return;
+  }
+
+  res.writeHead(405, { Allow: "GET, POST, DELETE" }).end();
+}
+
+// ─── Legacy SSE ─────────────────────────────────────────────────────
+async function handleSse(req, res, auth) {
+  const transport = new SSEServerTransport("/messages", res);
+  const session = await openSession(transport, "sse", auth);
+  sessions.set(transport.sessionId, session);
+  res.on("close", () => {
+    sessions.delete(transport.sessionId);
+    session.server.close().catch(() => {});
+  });
+}
+
+async function handleSseMessage(req, res, auth, url) {
+  const session = getSession(url.searchParams.get("sessionId"), auth, "sse");
+  if (!session) {
+    jsonRpcError(res, 404, "Session not found");
+    return;
+  }
+  await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+}
+
+// ─── Router ─────────────────────────────────────────────────────────
+async function route(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  if (url.pathname === "/health" && req.method === "GET") {
+    sendJson(res, 200, { status: "ok", version: VERSION, sessions: sessions.size });
+    return;
+  }
+
+  const auth = authenticate(req);
+  if (!auth) {
+    sendJson(res, 401, { error: "Missing or invalid bearer token" }, { "WWW-Authenticate": "Bearer" });
+    return;
+  }
+  req.auth = auth;
+
+  if (url.pathname === "/mcp") return handleMcp(req, res, auth);
+  if (url.pathname === "/sse" && req.method === "GET") return handleSse(req, res, auth);
+  if (url.pathname === "/messages" && req.method === "POST") return handleSseMessage(req, res, auth, url);
+
+  sendJson(res, 404, { error: "Not found" });
+}
+
+/** Close sessions that have been idle longer than the configured TTL */
+function sweepIdleSessions() {
+  const cutoff = Date.now() - HTTP_SESSION_TTL_MIN * 60_000;
+  for (const [id, session] of sessions) {
+    if (session.lastSeen < cutoff) {
+      sessions.delete(id);
+      session.transport.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Start the HTTP server. Resolves with the node http.Server once listening.
+ */
+export function startHttpServer({ host = HTTP_HOST, port = HTTP_PORT } = {}) {
+  const httpServer = createHttpServer((req, res) => {
+    route(req, res).catch((err) => {
+      log("HTTP request failed:", err.message);
+      if (!res.headersSent) {
+        const status = err instanceof SyntaxError ? 400 : 500;
+        jsonRpcError(res, status, status === 400 ? "Parse error" : "Internal server error", status === 400 ? -32700 : -32603);
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  const sweeper = setInterval(sweepIdleSessions, 60_000);
+  sweeper.unref();
+  httpServer.on("close", () => clearInterval(sweeper));
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => resolve(httpServer));
+  });
+}
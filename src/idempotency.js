@@ -0,0 +1,149 @@
+/**
+ * Duplicate-purchase protection for create_shipment.
+ *
+ * Idempotency records (persisted in idempotency.json) remember each label
+ * purchase by key so a retried call replays the first result instead of
+ * buying a second label. Confirmation tokens (in memory, short-lived) tie a
+ * purchase to the exact payload a dry run previewed.
+ *
+ * Records and tokens are scoped to the account — a hash of base URL and key,
+ * never the key itself.
+ */
+
+import { createHash, randomBytes } from "node:crypto";
+import { CONFIRMATION_TTL_MIN, IDEMPOTENCY_TTL_HOURS } from "./config.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import { JsonStore } from "./store.js";
+import { timeoutFor } from "./shipi.js";
+
+const records = new JsonStore("idempotency.json");
+const confirmations = new Map();
+
+/** JSON with object keys sorted, so equal payloads hash equally */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+
+export function payloadHash(payload) {
+  return sha256(stableStringify(payload));
+}
+
+/** Opaque per-account scope */
+export function accountScope(account) {
+  return sha256(`${account.baseUrl}\n${account.key}`).slice(0, 16);
+}
+
+/**
+ * Idempotency key for a purchase: the caller's own key if given, else the
+ * order reference plus payload hash, else the payload hash alone.
+ */
+export function deriveKey({ supplied, orderReference, hash }) {
+  if (supplied) return supplied;
+  if (orderReference) return `order:${orderReference}:${hash.slice(0, 16)}`;
+  return `payload:${hash.slice(0, 32)}`;
+}
+
+function pruneExpired() {
+  const cutoff = Date.now() - IDEMPOTENCY_TTL_HOURS * 3_600_000;
+  records.prune((r) => Date.parse(r.created_at) < cutoff);
+}
+
+/**
+ * Previous purchase attempt for this key, or undefined. A pending record
+ * that outlived any possible request (e.g. the process died mid-call) is
+ * reported as unknown.
+ */
+export function lookup(scope, key) {
+  pruneExpired();
+  const record = records.get(`${scope}:${key}`);
+  if (record?.status === "pending") {
+    const maxAge = timeoutFor("label_api/create_shipment.php") * 4;
+    if (Date.now() - Date.parse(record.created_at) > maxAge) return { ...record, status: "unknown" };
+  }
+  return record;
+}
+
+export function begin(scope, key, info = {}) {
+  records.set(`${scope}:${key}`, { ...info, status: "pending", created_at: new Date().toISOString() });
+}
+
+export function complete(scope, key, result) {
+  const record = records.get(`${scope}:${key}`) || {};
+  records.set(`${scope}:${key}`, { ...record, status: "completed", completed_at: new Date().toISOString(), result });
+}
+
+/**
+ * Record a failed attempt. A definite rejection forgets the key so the call
+ * can be retried; an unknown outcome (timeout, dropped connection) keeps it
+ * so a retry cannot silently buy a second label.
+ */
+export function fail(scope, key, { outcomeUnknown }) {
+  if (!outcomeUnknown) {
+    records.delete(`${scope}:${key}`);
+    return;
+  }
+  const record = records.get(`${scope}:${key}`) || {};
+  records.set(`${scope}:${key}`, { ...record, status: "unknown", failed_at: new Date().toISOString() });
+}
+
+/** Error for a key that is in flight or whose earlier outcome is unknown */
+export function conflictError(key, record) {
+  const message = record.status === "pending"
+    ? `A create_shipment call with idempotency key "${key}" is still in progress`
+    : `A previous create_shipment call with idempotency key "${key}" did not report a result; the label may have been created. Check search_shipments before retrying with a new idempotency_key`;
+  return new ShipiError(ErrorCode.CONFLICT, message, { details: { idempotency_key: key, started_at: record.created_at } });
+}
+
+// ─── Confirmation tokens ────────────────────────────────────────────
+function pruneConfirmations() {
+  const now = Date.now();
+  for (const [token, entry] of confirmations) {
+    if (entry.expiresAt <= now) confirmations.delete(token);
+  }
+}
+
+/** Issue a token that authorizes purchasing exactly this payload */
+export function issueConfirmation({ scope, hash, rate }) {
+  pruneConfirmations();
+  const token = `cfm_${randomBytes(16).toString("hex")}`;
+  const expiresAt = Date.now() + CONFIRMATION_TTL_MIN * 60_000;
+  confirmations.set(token, { scope, hash, rate, expiresAt });
+  return { token, expires_at: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Throw unless `token` was issued for this account and payload and is still
+ * valid; `changed` words the error for a token from a different payload.
+ */
+export function checkConfirmation(token, { scope, hash, changed = "Shipment details changed since the dry_run" }) {
+  pruneConfirmations();
+  if (!token) {
+    throw new ShipiError(
+      ErrorCode.VALIDATION,
+      "confirmation_token is required: make the same call with dry_run: true, review the cost, then repeat it with the returned confirmation_token",
+    );
+  }
+  const entry = confirmations.get(token);
+  if (!entry || entry.scope !== scope) {
+    throw new ShipiError(ErrorCode.VALIDATION, "confirmation_token is invalid or expired; run a new dry_run");
+  }
+  if (entry.hash !== hash) {
+    throw new ShipiError(ErrorCode.VALIDATION, `${changed}; run a new dry_run to confirm the new payload`);
+  }
+  return entry;
+}
+
+export function consumeConfirmation(token) {
+  if (token) confirmations.delete(token);
+}
+
+/** Put back a token consumed by a purchase that definitely did not happen */
+export function restoreConfirmation(token, entry) {
+  if (token && entry.expiresAt > Date.now()) confirmations.set(token, entry);
+}
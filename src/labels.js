@@ -0,0 +1,345 @@
+/**
+ * Label files — download labels, convert image labels to PDF, and merge a
+ * page of unprinted labels into one print-ready PDF with a pick list in
+ * front. Labels that make it into a print batch are marked printed.
+ *
+ * Formats are recognized by content, not by URL: PDF, PNG, JPEG and ZPL.
+ * ZPL goes straight to a thermal printer, so it is returned as text and
+ * never merged. Print batches are written under SHIPI_DATA_DIR/labels.
+ */
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import fetch from "node-fetch";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { DATA_DIR, MARK_PRINTED_ENDPOINT } from "./config.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import { firstOf } from "./fields.js";
+import { mapLimit } from "./pool.js";
+import { shipiRequest, timeoutFor } from "./shipi.js";
+
+export const PRINT_DIR = join(DATA_DIR, "labels");
+export const MAX_LABEL_BYTES = 10 * 1024 * 1024;
+
+// 4×6 in thermal label, in PDF points
+const LABEL_PAGE = [288, 432];
+const LETTER = [612, 792];
+
+export const FORMATS = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpeg: "image/jpeg",
+  zpl: "application/x-zpl",
+};
+
+/** Label rows from a fetch_labels response, reduced to what printing needs */
+export function extractLabels(data) {
+  const rows = [];
+  const urlFields = ["label_url", "label_link", "label_path", "label"];
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      if (node.some((item) => item && typeof item === "object" && typeof firstOf(item, urlFields) === "string")) {
+        for (const item of node) if (item && typeof item === "object") rows.push(item);
+        return;
+      }
+      node.forEach(walk);
+      return;
+    }
+    if (node && typeof node === "object") Object.values(node).forEach(walk);
+  };
+  walk(data);
+
+  return rows
+    .map((l) => {
+      const products = Array.isArray(l.products) ? l.products : [];
+      return {
+        shipment_id: firstOf(l, ["shipment_id", "id", "del_ref"]) ?? null,
+        order_id: firstOf(l, ["order_id", "order_reference", "order_number"]) ?? null,
+        tracking_number: firstOf(l, ["tracking_number", "tracking_no", "awb"]) ?? null,
+        carrier: firstOf(l, ["carrier", "carrier_type", "carrier_name"]) ?? null,
+        service: firstOf(l, ["service_name", "service_code", "service"]) ?? null,
+        recipient: firstOf(l, ["t_name", "recipient_name", "to_name", "receiver_name"]) ?? null,
+        items: products.map((p) => ({
+          name: firstOf(p, ["prod_name", "name", "title"]) ?? "Item",
+          quantity: Number(firstOf(p, ["prod_quantity", "quantity", "qty"]) ?? 1),
+        })),
+        label_url: firstOf(l, urlFields),
+      };
+    })
+    .filter((l) => typeof l.label_url === "string");
+}
+
+/** Label format from the file's first bytes, else the content type; null if unknown */
+export function detectFormat(bytes, contentType = "") {
+  const head = bytes.subarray(0, 8);
+  if (head.toString("latin1", 0, 4) === "%PDF") return "pdf";
+  if (head[0] === 0x89 && head.toString("latin1", 1, 4) === "PNG") return "png";
+  if (head[0] === 0xff && head[1] === 0xd8) return "jpeg";
+  if (/^\s*\^XA/.test(bytes.subarray(0, 64).toString("latin1"))) return "zpl";
+  const type = contentType.toLowerCase();
+  return Object.keys(FORMATS).find((f) => type.includes(f)) ?? (type.includes("jpg") ? "jpeg" : null);
+}
+
+/**
+ * Download one label file. Relative URLs resolve against the account's API;
+ * the integration key is only ever sent to that host.
+ * Resolves with { bytes, format, mimeType }.
+ */
+export async function downloadLabel(labelUrl, account) {
+  const url = new URL(labelUrl, `${account.baseUrl}/`);
+  if (!/^https?:$/.test(url.protocol)) throw new ShipiError(ErrorCode.VALIDATION, `Unsupported label URL scheme: ${url.protocol}`);
+  const headers = {};
+  if (url.origin === new URL(account.baseUrl).origin && account.key) headers.Authorization = `Bearer ${account.key}`;
+
+  const timeoutMs = timeoutFor("label_api/");
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let response;
+  let bytes;
+  try {
+    response = await fetch(url.href, { headers, signal: controller.signal, size: MAX_LABEL_BYTES });
+    bytes = Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    if (err.name === "AbortError") throw new ShipiError(ErrorCode.TIMEOUT, `Label download timed out after ${timeoutMs}ms`);
+    if (err.type === "max-size") throw new ShipiError(ErrorCode.VALIDATION, `Label file is larger than ${MAX_LABEL_BYTES} bytes`);
+    throw new ShipiError(ErrorCode.UPSTREAM_UNAVAILABLE, `Label download failed: ${err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!response.ok) {
+    throw new ShipiError(response.status >= 500 ? ErrorCode.UPSTREAM_UNAVAILABLE : ErrorCode.VALIDATION, `HTTP ${response.status} downloading label`, { status: response.status });
+  }
+  const format = detectFormat(bytes, response.headers.get("content-type") || "");
+  if (!format) throw new ShipiError(ErrorCode.UPSTREAM_UNAVAILABLE, "Label file is not a PDF, PNG, JPEG or ZPL label");
+  return { bytes, format, mimeType: FORMATS[format] };
+}
+
+// ─── PDF ────────────────────────────────────────────────────────────
+/** Add a label to `doc`: PDF pages are copied, images get a 4×6 page each */
+async function appendLabel(doc, { bytes, format }) {
+  if (format === "pdf") {
+    const source = await PDFDocument.load(bytes, { ignoreEncryption: true });
+    const pages = await doc.copyPages(source, source.getPageIndices());
+    pages.forEach((page) => doc.addPage(page));
+    return pages.length;
+  }
+  const image = format === "png" ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+  // Landscape images are rotated onto the portrait label page.
+  const landscape = image.width > image.height;
+  const [w, h] = LABEL_PAGE;
+  const page = doc.addPage(LABEL_PAGE);
+  const { width, height } = image.scaleToFit(landscape ? h : w, landscape ? w : h);
+  if (landscape) {
+    page.drawImage(image, { x: (w + height) / 2, y: (h - width) / 2, width, height, rotate: { type: "degrees", angle: 90 } });
+  } else {
+    page.drawImage(image, { x: (w - width) / 2, y: (h - height) / 2, width, height });
+  }
+  return 1;
+}
+
+/** One label as a PDF; PDFs are returned as they are */
+export async function toPdf(label) {
+  if (label.format === "pdf") return label.bytes;
+  const doc = await PDFDocument.create();
+  await appendLabel(doc, label);
+  return Buffer.from(await doc.save());
+}
+
+// Standard fonts only cover WinAnsi; anything else prints as "?".
+export const printable = (value) => String(value ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+/** Pick list pages, inserted before the labels: one row per label, then totals per item */
+function drawPickList(doc, font, bold, labels, createdAt) {
+  const [width, height] = LETTER;
+  const margin = 40;
+  let page;
+  let y;
+  let next = 0;
+  const newPage = () => {
+    page = doc.insertPage(next++, LETTER);
+    y = height - margin;
+  };
+  const line = (text, { size = 9, x = margin, f = font, gap = 13 } = {}) => {
+    if (y < margin + gap) newPage();
+    page.drawText(printable(text).slice(0, 110), { x, y, size, font: f, color: rgb(0, 0, 0) });
+    y -= gap;
+  };
+
+  newPage();
+  line("Pick list", { size: 16, f: bold, gap: 22 });
+  line(`${labels.length} label(s) - ${createdAt}`, { gap: 20 });
+  labels.forEach((l, i) => {
+    const head = [`${i + 1}.`, l.order_id && `Order ${l.order_id}`, l.recipient, [l.carrier, l.service].filter(Boolean).join(" "), l.tracking_number].filter(Boolean);
+    line(head.join("   "), { f: bold });
+    for (const item of l.items) line(`${item.quantity} x ${item.name}`, { x: margin + 18 });
+    y -= 4;
+  });
+
+  const totals = new Map();
+  for (const l of labels) for (const item of l.items) totals.set(item.name, (totals.get(item.name) || 0) + item.quantity);
+  if (totals.size) {
+    y -= 8;
+    line("Items to pick", { size: 12, f: bold, gap: 18 });
+    for (const [name, quantity] of [...totals].sort((a, b) => a[0].localeCompare(b[0]))) line(`${quantity} x ${name}`);
+  }
+  page.drawLine({ start: { x: margin, y: margin - 10 }, end: { x: width - margin, y: margin - 10 }, thickness: 0.5 });
+}
+
+/**
+ * Merge downloaded labels into one PDF, pick list first. A label file that
+ * cannot be read is left out rather than failing the batch. Resolves with
+ * { bytes, pages, pick_list_pages, merged, failed } where merged holds the
+ * labels in the PDF and failed holds { label, error } for the rest.
+ */
+export async function mergeLabels(labels, { pickList = true } = {}) {
+  const doc = await PDFDocument.create();
+  const createdAt = new Date().toISOString().slice(0, 16).replace("T", " ");
+  doc.setTitle(`Labels ${createdAt}`);
+  const merged = [];
+  const failed = [];
+  for (const label of labels) {
+    try {
+      await appendLabel(doc, label.file);
+      merged.push(label);
+    } catch (error) {
+      failed.push({ label, error });
+    }
+  }
+  const labelPages = doc.getPageCount();
+  if (pickList && merged.length) {
+    const [font, bold] = await Promise.all([doc.embedFont(StandardFonts.Helvetica), doc.embedFont(StandardFonts.HelveticaBold)]);
+    drawPickList(doc, font, bold, merged, createdAt);
+  }
+  return {
+    bytes: Buffer.from(await doc.save()),
+    pages: doc.getPageCount(),
+    pick_list_pages: doc.getPageCount() - labelPages,
+    merged,
+    failed,
+  };
+}
+
+// ─── Tools ──────────────────────────────────────────────────────────
+/** MCP embedded-resource content block for a label file */
+export function labelContent(name, { bytes, format, mimeType }) {
+  const uri = `shipi://labels/${encodeURIComponent(name)}.${format}`;
+  return format === "zpl"
+    ? { type: "resource", resource: { uri, mimeType, text: bytes.toString("utf8") } }
+    : { type: "resource", resource: { uri, mimeType, blob: bytes.toString("base64") } };
+}
+
+const labelName = (l) => String(l.tracking_number ?? l.shipment_id ?? l.order_id ?? "label");
+
+/** Download each label with bounded concurrency; failures are kept per label */
+async function downloadAll(labels, account, concurrency) {
+  const files = await mapLimit(labels, concurrency, (l) => downloadLabel(l.label_url, account));
+  return labels.map((label, i) => ({ ...label, file: files[i].value, error: files[i].error }));
+}
+
+/**
+ * Labels to act on: the given shipment ids/tracking numbers from the
+ * listing, or one page of it.
+ */
+async function selectLabels(params, account) {
+  const data = await shipiRequest("label_api/fetch_labels.php", {
+    page: params.page,
+    limit: params.limit,
+    printed: params.printed,
+  }, "GET", account);
+  let labels = extractLabels(data);
+  if (params.ids?.length) {
+    const wanted = new Set(params.ids.map(String));
+    labels = labels.filter((l) => wanted.has(String(l.shipment_id)) || wanted.has(String(l.tracking_number)));
+  }
+  return labels;
+}
+
+/**
+ * Download labels as files. Resolves with { labels, content } where
+ * `content` holds one embedded resource per label (as PDF when
+ * `format: "pdf"`).
+ */
+export async function downloadLabels(params, account) {
+  const labels = await downloadAll(await selectLabels(params, account), account, params.concurrency);
+  const content = [];
+  const summary = [];
+  for (const l of labels) {
+    const { file, error, items: _items, ...info } = l;
+    if (error) {
+      summary.push({ ...info, error: error.message });
+      continue;
+    }
+    const out = params.format === "pdf" && file.format !== "zpl"
+      ? { bytes: await toPdf(file), format: "pdf", mimeType: FORMATS.pdf }
+      : file;
+    const block = labelContent(labelName(l), out);
+    content.push(block);
+    summary.push({ ...info, format: out.format, bytes: out.bytes.length, resource_uri: block.resource.uri });
+  }
+  return { labels: summary, content };
+}
+
+/**
+ * Merge a page of unprinted labels into one PDF print batch with a pick
+ * list, write it to PRINT_DIR and mark the included labels printed.
+ * Resolves with the batch summary and the PDF as `file`.
+ */
+export async function printLabels(params, account) {
+  const labels = await downloadAll(await selectLabels({ ...params, printed: "not_printed" }, account), account, params.concurrency);
+  if (!labels.length) return { status: "nothing_to_print", labels: 0 };
+
+  const candidates = labels.filter((l) => l.file && l.file.format !== "zpl");
+  const skip = (l, reason) => ({ shipment_id: l.shipment_id, tracking_number: l.tracking_number, reason });
+  const skipped = labels
+    .filter((l) => !candidates.includes(l))
+    .map((l) => skip(l, l.error ? l.error.message : "ZPL label; send it to the thermal printer with download_labels"));
+  if (!candidates.length) return { status: "nothing_to_print", labels: labels.length, skipped };
+
+  let merged;
+  try {
+    merged = await mergeLabels(candidates, { pickList: params.pick_list });
+  } catch (err) {
+    throw new ShipiError(ErrorCode.UPSTREAM_UNAVAILABLE, `Could not merge the labels into one PDF: ${err.message}`);
+  }
+  for (const { label, error } of merged.failed) skipped.push(skip(label, `Label file could not be read: ${error.message}`));
+  const included = merged.merged;
+  if (!included.length) return { status: "nothing_to_print", labels: labels.length, skipped };
+
+  mkdirSync(PRINT_DIR, { recursive: true });
+  const name = `print-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  const path = join(PRINT_DIR, `${name}.pdf`);
+  writeFileSync(path, merged.bytes, { mode: 0o600 });
+
+  const result = {
+    status: "ready",
+    path,
+    pages: merged.pages,
+    pick_list_pages: merged.pick_list_pages,
+    labels: included.map((l) => ({ shipment_id: l.shipment_id, order_id: l.order_id, tracking_number: l.tracking_number })),
+    ...(skipped.length && { skipped }),
+  };
+
+  if (params.mark_printed && !MARK_PRINTED_ENDPOINT) {
+    result.marked_printed = 0;
+    result.warning = "Marking labels printed is not configured (SHIPI_MARK_PRINTED_ENDPOINT); these labels will show up again next time";
+  } else if (params.mark_printed) {
+    // The batch file exists either way; a failed update only means the labels show up again next time.
+    const ids = included.map((l) => l.shipment_id).filter((id) => id !== null && id !== undefined);
+    try {
+      const data = ids.length ? await shipiRequest(MARK_PRINTED_ENDPOINT, { shipment_ids: ids }, "POST", account) : null;
+      // Only the API's own count says anything was marked.
+      const updated = Number(data?.updated ?? NaN);
+      if (data && !Number.isFinite(updated)) {
+        throw new ShipiError(ErrorCode.UPSTREAM_UNAVAILABLE, `${MARK_PRINTED_ENDPOINT} did not report how many labels it updated`);
+      }
+      result.marked_printed = Math.min(updated || 0, ids.length);
+      if (result.marked_printed < included.length) {
+        result.warning = `${included.length - result.marked_printed} label(s) in the batch were not marked printed and will show up again next time`;
+      }
+    } catch (err) {
+      result.marked_printed = 0;
+      result.warning = `The print batch was written, but marking the labels printed failed: ${err.message}`;
+    }
+  }
+  return { ...result, file: labelContent(name, { bytes: merged.bytes, format: "pdf", mimeType: FORMATS.pdf }) };
+}
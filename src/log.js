@@ -0,0 +1,10 @@
+/**
+ * Logging — everything goes to stderr (stdout belongs to the stdio
+ * transport) and passes through redact() so keys never reach a log.
+ */
+
+import { redact } from "./errors.js";
+
+export function log(...parts) {
+  console.error(...parts.map((part) => redact(part instanceof Error ? part.stack || part.message : part)));
+}
@@ -0,0 +1,150 @@
+/**
+ * Shipment monitor — page through open shipments, track each one with
+ * bounded concurrency and sort them into buckets that need attention:
+ *
+ *   exception         the carrier reports a problem
+ *   late              not delivered and past the promised/estimated date
+ *   stale             no tracking scan for `stale_days`
+ *   tracking_failed   the tracking lookup itself failed
+ *   delivered         delivered (flagged `late` if after the promised date)
+ *   on_track          everything else
+ *
+ * A shipment can be both late and stale; it is listed in each bucket but
+ * counted once in `needs_attention`.
+ */
+
+import { pageShipments } from "./cache.js";
+import { daysBetween, formatDate, parseDate, today } from "./dates.js";
+import { firstOf } from "./fields.js";
+import { mapLimit } from "./pool.js";
+import { trackShipment } from "./tracking.js";
+
+export const MAX_MONITORED = 500;
+const BUCKETS = ["exception", "late", "stale", "tracking_failed", "delivered", "on_track"];
+const ATTENTION = ["exception", "late", "stale", "tracking_failed"];
+
+/** Shipment rows from a list response, reduced to what monitoring needs */
+export function extractShipments(data) {
+  const rows = [];
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      const looksLikeShipments = node.some((item) => item && typeof item === "object"
+        && firstOf(item, ["tracking_number", "tracking_no", "awb"]) !== undefined);
+      if (looksLikeShipments) {
+        for (const item of node) if (item && typeof item === "object") rows.push(item);
+        return;
+      }
+      node.forEach(walk);
+      return;
+    }
+    if (node && typeof node === "object") Object.values(node).forEach(walk);
+  };
+  walk(data);
+
+  return rows
+    .map((s) => ({
+      shipment_id: firstOf(s, ["shipment_id", "id", "del_ref"]) ?? null,
+      order_id: firstOf(s, ["order_id", "order_reference", "order_number"]) ?? null,
+      tracking_number: String(firstOf(s, ["tracking_number", "tracking_no", "awb"]) ?? ""),
+      carrier: String(firstOf(s, ["carrier", "carrier_type", "carrier_name"]) ?? "").toLowerCase(),
+      created_at: firstOf(s, ["created_at", "created", "ship_date", "date"]) ?? null,
+      promised_date: firstOf(s, ["promised_date", "estimated_delivery", "delivery_date", "eta"]) ?? null,
+    }))
+    .filter((s) => s.tracking_number);
+}
+
+/** All shipments in the given statuses and date range, up to `max` */
+async function collectShipments({ statuses, date_from, date_to, carrier, max }, account) {
+  const seen = new Map();
+  let truncated = false;
+  for (const status of statuses) {
+    await pageShipments({ status, carrier, date_from, date_to }, account, {
+      extract: extractShipments,
+      key: (row) => row.shipment_id ?? row.tracking_number,
+    }, (rows) => {
+      for (const row of rows) {
+        if (seen.size >= max) {
+          truncated = true;
+          return false;
+        }
+        seen.set(row.shipment_id ?? row.tracking_number, row);
+      }
+    });
+    if (truncated) break;
+  }
+  return { shipments: [...seen.values()], truncated };
+}
+
+/** Bucket names for one tracked shipment */
+function classify(shipment, tracking, { asOf, staleDays }) {
+  const promised = parseDate(shipment.promised_date) || parseDate(tracking.estimated_delivery);
+  if (tracking.status === "delivered") {
+    const deliveredOn = parseDate(tracking.delivered_at);
+    return { buckets: ["delivered"], deliveredLate: Boolean(promised && deliveredOn && deliveredOn > promised) };
+  }
+
+  const buckets = [];
+  if (tracking.status === "exception") buckets.push("exception");
+  if (promised && asOf > promised) buckets.push("late");
+  const lastScan = parseDate(tracking.last_update) || parseDate(shipment.created_at);
+  if (lastScan && daysBetween(lastScan, asOf) >= staleDays) buckets.push("stale");
+  if (!buckets.length) buckets.push("on_track");
+  return { buckets };
+}
+
+/**
+ * Track every open shipment in range and return the buckets, their counts
+ * and the ids needing attention.
+ */
+export async function monitorShipments(params, account) {
+  const asOf = parseDate(params.as_of) || parseDate(today());
+  const staleDays = params.stale_days;
+  const { shipments, truncated } = await collectShipments({
+    statuses: params.statuses,
+    date_from: params.date_from,
+    date_to: params.date_to,
+    carrier: params.carrier,
+    max: params.max_shipments,
+  }, account);
+
+  const tracked = await mapLimit(shipments, params.concurrency, (s) => trackShipment({
+    tracking_number: s.tracking_number,
+    carrier: s.carrier,
+    shipment_id: s.shipment_id,
+  }, account));
+
+  const buckets = Object.fromEntries(BUCKETS.map((b) => [b, []]));
+  shipments.forEach((shipment, i) => {
+    const { value: tracking, error } = tracked[i];
+    const base = { shipment_id: shipment.shipment_id, order_id: shipment.order_id, tracking_number: shipment.tracking_number };
+    if (error) {
+      buckets.tracking_failed.push({ ...base, error: error.message });
+      return;
+    }
+    const entry = {
+      ...base,
+      carrier: tracking.carrier,
+      status: tracking.status,
+      status_description: tracking.status_description,
+      last_update: tracking.last_update,
+      promised_date: shipment.promised_date ?? tracking.estimated_delivery,
+    };
+    const lastScan = parseDate(tracking.last_update);
+    if (lastScan) entry.days_since_scan = daysBetween(lastScan, asOf);
+    const { buckets: names, deliveredLate } = classify(shipment, tracking, { asOf, staleDays });
+    if (deliveredLate) entry.late = true;
+    for (const name of names) buckets[name].push(entry);
+  });
+
+  const attention = new Set();
+  for (const name of ATTENTION) for (const e of buckets[name]) attention.add(e.shipment_id ?? e.tracking_number);
+
+  return {
+    as_of: formatDate(asOf),
+    checked: shipments.length,
+    counts: Object.fromEntries(BUCKETS.map((b) => [b, buckets[b].length])),
+    needs_attention: [...attention],
+    buckets,
+    ...(truncated && { warning: `Stopped at ${params.max_shipments} shipments; narrow the date range to check the rest` }),
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * Cartonization — pack a shipment's products into boxes from the box
+ * catalog so rates and labels are bought for the cartons that actually
+ * ship, one piece per box, instead of one line per product.
+ *
+ * The catalog is a JSON file (SHIPI_BOX_CATALOG, default
+ * SHIPI_DATA_DIR/boxes.json) listing the cartons on hand:
+ *
+ *   { "weight_unit": "lb", "dimension_unit": "in",
+ *     "boxes": [{ "name": "M", "length": 14, "width": 12, "height": 8,
+ *                 "max_weight": 40, "weight": 0.9 }] }
+ *
+ * with inner dimensions, the most a packed box may weigh, and the empty
+ * box's own weight. A bare array of boxes is read as lb/in. Without a
+ * file, four standard cartons are used.
+ *
+ * Packing is first-fit decreasing: units go in largest first, each into
+ * the first open box it fits (every side within the box in some
+ * orientation, fill at most FILL_RATIO of the volume, gross weight within
+ * max_weight), else into a new box of the largest size — fewer pieces
+ * usually cost less. Each box is then shrunk to the smallest size that
+ * still holds its contents.
+ * Units that fit no box ship on their own, in their own dimensions.
+ */
+
+import { readFileSync } from "node:fs";
+import { BOX_CATALOG } from "./config.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import { convertLength, convertWeight, DIMENSION_UNITS, WEIGHT_UNITS } from "./units.js";
+
+// Share of a box's volume items may fill; the rest is void fill.
+const FILL_RATIO = 0.85;
+
+const DEFAULT_CATALOG = {
+  weight_unit: "lb",
+  dimension_unit: "in",
+  boxes: [
+    { name: "Small", length: 10, width: 8, height: 4, max_weight: 20, weight: 0.4 },
+    { name: "Medium", length: 14, width: 12, height: 8, max_weight: 40, weight: 0.9 },
+    { name: "Large", length: 18, width: 14, height: 12, max_weight: 50, weight: 1.5 },
+    { name: "X-Large", length: 24, width: 18, height: 18, max_weight: 65, weight: 2.4 },
+  ],
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const volume = (d) => d.length * d.width * d.height;
+const sides = (d) => [d.length, d.width, d.height].sort((a, b) => b - a);
+
+function catalogError(message) {
+  return new ShipiError(ErrorCode.VALIDATION, `Box catalog ${BOX_CATALOG}: ${message}`);
+}
+
+/**
+ * The box catalog as { source, weight_unit, dimension_unit, boxes }, read
+ * from SHIPI_BOX_CATALOG on every call so edits apply without a restart.
+ */
+export function loadBoxCatalog() {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(BOX_CATALOG, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { source: "default", ...DEFAULT_CATALOG };
+    throw catalogError(`cannot be read (${err.message})`);
+  }
+  const catalog = Array.isArray(raw) ? { weight_unit: "lb", dimension_unit: "in", boxes: raw } : raw;
+  if (!WEIGHT_UNITS.includes(catalog.weight_unit)) throw catalogError(`weight_unit must be one of ${WEIGHT_UNITS.join(", ")}`);
+  if (!DIMENSION_UNITS.includes(catalog.dimension_unit)) throw catalogError(`dimension_unit must be one of ${DIMENSION_UNITS.join(", ")}`);
+  if (!Array.isArray(catalog.boxes) || !catalog.boxes.length) throw catalogError("has no boxes");
+  catalog.boxes.forEach((b, i) => {
+    if (!b?.name) throw catalogError(`boxes[${i}] has no name`);
+    for (const field of ["length", "width", "height", "max_weight"]) {
+      if (!(b[field] > 0)) throw catalogError(`boxes[${i}] (${b.name}) needs a positive ${field}`);
+    }
+  });
+  return { source: BOX_CATALOG, weight_unit: catalog.weight_unit, dimension_unit: catalog.dimension_unit, boxes: catalog.boxes };
+}
+
+/** Catalog boxes in the given units, smallest first; `names` limits the choice */
+function boxesIn(units, names) {
+  const catalog = loadBoxCatalog();
+  let boxes = catalog.boxes;
+  if (names?.length) {
+    const wanted = new Set(names.map((n) => n.toLowerCase()));
+    boxes = boxes.filter((b) => wanted.has(String(b.name).toLowerCase()));
+    const unknown = names.filter((n) => !catalog.boxes.some((b) => String(b.name).toLowerCase() === n.toLowerCase()));
+    if (unknown.length) {
+      throw new ShipiError(ErrorCode.VALIDATION, `Unknown box ${unknown.join(", ")} (catalog: ${catalog.boxes.map((b) => b.name).join(", ")})`);
+    }
+  }
+  const length = (v) => convertLength(v, catalog.dimension_unit, units.dimension);
+  return boxes
+    .map((b) => ({
+      name: String(b.name),
+      length: length(b.length),
+      width: length(b.width),
+      height: length(b.height),
+      max_weight: convertWeight(b.max_weight, catalog.weight_unit, units.weight),
+      tare: convertWeight(b.weight || 0, catalog.weight_unit, units.weight),
+    }))
+    .sort((a, b) => volume(a) - volume(b));
+}
+
+/** True when a unit fits the box in some orientation */
+function fitsInside(unit, box) {
+  if (!unit.measured) return true;
+  const [u, b] = [sides(unit), sides(box)];
+  return u.every((side, i) => side <= b[i]);
+}
+
+/** True when the box, holding `contents`, could take one more `unit` */
+function hasRoom(box, contents, unit) {
+  const weight = box.tare + contents.weight + unit.weight;
+  const filled = contents.volume + unit.volume;
+  return fitsInside(unit, box) && weight <= box.max_weight && filled <= volume(box) * FILL_RATIO;
+}
+
+/** The smallest box that holds all of `units` */
+function smallestBox(boxes, units) {
+  const weight = units.reduce((w, u) => w + u.weight, 0);
+  const filled = units.reduce((v, u) => v + u.volume, 0);
+  return boxes.find((box) => units.every((u) => fitsInside(u, box))
+    && box.tare + weight <= box.max_weight
+    && filled <= volume(box) * FILL_RATIO) ?? null;
+}
+
+/**
+ * Pack `products` (already in `units`: { weight, dimension }) into catalog
+ * boxes. Returns the plan { packages, warnings }: each package has its
+ * box (null for an item shipped on its own), dimensions, gross weight,
+ * contents ({ product, name, quantity }), fill ratio and contents value.
+ */
+export function packProducts(products, { units, boxes: names } = {}) {
+  const boxes = boxesIn(units, names);
+  const warnings = [];
+  const items = [];
+  products.forEach((p, i) => {
+    const measured = p.length > 0 && p.width > 0 && p.height > 0;
+    if (!measured) warnings.push(`products[${i}] (${p.name || "Package"}) has no dimensions; it was packed by weight only`);
+    for (let n = 0; n < (p.quantity || 1); n++) {
+      items.push({
+        product: i,
+        name: p.name || "Package",
+        weight: p.weight,
+        price: p.price || 0,
+        measured,
+        length: p.length,
+        width: p.width,
+        height: p.height,
+        volume: measured ? volume(p) : 0,
+      });
+    }
+  });
+  items.sort((a, b) => b.volume - a.volume || b.weight - a.weight);
+
+  const open = [];
+  const alone = [];
+  for (const unit of items) {
+    const target = open.find((b) => hasRoom(b.box, b, unit));
+    if (target) {
+      target.units.push(unit);
+      target.weight += unit.weight;
+      target.volume += unit.volume;
+      continue;
+    }
+    const box = boxes.findLast((b) => hasRoom(b, { weight: 0, volume: 0 }, unit));
+    if (box) open.push({ box, units: [unit], weight: unit.weight, volume: unit.volume });
+    else alone.push(unit);
+  }
+
+  const contents = (packed) => {
+    const lines = new Map();
+    for (const u of packed) {
+      const line = lines.get(u.product) || { product: u.product, name: u.name, quantity: 0 };
+      line.quantity++;
+      lines.set(u.product, line);
+    }
+    return [...lines.values()].sort((a, b) => a.product - b.product);
+  };
+  const value = (packed) => round(packed.reduce((sum, u) => sum + u.price, 0), 2);
+
+  const packages = open.map((b) => {
+    const box = smallestBox(boxes, b.units) ?? b.box;
+    return {
+      box: box.name,
+      length: box.length,
+      width: box.width,
+      height: box.height,
+      weight: round(box.tare + b.weight, 3),
+      contents: contents(b.units),
+      fill: round(b.volume / volume(box), 2),
+      value: value(b.units),
+    };
+  });
+  for (const unit of alone) {
+    warnings.push(`${unit.name} (products[${unit.product}]) fits no box in the catalog and ships on its own`);
+    packages.push({
+      box: null,
+      ...(unit.measured && { length: unit.length, width: unit.width, height: unit.height }),
+      weight: unit.weight,
+      contents: contents([unit]),
+      fill: null,
+      value: value([unit]),
+    });
+  }
+  return { packages, warnings };
+}
+
+/** Packages as create_shipment products: one piece per box, contents as its description */
+export function packageLines(packages) {
+  return packages.map((p, i) => ({
+    name: `${p.box ? `Box ${p.box}` : p.contents[0].name} (${i + 1}/${packages.length})`,
+    weight: p.weight,
+    quantity: 1,
+    price: p.value,
+    ...(p.length && { length: p.length, width: p.width, height: p.height }),
+    description: p.contents.map((c) => `${c.quantity}× ${c.name}`).join(", "),
+  }));
+}
@@ -0,0 +1,589 @@
+/**
+ * Pickups — carrier collections at the ship-from address: validated
+ * windows, one pickup per carrier, location and day, and a register of what
+ * was booked so it can be listed, rescheduled and cancelled.
+ *
+ * Windows are checked in the shipper's time zone (from the address's
+ * country and state, or given): business days only, at most
+ * SHIPI_PICKUP_MAX_DAYS ahead, ready and close time inside the carrier's
+ * collection hours with its minimum window, and same-day pickups only
+ * before the carrier's booking cutoff. Public holidays are not known here;
+ * the carrier turns those down.
+ *
+ * Orders are grouped by carrier and ship-from location. When that carrier
+ * is already coming to that location on that day, that booking is replaced
+ * by one for all the orders instead of booking a second visit.
+ *
+ * The API cannot list or change pickups, so pickups.json is the record of
+ * the ones booked through this server, and a changed pickup is re-booked:
+ * the new booking is made before the old one is cancelled, so a failure
+ * never leaves orders without a pickup. Cancelling needs the pickup cancel
+ * call in SHIPI_PICKUP_CANCEL_ENDPOINT; without it bookings are never
+ * changed, and cancel_pickup and reschedule_pickup refuse.
+ */
+
+import { randomBytes } from "node:crypto";
+import { normalizeCountry, normalizeState } from "./address.js";
+import { addressFromRecord } from "./addressbook.js";
+import { normalizeShipment, shipmentRecord } from "./cache.js";
+import { PICKUP_CANCEL_ENDPOINT, PICKUP_CUTOFFS, PICKUP_MAX_DAYS } from "./config.js";
+import { addDays, daysBetween, formatDate, isWeekend, parseDate, today } from "./dates.js";
+import { ErrorCode, ShipiError, errorSummary } from "./errors.js";
+import { firstOf } from "./fields.js";
+import { accountScope } from "./idempotency.js";
+import { mapLimit } from "./pool.js";
+import { shipiRequest } from "./shipi.js";
+import { JsonStore } from "./store.js";
+
+const CREATE_ENDPOINT = "pickup_api/create_pickup.php";
+export const PICKUP_STATUSES = ["scheduled", "cancelled", "rescheduled", "replaced"];
+// Register entries are dropped this many days after their pickup date.
+const KEEP_DAYS = 30;
+
+const pickups = new JsonStore("pickups.json");
+
+// ─── Times ──────────────────────────────────────────────────────────
+/** Minutes after midnight for "14:30", "9:00", "2pm" or "2:30 pm"; null when unreadable */
+function toMinutes(value) {
+  const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?m\.?)?\s*$/i.exec(String(value ?? ""));
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3].toLowerCase() === "p" ? 12 : 0);
+  }
+  return hours > 23 || minutes > 59 ? null : hours * 60 + minutes;
+}
+
+const hhmm = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+const roundUp = (minutes) => Math.ceil(minutes / 15) * 15;
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/** Ready and close time from the free-form pickup_time ("10:00", "10am-2pm") */
+function legacyTimes(pickupTime) {
+  const [ready, close] = String(pickupTime).split(/\s*(?:-|–|\bto\b)\s*/i);
+  return { ready_time: ready, ...(close && { close_time: close }) };
+}
+
+// ─── Time zones ─────────────────────────────────────────────────────
+const STATE_ZONES = new Map(Object.entries({
+  US: {
+    "America/New_York": "CT DE DC FL GA IN KY ME MD MA MI NH NJ NY NC OH PA RI SC VT VA WV",
+    "America/Chicago": "AL AR IL IA KS LA MN MS MO NE ND OK SD TN TX WI",
+    "America/Denver": "CO ID MT NM UT WY",
+    "America/Phoenix": "AZ",
+    "America/Los_Angeles": "CA NV OR WA",
+    "America/Anchorage": "AK",
+    "Pacific/Honolulu": "HI",
+    "America/Puerto_Rico": "PR VI",
+    "Pacific/Guam": "GU MP",
+  },
+  CA: {
+    "America/Vancouver": "BC", "America/Edmonton": "AB", "America/Regina": "SK", "America/Winnipeg": "MB",
+    "America/Toronto": "ON QC", "America/Halifax": "NB NS PE", "America/St_Johns": "NL",
+    "America/Whitehorse": "YT", "America/Yellowknife": "NT", "America/Iqaluit": "NU",
+  },
+  AU: {
+    "Australia/Sydney": "NSW ACT", "Australia/Melbourne": "VIC", "Australia/Hobart": "TAS",
+    "Australia/Brisbane": "QLD", "Australia/Adelaide": "SA", "Australia/Darwin": "NT", "Australia/Perth": "WA",
+  },
+}).flatMap(([country, zones]) => Object.entries(zones).flatMap(([zone, states]) => states.split(" ").map((s) => [`${country}:${s}`, zone]))));
+
+// Countries in one time zone, or where one zone covers most shippers
+const COUNTRY_ZONES = {
+  GB: "Europe/London", IE: "Europe/Dublin", DE: "Europe/Berlin", FR: "Europe/Paris", ES: "Europe/Madrid",
+  IT: "Europe/Rome", NL: "Europe/Amsterdam", BE: "Europe/Brussels", LU: "Europe/Luxembourg", AT: "Europe/Vienna",
+  CH: "Europe/Zurich", SE: "Europe/Stockholm", NO: "Europe/Oslo", DK: "Europe/Copenhagen", FI: "Europe/Helsinki",
+  PL: "Europe/Warsaw", PT: "Europe/Lisbon", CZ: "Europe/Prague", HU: "Europe/Budapest", RO: "Europe/Bucharest",
+  GR: "Europe/Athens", TR: "Europe/Istanbul", IL: "Asia/Jerusalem", AE: "Asia/Dubai", SA: "Asia/Riyadh",
+  IN: "Asia/Kolkata", SG: "Asia/Singapore", MY: "Asia/Kuala_Lumpur", TH: "Asia/Bangkok", PH: "Asia/Manila",
+  HK: "Asia/Hong_Kong", CN: "Asia/Shanghai", TW: "Asia/Taipei", JP: "Asia/Tokyo", KR: "Asia/Seoul",
+  NZ: "Pacific/Auckland", ZA: "Africa/Johannesburg", MX: "America/Mexico_City", CO: "America/Bogota",
+  PE: "America/Lima", CL: "America/Santiago", AR: "America/Argentina/Buenos_Aires", BR: "America/Sao_Paulo",
+};
+
+/** IANA time zone of an address ({ country, state }), or null when it cannot be told */
+export function addressTimezone(address) {
+  const country = normalizeCountry(address?.country);
+  if (!country) return null;
+  return STATE_ZONES.get(`${country}:${normalizeState(country, address.state)}`) ?? COUNTRY_ZONES[country] ?? null;
+}
+
+function validZone(zone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Local date (YYYY-MM-DD) and minutes after midnight in `timeZone` */
+function localNow(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-CA", {
+    timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+  }).formatToParts(now).map((p) => [p.type, p.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// ─── Carrier rules ──────────────────────────────────────────────────
+// Typical rules; individual carrier accounts can differ. cutoff: latest
+// local time to book a pickup for the same day (null: next day at the
+// earliest); earliest/latest: collection hours; min_window: minutes
+// required between ready and close time.
+const CARRIER_RULES = {
+  fedex: { cutoff: "15:00", earliest: "08:00", latest: "19:00", min_window: 120 },
+  ups: { cutoff: "14:00", earliest: "08:00", latest: "19:00", min_window: 120 },
+  dhl: { cutoff: "15:00", earliest: "09:00", latest: "18:00", min_window: 60 },
+  usps: { cutoff: null, earliest: "08:00", latest: "17:00", min_window: 60 },
+};
+const DEFAULT_RULES = { cutoff: "14:00", earliest: "09:00", latest: "18:00", min_window: 120 };
+
+/** Pickup rules for a carrier type, with SHIPI_PICKUP_CUTOFFS applied */
+export function pickupRules(carrier) {
+  const name = String(carrier || "").toLowerCase();
+  const key = Object.keys(CARRIER_RULES).find((k) => name.startsWith(k));
+  const rules = { ...(CARRIER_RULES[key] ?? DEFAULT_RULES) };
+  const override = PICKUP_CUTOFFS.get(name) ?? PICKUP_CUTOFFS.get(key);
+  if (override) rules.cutoff = override === "none" ? null : hhmm(toMinutes(override));
+  return rules;
+}
+
+/** True while a same-day pickup with a full window can still be booked */
+function sameDayOpen(rules, local) {
+  if (rules.cutoff === null || local.minutes > toMinutes(rules.cutoff)) return false;
+  return toMinutes(rules.latest) - Math.max(toMinutes(rules.earliest), roundUp(local.minutes)) >= rules.min_window;
+}
+
+/** The first date the carrier can collect, in the shipper's time zone */
+export function nextPickupDate(carrier, timezone, now = new Date()) {
+  const local = localNow(timezone, now);
+  let date = parseDate(local.date);
+  if (isWeekend(date) || !sameDayOpen(pickupRules(carrier), local)) {
+    do date = addDays(date, 1); while (isWeekend(date));
+  }
+  return formatDate(date);
+}
+
+/**
+ * Check a pickup request ({ carrier, timezone, pickup_date, ready_time,
+ * close_time }) against the carrier's rules. Missing fields default to the
+ * next available date and the carrier's hours (from now, for today).
+ * Returns { window, rules, problems, next_available? }.
+ */
+export function pickupWindow(request, now = new Date()) {
+  const { carrier, timezone } = request;
+  const rules = pickupRules(carrier);
+  const local = localNow(timezone, now);
+  const next = nextPickupDate(carrier, timezone, now);
+  const date = request.pickup_date || next;
+  const sameDay = date === local.date;
+  const problems = [];
+
+  const day = parseDate(date);
+  if (!day || formatDate(day) !== date) {
+    problems.push(`pickup_date "${date}" is not a date (use YYYY-MM-DD)`);
+  } else {
+    const ahead = daysBetween(parseDate(local.date), day);
+    if (ahead < 0) problems.push(`${date} is in the past (it is ${local.date} in ${timezone})`);
+    else if (ahead > PICKUP_MAX_DAYS) problems.push(`${date} is more than ${PICKUP_MAX_DAYS} days ahead`);
+    if (isWeekend(day)) problems.push(`${date} is a ${DAY_NAMES[day.getUTCDay()]}; carriers collect on business days`);
+    if (sameDay && rules.cutoff === null) {
+      problems.push(`${carrier} pickups cannot be booked for the same day`);
+    } else if (sameDay && local.minutes > toMinutes(rules.cutoff)) {
+      problems.push(`same-day ${carrier} pickups must be booked by ${rules.cutoff} (it is ${hhmm(local.minutes)} in ${timezone})`);
+    }
+  }
+
+  const earliest = toMinutes(rules.earliest);
+  const latest = toMinutes(rules.latest);
+  const ready = request.ready_time !== undefined
+    ? toMinutes(request.ready_time)
+    : sameDay ? Math.max(earliest, roundUp(local.minutes)) : earliest;
+  const close = request.close_time !== undefined ? toMinutes(request.close_time) : latest;
+  if (ready === null) problems.push(`ready_time "${request.ready_time}" is not a time (use HH:MM)`);
+  if (close === null) problems.push(`close_time "${request.close_time}" is not a time (use HH:MM)`);
+  if (ready !== null && close !== null) {
+    if (ready < earliest) problems.push(`ready_time ${hhmm(ready)} is before ${carrier} starts collecting (${rules.earliest})`);
+    if (close > latest) problems.push(`close_time ${hhmm(close)} is after ${carrier}'s last collections (${rules.latest})`);
+    const start = sameDay ? Math.max(ready, local.minutes) : ready;
+    if (close - start < rules.min_window) {
+      problems.push(`${carrier} needs a window of at least ${rules.min_window} minutes${start > ready ? " from now" : ""}; ${hhmm(start)}–${hhmm(close)} is shorter`);
+    }
+  }
+
+  return {
+    window: {
+      pickup_date: date,
+      ready_time: ready === null ? null : hhmm(ready),
+      close_time: close === null ? null : hhmm(close),
+      timezone,
+    },
+    rules: { same_day_cutoff: rules.cutoff, hours: `${rules.earliest}–${rules.latest}`, min_window_minutes: rules.min_window },
+    problems,
+    ...(problems.length && { next_available: next }),
+  };
+}
+
+function windowError(groups) {
+  const problems = groups.flatMap((g) => g.problems.map((p) => (groups.length > 1 ? `${g.carrier}: ${p}` : p)));
+  return new ShipiError(ErrorCode.VALIDATION, `Pickup not possible: ${problems.join("; ")}`, {
+    details: {
+      pickups: groups.map((g) => ({
+        carrier: g.carrier,
+        order_ids: g.order_ids,
+        ...g.window,
+        problems: g.problems,
+        next_available: g.next_available,
+        rules: g.rules,
+      })),
+    },
+  });
+}
+
+// ─── Register ───────────────────────────────────────────────────────
+function save(scope, pickup) {
+  const cutoff = formatDate(addDays(parseDate(today()), -KEEP_DAYS));
+  pickups.prune((p) => p.pickup_date < cutoff);
+  return pickups.set(`${scope}:${pickup.pickup_id}`, pickup);
+}
+
+function accountPickups(scope) {
+  return pickups.entries().filter(([key]) => key.startsWith(`${scope}:`)).map(([, p]) => p);
+}
+
+/** A scheduled pickup of the account, by pickup ID or carrier confirmation number */
+function scheduledPickup(scope, ref) {
+  const pickup = pickups.get(`${scope}:${ref}`)
+    ?? accountPickups(scope).find((p) => p.confirmation_number !== null && p.confirmation_number === String(ref));
+  if (!pickup) {
+    throw new ShipiError(ErrorCode.VALIDATION, `Pickup ${ref} was not booked through this server; list_pickups shows the ones that were`);
+  }
+  if (pickup.status !== "scheduled") {
+    throw new ShipiError(ErrorCode.VALIDATION, `Pickup ${ref} is already ${pickup.status}${pickup.replaced_by ? ` (now ${pickup.replaced_by})` : ""}`);
+  }
+  return pickup;
+}
+
+/** The scheduled pickup the group's orders can join, if any */
+function joinablePickup(scope, group, exclude) {
+  return accountPickups(scope).find((p) => p.status === "scheduled"
+    && p.pickup_id !== exclude
+    && p.carrier === group.carrier
+    && p.location === group.location
+    && p.timezone === group.window.timezone
+    && p.pickup_date === group.window.pickup_date) ?? null;
+}
+
+/** The carrier's pickup confirmation number in a create_pickup response */
+function confirmationOf(data) {
+  for (const source of [data, data?.data]) {
+    const value = firstOf(source, ["pickup_confirmation", "confirmation_number", "confirmation", "pickup_number", "pickup_id", "prn"]);
+    if (value !== undefined) return String(value);
+  }
+  return null;
+}
+
+/** Book a validated group ({ carrier, location, shipper, order_ids, window }) with the carrier and record it */
+async function bookUpstream(account, group, { replaces } = {}) {
+  const { window } = group;
+  const data = await shipiRequest(CREATE_ENDPOINT, {
+    integrated_key: account.key,
+    order_id: group.order_ids[0],
+    carrier_type: group.carrier,
+    label: "d",
+    meta: {
+      pickup_date: window.pickup_date,
+      pickup_time: window.ready_time,
+      ready_time: window.ready_time,
+      close_time: window.close_time,
+      timezone: window.timezone,
+      order_ids: group.order_ids,
+    },
+  }, "POST", account);
+  const pickup = save(accountScope(account), {
+    pickup_id: `pk_${randomBytes(6).toString("hex")}`,
+    status: "scheduled",
+    carrier: group.carrier,
+    ...window,
+    order_ids: group.order_ids,
+    // The order the booking was made with; the carrier knows it by this one.
+    order_id: group.order_ids[0],
+    confirmation_number: confirmationOf(data),
+    location: group.location,
+    shipper: group.shipper,
+    ...(replaces && { replaces }),
+    created_at: new Date().toISOString(),
+  });
+  return { ...pickup, response: data };
+}
+
+/** Cancel a booking with the carrier; callers check canCancel() first */
+function cancelUpstream(pickup, account) {
+  return shipiRequest(PICKUP_CANCEL_ENDPOINT, {
+    integrated_key: account.key,
+    order_id: pickup.order_id ?? pickup.order_ids[0],
+    carrier_type: pickup.carrier,
+    confirmation_number: pickup.confirmation_number,
+    pickup_date: pickup.pickup_date,
+  }, "POST", account);
+}
+
+/** Whether bookings can be cancelled (and so changed) with the carrier */
+const canCancel = () => Boolean(PICKUP_CANCEL_ENDPOINT);
+
+function requireCancel(action) {
+  if (!canCancel()) {
+    throw new ShipiError(
+      ErrorCode.VALIDATION,
+      `${action} needs the Shipi pickup cancel call, which is not configured: set SHIPI_PICKUP_CANCEL_ENDPOINT, or change the booking with the carrier directly`,
+    );
+  }
+}
+
+/**
+ * Book `group` as a new pickup, then cancel `old` with the carrier, so the
+ * orders are never left without a pickup. `old` is marked `status` and
+ * points at its replacement; when the cancel fails it stays scheduled and
+ * a warning says so. Resolves with { pickup, previous, warnings }.
+ */
+async function replacePickup(account, old, group, status) {
+  const pickup = await bookUpstream(account, group, { replaces: old.pickup_id });
+  try {
+    await cancelUpstream(old, account);
+  } catch (err) {
+    return {
+      pickup,
+      previous: old,
+      warnings: [`The new pickup is booked, but cancelling ${old.pickup_id} with the carrier failed (${err.message}); cancel it with cancel_pickup`],
+    };
+  }
+  const previous = save(accountScope(account), { ...old, status, replaced_by: pickup.pickup_id, updated_at: new Date().toISOString() });
+  return { pickup, previous, warnings: [] };
+}
+
+/**
+ * Book a validated group, or consolidate it with the pickup already booked
+ * for that carrier, location and day: that booking is replaced by one for
+ * all the orders, in its window. Without the cancel call a booking cannot
+ * change, so the group is booked on its own with a warning. `exclude` is a
+ * pickup that must not be joined (the one being rescheduled).
+ */
+async function bookPickup(account, group, { exclude, replaces } = {}) {
+  const existing = joinablePickup(accountScope(account), group, exclude);
+  if (!existing) return { result: "booked", ...(await bookUpstream(account, group, { replaces })) };
+
+  const added = group.order_ids.filter((id) => !existing.order_ids.includes(id));
+  if (!added.length) return { result: "joined", added_order_ids: [], ...existing };
+  if (!canCancel()) {
+    return {
+      result: "booked",
+      ...(await bookUpstream(account, group, { replaces })),
+      warnings: [`${existing.pickup_id} is already booked with ${group.carrier} at this address that day, but bookings cannot be changed without SHIPI_PICKUP_CANCEL_ENDPOINT; these orders got their own pickup`],
+    };
+  }
+  const window = { ...group.window, ready_time: existing.ready_time, close_time: existing.close_time };
+  const merged = { ...group, order_ids: [...existing.order_ids, ...added], window };
+  const { pickup, previous, warnings } = await replacePickup(account, existing, merged, "replaced");
+  return {
+    result: "joined",
+    added_order_ids: added,
+    ...pickup,
+    joined_pickup: previous.pickup_id,
+    ...(warnings.length && { warnings }),
+  };
+}
+
+// ─── Scheduling ─────────────────────────────────────────────────────
+/**
+ * Carrier, ship-from location and time zone of one order. The shipment is
+ * looked up unless carrier_type and timezone are both given; with a
+ * carrier_type, an order that cannot be looked up is still booked.
+ */
+async function orderInfo(orderId, params, account) {
+  let record = null;
+  if (!params.carrier_type || !params.timezone) {
+    try {
+      record = shipmentRecord(await shipiRequest("api/v1/shipments.php", { action: "get", order_id: orderId }, "GET", account));
+    } catch (err) {
+      if (!params.carrier_type) throw err;
+    }
+    if (!record && !params.carrier_type) throw new ShipiError(ErrorCode.VALIDATION, `Order ${orderId} was not found`);
+  }
+  const shipper = record && (addressFromRecord(record, "s_") ?? addressFromRecord(record.shipper ?? record.sender));
+  const carrier = String(params.carrier_type || (record && normalizeShipment(record).carrier) || "").toLowerCase();
+  if (!carrier) throw new ShipiError(ErrorCode.VALIDATION, `The carrier of order ${orderId} is not known; pass carrier_type`);
+  return {
+    order_id: orderId,
+    carrier,
+    location: shipper ? [normalizeCountry(shipper.country) ?? shipper.country, shipper.postal, shipper.address1].join("|").toUpperCase() : "",
+    shipper: shipper ? { city: shipper.city, state: shipper.state, postal: shipper.postal ?? "", country: shipper.country } : null,
+    timezone: params.timezone || (shipper && addressTimezone(shipper)) || null,
+  };
+}
+
+/**
+ * Schedule pickups for order_id / order_ids: one per carrier and ship-from
+ * location, in the requested window (default: the next available one),
+ * joining a pickup already booked for that carrier, place and day. With
+ * dry_run, resolves with the planned windows and their problems instead.
+ * Nothing is booked while any window is invalid.
+ */
+export async function schedulePickups(params, account) {
+  const orderIds = [...new Set([params.order_id, ...(params.order_ids || [])].filter(Boolean).map(String))];
+  if (!orderIds.length) throw new ShipiError(ErrorCode.VALIDATION, "Pass order_id or order_ids");
+  if (params.timezone && !validZone(params.timezone)) {
+    throw new ShipiError(ErrorCode.VALIDATION, `timezone "${params.timezone}" is not an IANA time zone (e.g. America/Chicago)`);
+  }
+  const legacy = params.pickup_time && params.ready_time === undefined ? legacyTimes(params.pickup_time) : {};
+  const request = {
+    pickup_date: params.pickup_date,
+    ready_time: params.ready_time ?? legacy.ready_time,
+    close_time: params.close_time ?? legacy.close_time,
+  };
+
+  const looked = await mapLimit(orderIds, 4, (id) => orderInfo(id, params, account));
+  const failed = looked.map((r, i) => r.error && { order_id: orderIds[i], error: r.error.message }).filter(Boolean);
+  if (failed.length) {
+    throw new ShipiError(ErrorCode.VALIDATION, `Could not look up ${failed.map((f) => f.order_id).join(", ")}: ${failed[0].error}`, { details: { failed } });
+  }
+
+  const warnings = [];
+  const groups = new Map();
+  for (const { value: order } of looked) {
+    if (!order.timezone) {
+      order.timezone = "UTC";
+      warnings.push(`The time zone of order ${order.order_id}'s ship-from address is not known; its window was checked in UTC (pass timezone)`);
+    }
+    const key = [order.carrier, order.location, order.timezone].join("\n");
+    if (!groups.has(key)) groups.set(key, { carrier: order.carrier, location: order.location, shipper: order.shipper, timezone: order.timezone, order_ids: [] });
+    groups.get(key).order_ids.push(order.order_id);
+  }
+  const planned = [...groups.values()].map(({ timezone, ...g }) => ({ ...g, ...pickupWindow({ carrier: g.carrier, timezone, ...request }) }));
+  const scope = accountScope(account);
+
+  if (params.dry_run) {
+    return {
+      status: "preview",
+      pickups: planned.map((g) => ({
+        carrier: g.carrier,
+        order_ids: g.order_ids,
+        ...g.window,
+        rules: g.rules,
+        ...(g.problems.length
+          ? { problems: g.problems, next_available: g.next_available }
+          : { joins_pickup: (canCancel() && joinablePickup(scope, g)?.pickup_id) || null }),
+      })),
+      ...(warnings.length && { warnings }),
+    };
+  }
+  const invalid = planned.filter((g) => g.problems.length);
+  if (invalid.length) throw windowError(invalid);
+
+  const results = [];
+  for (const group of planned) {
+    try {
+      results.push(await bookPickup(account, group));
+    } catch (err) {
+      if (planned.length === 1) throw err;
+      results.push({ result: "failed", carrier: group.carrier, order_ids: group.order_ids, ...group.window, error: errorSummary(err) });
+    }
+  }
+  return { pickups: results, ...(warnings.length && { warnings }) };
+}
+
+// ─── Managing ───────────────────────────────────────────────────────
+/**
+ * Pickups booked through this server, by pickup date and ready time.
+ * Filters: date or date_from/date_to (default: from today in each pickup's
+ * time zone), carrier, order_id, status ("scheduled" by default, or "all").
+ */
+export function listPickups(params, account) {
+  const status = params.status ?? "scheduled";
+  const from = params.date ?? params.date_from;
+  const to = params.date ?? params.date_to;
+  const list = accountPickups(accountScope(account))
+    .filter((p) => status === "all" || p.status === status)
+    .filter((p) => (from ? p.pickup_date >= from : p.pickup_date >= localNow(p.timezone).date))
+    .filter((p) => !to || p.pickup_date <= to)
+    .filter((p) => !params.carrier || p.carrier.startsWith(params.carrier.toLowerCase()))
+    .filter((p) => !params.order_id || p.order_ids.includes(String(params.order_id)))
+    .sort((a, b) => `${a.pickup_date} ${a.ready_time}`.localeCompare(`${b.pickup_date} ${b.ready_time}`));
+  return {
+    count: list.length,
+    orders: list.reduce((n, p) => n + p.order_ids.length, 0),
+    pickups: list,
+  };
+}
+
+/**
+ * Cancel a pickup with the carrier, or with order_ids take only those
+ * orders off it: the pickup is re-booked, in its window, for the orders
+ * that remain and the old booking cancelled.
+ */
+export async function cancelPickup(params, account) {
+  requireCancel("cancel_pickup");
+  const scope = accountScope(account);
+  const pickup = scheduledPickup(scope, params.pickup_id);
+  const removing = params.order_ids?.length ? params.order_ids.map(String) : pickup.order_ids;
+  const unknown = removing.filter((id) => !pickup.order_ids.includes(id));
+  if (unknown.length) {
+    throw new ShipiError(ErrorCode.VALIDATION, `Pickup ${pickup.pickup_id} does not include ${unknown.join(", ")} (its orders: ${pickup.order_ids.join(", ")})`);
+  }
+  const remaining = pickup.order_ids.filter((id) => !removing.includes(id));
+  if (remaining.length) {
+    const group = { carrier: pickup.carrier, location: pickup.location, shipper: pickup.shipper, order_ids: remaining, ...sameWindow(pickup) };
+    if (group.problems.length) throw windowError([group]);
+    const { pickup: rebooked, previous, warnings } = await replacePickup(account, pickup, group, "replaced");
+    return { status: "orders_removed", removed_order_ids: removing, pickup: rebooked, previous, ...(warnings.length && { warnings }) };
+  }
+  const data = await cancelUpstream(pickup, account);
+  return { status: "cancelled", pickup: save(scope, { ...pickup, status: "cancelled", updated_at: new Date().toISOString() }), response: data };
+}
+
+/** A pickup's window, checked again as if booking it now (with `changes`) */
+function sameWindow(pickup, changes = {}) {
+  return pickupWindow({
+    carrier: pickup.carrier,
+    timezone: pickup.timezone,
+    pickup_date: changes.pickup_date ?? pickup.pickup_date,
+    ready_time: changes.ready_time ?? pickup.ready_time,
+    close_time: changes.close_time ?? pickup.close_time,
+  });
+}
+
+/**
+ * Move a pickup to another date and/or window (unchanged parts are kept).
+ * The new pickup is booked — or consolidated with one the carrier already
+ * has that day — before the old one is cancelled.
+ */
+export async function reschedulePickup(params, account) {
+  if (params.pickup_date === undefined && params.ready_time === undefined && params.close_time === undefined) {
+    throw new ShipiError(ErrorCode.VALIDATION, "Pass a new pickup_date, ready_time or close_time");
+  }
+  requireCancel("reschedule_pickup");
+  const scope = accountScope(account);
+  const old = scheduledPickup(scope, params.pickup_id);
+  const group = { carrier: old.carrier, location: old.location, shipper: old.shipper, order_ids: old.order_ids, ...sameWindow(old, params) };
+  if (group.problems.length) throw windowError([group]);
+  const from = { pickup_date: old.pickup_date, ready_time: old.ready_time, close_time: old.close_time, timezone: old.timezone };
+
+  if (params.dry_run) {
+    const joins = joinablePickup(scope, group, old.pickup_id);
+    return { status: "preview", pickup_id: old.pickup_id, from, to: group.window, joins_pickup: joins?.pickup_id ?? null };
+  }
+  const booked = await bookPickup(account, group, { exclude: old.pickup_id, replaces: old.pickup_id });
+  try {
+    await cancelUpstream(old, account);
+  } catch (err) {
+    return {
+      status: "rescheduled_with_old_pickup_still_booked",
+      pickup: booked,
+      previous: old,
+      warnings: [`The new pickup is booked, but cancelling ${old.pickup_id} failed (${err.message}); cancel it with cancel_pickup`],
+    };
+  }
+  const previous = save(scope, { ...old, status: "rescheduled", replaced_by: booked.pickup_id, updated_at: new Date().toISOString() });
+  return { status: "rescheduled", from, pickup: booked, previous };
+}
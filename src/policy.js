@@ -0,0 +1,185 @@
+/**
+ * Policy guardrails — limits the operator sets in the environment and no
+ * client can argue its way around:
+ *
+ *   SHIPI_READ_ONLY            tools that change anything are not offered at all
+ *   SHIPI_MAX_LABEL_COST       no single label above this cost
+ *   SHIPI_DAILY_SPEND_LIMIT    labels bought through this server, per account per UTC day
+ *   SHIPI_ALLOWED_CARRIERS     labels only on these carriers
+ *   SHIPI_ALLOWED_SERVICES     labels only with these service codes
+ *   SHIPI_BLOCKED_COUNTRIES    no labels to these destinations
+ *   SHIPI_CONFIRM_DESTRUCTIVE  cancel_shipment, cancel_pickup and delete_address need a dry-run token (default on)
+ *
+ * Tool calls are checked in server.js before their handler runs; label
+ * checks need the carrier and the quoted cost, so the purchase flow applies
+ * them once it has both. Violations are `policy_denied` errors.
+ *
+ * Spend is tracked in spend.json from the rate quoted before purchase. A
+ * label whose outcome is unknown (timeout) stays counted.
+ */
+
+import { normalizeCountry } from "./address.js";
+import { POLICY } from "./config.js";
+import { addDays, formatDate, parseDate, today } from "./dates.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import * as idempotency from "./idempotency.js";
+import { JsonStore } from "./store.js";
+
+const spend = new JsonStore("spend.json");
+
+/** Tools that create, change or delete something upstream */
+const WRITE_TOOLS = new Set([
+  "create_shipment",
+  "cancel_shipment",
+  "create_shipments_batch",
+  "create_return_label",
+  "schedule_pickup",
+  "cancel_pickup",
+  "reschedule_pickup",
+  "add_address",
+  "edit_address",
+  "delete_address",
+  "print_labels",
+]);
+
+/** Tools whose calls need a confirmation token from their own dry run */
+const DESTRUCTIVE_TOOLS = new Map([
+  ["cancel_shipment", (p) => ({ shipment_id: p.shipment_id })],
+  ["cancel_pickup", (p) => ({ pickup_id: p.pickup_id, order_ids: p.order_ids ?? null })],
+  ["delete_address", (p) => ({ address_id: p.id })],
+]);
+
+const blockedCountries = new Set(POLICY.blocked_countries.map((c) => normalizeCountry(c) ?? c.toUpperCase()));
+
+export function policyError(problems) {
+  return new ShipiError(ErrorCode.POLICY_DENIED, `Blocked by policy: ${problems.join("; ")}`, { details: { problems } });
+}
+
+/** False for tools read-only mode leaves unregistered */
+export function toolAllowed(name) {
+  return !(POLICY.read_only && WRITE_TOOLS.has(name));
+}
+
+/**
+ * Check a tool call before its handler runs. Throws policy_denied for a
+ * destructive call without a valid token; returns the result to send
+ * instead of running the handler (a destructive dry run), else null. The
+ * token stays valid until completeToolCall, so a call that fails can be
+ * retried with it.
+ */
+export function checkToolCall(name, params, account) {
+  if (!DESTRUCTIVE_TOOLS.has(name)) return null;
+  const target = DESTRUCTIVE_TOOLS.get(name)(params);
+  const scope = idempotency.accountScope(account);
+  const hash = idempotency.payloadHash({ tool: name, ...target });
+
+  if (params.dry_run) {
+    const { token, expires_at } = idempotency.issueConfirmation({ scope, hash, rate: null });
+    return {
+      status: "preview",
+      action: name,
+      target,
+      confirmation_token: token,
+      confirmation_expires_at: expires_at,
+      next_step: `Repeat ${name} for the same target with this confirmation_token to carry it out`,
+    };
+  }
+  if (!POLICY.confirm_destructive) return null;
+  if (!params.confirmation_token) {
+    throw policyError([`${name} needs confirmation: call it with dry_run: true, then repeat it with the returned confirmation_token`]);
+  }
+  idempotency.checkConfirmation(params.confirmation_token, { scope, hash, changed: `confirmation_token was issued for a different ${name} call` });
+  return null;
+}
+
+/** Use up a destructive call's confirmation token once its handler succeeded */
+export function completeToolCall(name, params) {
+  if (DESTRUCTIVE_TOOLS.has(name)) idempotency.consumeConfirmation(params.confirmation_token);
+}
+
+// ─── Labels ─────────────────────────────────────────────────────────
+/** True when a label purchase must be priced before the policy can pass it */
+export function needsRate() {
+  return POLICY.max_label_cost !== undefined || POLICY.daily_spend_limit !== undefined;
+}
+
+/** Why a quote may not be bought, or null when it may */
+export function quoteDenied(quote) {
+  if (POLICY.allowed_carriers.length && !POLICY.allowed_carriers.includes(String(quote.carrier || "").toLowerCase())) {
+    return `carrier ${quote.carrier || "(unknown)"} is not allowed`;
+  }
+  if (POLICY.allowed_services.length && !POLICY.allowed_services.includes(String(quote.service_code || "").toLowerCase())) {
+    return `service ${quote.service_code || "(default)"} is not allowed`;
+  }
+  if (POLICY.max_label_cost !== undefined && quote.total > POLICY.max_label_cost) {
+    return `costs more than the ${POLICY.max_label_cost} per-label limit`;
+  }
+  return null;
+}
+
+/**
+ * Policy problems with buying a label: { carrier, service_code, country,
+ * rate } where carrier is the shipping account's carrier type and rate the
+ * quote it will be billed at (null when none matched). Empty when allowed.
+ */
+export function labelViolations({ carrier, service_code, country, rate }, account) {
+  const problems = [];
+  const destination = normalizeCountry(country) ?? String(country || "").toUpperCase();
+  if (blockedCountries.has(destination)) problems.push(`shipping to ${destination} is blocked`);
+
+  const carrierName = String(carrier || rate?.carrier || "").toLowerCase();
+  if (POLICY.allowed_carriers.length && !POLICY.allowed_carriers.includes(carrierName)) {
+    problems.push(carrierName
+      ? `carrier ${carrierName} is not allowed (allowed: ${POLICY.allowed_carriers.join(", ")})`
+      : "the carrier of this shipping account could not be determined, and only some carriers are allowed");
+  }
+  const service = String(service_code || rate?.service_code || "").toLowerCase();
+  if (POLICY.allowed_services.length && !POLICY.allowed_services.includes(service)) {
+    problems.push(`service ${service || "(carrier default)"} is not allowed (allowed: ${POLICY.allowed_services.join(", ")})`);
+  }
+
+  if (!needsRate()) return problems;
+  if (!rate) {
+    problems.push("no rate was quoted for this shipment, and spend limits need the cost before a label is bought");
+    return problems;
+  }
+  if (POLICY.max_label_cost !== undefined && rate.total > POLICY.max_label_cost) {
+    problems.push(`the label costs ${rate.total} ${rate.currency}, over the ${POLICY.max_label_cost} per-label limit`);
+  }
+  const { spent, limit } = spendToday(account);
+  if (limit !== null && spent + rate.total > limit) {
+    problems.push(`the label costs ${rate.total} ${rate.currency}; with ${spent} already spent today that exceeds the ${limit} daily limit`);
+  }
+  return problems;
+}
+
+// ─── Daily spend ────────────────────────────────────────────────────
+const spendKey = (account) => `${idempotency.accountScope(account)}:${today()}`;
+
+function pruneSpend() {
+  const cutoff = formatDate(addDays(parseDate(today()), -7));
+  spend.prune((entry) => entry.date < cutoff);
+}
+
+/** { spent, limit, remaining } for this account today; limit is null when unset */
+export function spendToday(account) {
+  const spent = spend.get(spendKey(account))?.total ?? 0;
+  const limit = POLICY.daily_spend_limit ?? null;
+  return { spent, limit, remaining: limit === null ? null : Math.round((limit - spent) * 100) / 100 };
+}
+
+/**
+ * Count a label's cost toward today's spend before it is bought. Returns a
+ * release function for when the purchase definitely failed.
+ */
+export function reserveSpend(account, rate) {
+  if (!rate) return () => {};
+  const key = spendKey(account);
+  const add = (amount, labels) => {
+    const entry = spend.get(key) || { date: today(), total: 0, labels: 0 };
+    spend.set(key, { ...entry, total: Math.round((entry.total + amount) * 100) / 100, labels: entry.labels + labels });
+  };
+  pruneSpend();
+  add(rate.total, 1);
+  return () => add(-rate.total, -1);
+}
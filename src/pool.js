@@ -0,0 +1,23 @@
+/**
+ * Bounded concurrency — run an async function over a list with at most
+ * `limit` calls in flight. Results keep input order; a rejection is
+ * returned in place ({ error }) rather than aborting the rest.
+ */
+
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { value: await fn(items[i], i) };
+      } catch (error) {
+        results[i] = { error };
+      }
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit || 1, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
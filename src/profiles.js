@@ -0,0 +1,127 @@
+/**
+ * Account profiles — named integration keys so tools take `profile:
+ * "eu-store"` instead of a raw key that would end up in chat transcripts.
+ *
+ * Profiles live in a JSON file (SHIPI_PROFILES_FILE, default
+ * ~/.shipi/profiles.json):
+ *
+ *   {
+ *     "default": "us-warehouse",
+ *     "profiles": {
+ *       "us-warehouse": { "integration_key": "..." },
+ *       "eu-store": { "integration_key_env": "SHIPI_EU_KEY", "base_url": "https://app.myshipi.com" }
+ *     }
+ *   }
+ *
+ * With no file, a single implicit account is built from SHIPI_INTEGRATION_KEY
+ * and SHIPI_BASE_URL.
+ */
+
+import { readFileSync } from "node:fs";
+import { BASE_URL, DEFAULT_KEY, DEFAULT_PROFILE, HTTP_TOKENS, PROFILES_FILE } from "./config.js";
+import { ErrorCode, ShipiError, registerSecret } from "./errors.js";
+
+/**
+ * @typedef {object} Account
+ * @property {string|null} profile profile name, null for the env/bearer account
+ * @property {string} key integration key
+ * @property {string} baseUrl API base URL
+ */
+
+const { profiles, defaultName } = loadProfiles();
+
+registerSecret(DEFAULT_KEY);
+for (const [token, value] of HTTP_TOKENS) {
+  registerSecret(token);
+  if (!profiles.has(value)) registerSecret(value);
+}
+
+function loadProfiles() {
+  const profiles = new Map();
+  let raw;
+  try {
+    raw = readFileSync(PROFILES_FILE, "utf8");
+  } catch (err) {
+    // The default location is optional; an explicitly configured file is not.
+    if (err.code === "ENOENT" && !process.env.SHIPI_PROFILES_FILE) {
+      return { profiles, defaultName: DEFAULT_PROFILE };
+    }
+    throw new Error(`Cannot read profiles file ${PROFILES_FILE}: ${err.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid JSON in profiles file ${PROFILES_FILE}: ${err.message}`);
+  }
+
+  for (const [name, entry] of Object.entries(config.profiles || {})) {
+    const key = entry.integration_key || (entry.integration_key_env && process.env[entry.integration_key_env]) || "";
+    if (!key) throw new Error(`Profile "${name}" in ${PROFILES_FILE} has no integration key`);
+    registerSecret(key);
+    profiles.set(name, { profile: name, key, baseUrl: (entry.base_url || BASE_URL).replace(/\/+$/, "") });
+  }
+
+  const defaultName = DEFAULT_PROFILE || config.default || "";
+  if (defaultName && !profiles.has(defaultName)) {
+    throw new Error(`Default profile "${defaultName}" is not defined in ${PROFILES_FILE}`);
+  }
+  return { profiles, defaultName };
+}
+
+/** Account used when a call names no profile and carries no bearer token */
+export function defaultAccount() {
+  if (defaultName) return profiles.get(defaultName);
+  return { profile: null, key: DEFAULT_KEY, baseUrl: BASE_URL };
+}
+
+/** Look up a named profile; unknown names are a validation error */
+export function getAccount(name) {
+  const account = profiles.get(name);
+  if (!account) {
+    const known = [...profiles.keys()];
+    throw new ShipiError(
+      ErrorCode.VALIDATION,
+      known.length
+        ? `Unknown profile "${name}". Available profiles: ${known.join(", ")}`
+        : `Unknown profile "${name}". No profiles are configured`,
+    );
+  }
+  return account;
+}
+
+/**
+ * Account for an HTTP bearer token mapping value: a profile name if one
+ * matches, otherwise the value is taken as a raw integration key (and
+ * masked from then on, like every configured key).
+ */
+export function accountForToken(value) {
+  if (profiles.has(value)) return profiles.get(value);
+  registerSecret(value);
+  return { profile: null, key: value, baseUrl: BASE_URL };
+}
+
+/**
+ * Pick the account for a tool call. Over HTTP the bearer token decides and a
+ * `profile` argument may only repeat it; locally the argument picks freely.
+ */
+export function resolveAccount(profile, extra) {
+  const tokenAccount = extra?.authInfo?.extra?.account;
+  if (tokenAccount) {
+    if (profile && profile !== tokenAccount.profile) {
+      throw new ShipiError(ErrorCode.AUTH_FAILED, `Profile "${profile}" is not available to this token`);
+    }
+    return tokenAccount;
+  }
+  return profile ? getAccount(profile) : defaultAccount();
+}
+
+/** Profile names and base URLs — never keys */
+export function listProfiles() {
+  return [...profiles.values()].map((p) => ({
+    name: p.profile,
+    base_url: p.baseUrl,
+    default: p.profile === defaultName,
+  }));
+}
@@ -0,0 +1,190 @@
+/**
+ * Rate normalization — `rates_api/shipi_rates.php` answers in a per-carrier
+ * shape; this flattens it into one list of comparable quotes — and rate
+ * shopping: filter those quotes by business rules and rank them.
+ *
+ * The response is walked rather than indexed so both a flat `rates` array
+ * and carrier-grouped objects (`{ fedex: { rates: [...] } }`) are accepted.
+ */
+
+import { addBusinessDays, businessDaysBetween, formatDate, parseDate, today } from "./dates.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import { firstOf, toNumber } from "./fields.js";
+
+const PRICE_FIELDS = ["total", "total_charge", "total_amount", "amount", "price", "rate", "cost", "charge"];
+const SERVICE_FIELDS = ["service_code", "code", "service", "service_type"];
+
+/** A single quote object, or null if `obj` does not look like one */
+function toQuote(obj, carrierHint) {
+  const total = toNumber(firstOf(obj, PRICE_FIELDS));
+  const serviceCode = firstOf(obj, SERVICE_FIELDS);
+  if (total === undefined || serviceCode === undefined || typeof serviceCode === "object") return null;
+
+  const transit = toNumber(firstOf(obj, ["transit_days", "transit_time", "delivery_days", "days"]));
+  return {
+    carrier: String(firstOf(obj, ["carrier", "carrier_type", "carrier_name"]) ?? carrierHint ?? "").toLowerCase(),
+    carrier_id: toNumber(firstOf(obj, ["carrier_id", "account_id", "shipping_account_id"])) ?? null,
+    service_code: String(serviceCode),
+    service_name: String(firstOf(obj, ["service_name", "name", "description", "service_description"]) ?? serviceCode),
+    total,
+    currency: String(firstOf(obj, ["currency", "currency_code"]) ?? "USD").toUpperCase(),
+    transit_days: transit ?? null,
+    estimated_delivery: firstOf(obj, ["estimated_delivery", "delivery_date", "estimated_delivery_date", "eta"]) ?? null,
+  };
+}
+
+/**
+ * Flatten a rates response into quotes:
+ * { carrier, carrier_id, service_code, service_name, total, currency, transit_days, estimated_delivery }
+ */
+export function normalizeRates(data) {
+  const quotes = [];
+  const walk = (node, carrierHint) => {
+    if (Array.isArray(node)) {
+      for (const item of node) walk(item, carrierHint);
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+    const quote = toQuote(node, carrierHint);
+    if (quote) {
+      quotes.push(quote);
+      return;
+    }
+    for (const [k, v] of Object.entries(node)) {
+      // Object keys under the root are usually carrier names ("fedex": {...}).
+      const hint = v && typeof v === "object" && /^[a-z_ -]+$/i.test(k) && !/^(data|rates|result|results|quotes)$/i.test(k)
+        ? k
+        : carrierHint;
+      walk(v, hint);
+    }
+  };
+  walk(data, undefined);
+  return quotes;
+}
+
+/**
+ * The quote a label for `serviceCode` on account `carrierId` would be billed
+ * at. An empty service code means the carrier default: the cheapest quote.
+ */
+export function findRate(quotes, { carrierId, serviceCode } = {}) {
+  const candidates = quotes.filter((q) => q.carrier_id === null || carrierId === undefined || q.carrier_id === carrierId);
+  const matching = serviceCode
+    ? candidates.filter((q) => q.service_code.toLowerCase() === serviceCode.toLowerCase())
+    : candidates;
+  if (!matching.length) return null;
+  return matching.reduce((best, q) => (q.total < best.total ? q : best));
+}
+
+// ─── Rate shopping ──────────────────────────────────────────────────
+export const STRATEGIES = ["cheapest", "fastest", "deadline"];
+
+/**
+ * Fill in whichever of transit_days / estimated_delivery the carrier left
+ * out, counting business days from the ship date.
+ */
+export function withDeliveryEstimate(quote, shipDate = today()) {
+  const ship = parseDate(shipDate);
+  const eta = parseDate(quote.estimated_delivery);
+  if (eta) {
+    return {
+      ...quote,
+      estimated_delivery: formatDate(eta),
+      transit_days: quote.transit_days ?? businessDaysBetween(ship, eta),
+    };
+  }
+  if (quote.transit_days !== null && ship) {
+    return { ...quote, estimated_delivery: formatDate(addBusinessDays(ship, quote.transit_days)) };
+  }
+  return quote;
+}
+
+/** Most common currency among quotes */
+function dominantCurrency(quotes) {
+  const counts = new Map();
+  for (const q of quotes) counts.set(q.currency, (counts.get(q.currency) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * Apply business rules and rank quotes.
+ *
+ *   strategy            cheapest | fastest | deadline (cheapest arriving by deliver_by)
+ *   excluded_carriers   carriers never chosen
+ *   preferred_carriers  tie-break order when quotes are equal on the strategy
+ *   max_cost            quotes above this total are dropped
+ *   tie_tolerance       totals within this amount count as equal
+ *   currency            compare only quotes in this currency
+ *
+ * Returns { chosen, options, excluded, warnings }.
+ */
+export function rankRates(quotes, rules = {}) {
+  const {
+    strategy = "cheapest",
+    deliver_by,
+    ship_date = today(),
+    excluded_carriers = [],
+    preferred_carriers = [],
+    max_cost,
+    tie_tolerance = 0,
+  } = rules;
+  const warnings = [];
+  const excluded = [];
+  const exclude = (quote, reason) => excluded.push({ carrier: quote.carrier, service_code: quote.service_code, total: quote.total, reason });
+
+  if (!parseDate(ship_date)) {
+    throw new ShipiError(ErrorCode.VALIDATION, `ship_date "${ship_date}" is not a valid date (YYYY-MM-DD)`);
+  }
+  if (strategy === "deadline" && !parseDate(deliver_by)) {
+    throw new ShipiError(ErrorCode.VALIDATION, "strategy \"deadline\" needs deliver_by (YYYY-MM-DD)");
+  }
+
+  let currency = rules.currency?.toUpperCase();
+  const enriched = quotes.map((q) => withDeliveryEstimate(q, ship_date));
+  if (!currency && new Set(enriched.map((q) => q.currency)).size > 1) {
+    currency = dominantCurrency(enriched);
+    warnings.push(`Quotes came in several currencies; comparing ${currency} only (pass currency to choose)`);
+  }
+
+  const excludedSet = new Set(excluded_carriers.map((c) => c.toLowerCase()));
+  const deadline = parseDate(deliver_by);
+  const eligible = enriched.filter((q) => {
+    if (excludedSet.has(q.carrier)) return exclude(q, "carrier excluded"), false;
+    if (currency && q.currency !== currency) return exclude(q, `priced in ${q.currency}`), false;
+    if (max_cost !== undefined && q.total > max_cost) return exclude(q, `costs more than ${max_cost}`), false;
+    if (deadline) {
+      const eta = parseDate(q.estimated_delivery);
+      if (!eta) return exclude(q, "no delivery estimate"), false;
+      if (eta > deadline) return exclude(q, `arrives ${q.estimated_delivery}, after ${deliver_by}`), false;
+    }
+    return true;
+  });
+
+  const preference = (q) => {
+    const i = preferred_carriers.findIndex((c) => c.toLowerCase() === q.carrier);
+    return i === -1 ? Infinity : i;
+  };
+  const transit = (q) => q.transit_days ?? Infinity;
+  const byCost = (a, b) => (Math.abs(a.total - b.total) > tie_tolerance ? a.total - b.total : 0);
+  const bySpeed = (a, b) => transit(a) - transit(b);
+  const byPreference = (a, b) => {
+    const pa = preference(a);
+    const pb = preference(b);
+    return pa === pb ? 0 : pa < pb ? -1 : 1;
+  };
+  const order = strategy === "fastest"
+    ? [bySpeed, byPreference, (a, b) => a.total - b.total]
+    : [byCost, byPreference, bySpeed, (a, b) => a.total - b.total];
+
+  const options = eligible
+    .sort((a, b) => {
+      for (const cmp of order) {
+        const d = cmp(a, b);
+        if (d) return d;
+      }
+      return 0;
+    })
+    .map((q, i) => ({ rank: i + 1, ...q }));
+
+  if (!options.length) warnings.push("No quote satisfies the rules");
+  return { chosen: options[0] || null, options, excluded, warnings };
+}
@@ -0,0 +1,225 @@
+/**
+ * Shipping reports — aggregate the local shipment index over a period by
+ * carrier, service, destination or date: volume, cost per package and per
+ * lb, on-time delivery against the estimated date, and cancellation rate,
+ * optionally against the previous period of the same length.
+ *
+ * Output is a markdown table for the chat plus, on request, a CSV file
+ * under SHIPI_DATA_DIR/reports for finance.
+ *
+ * Costs are only summed in one currency (the period's most common);
+ * shipments billed in another are counted but left out of cost figures.
+ * Cancelled shipments count toward the cancellation rate only.
+ */
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { basename, join } from "node:path";
+import { indexedShipments, refreshIndex } from "./cache.js";
+import { API_UNITS, DATA_DIR } from "./config.js";
+import { toCsv } from "./csv.js";
+import { addDays, daysBetween, formatDate, parseDate, today } from "./dates.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import { convertWeight } from "./units.js";
+
+export const REPORT_DIR = join(DATA_DIR, "reports");
+export const GROUP_BY = ["carrier", "service", "country", "state", "day", "month"];
+const CANCELLED = /^(cancel+ed|void(ed)?|deleted)$/;
+
+const round = (value, places = 2) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10 ** places) / 10 ** places);
+const ratio = (part, whole) => (whole ? part / whole : null);
+
+const GROUP_KEYS = {
+  carrier: (s) => s.carrier || "unknown",
+  service: (s) => [s.carrier, s.service].filter(Boolean).join(" ") || "unknown",
+  country: (s) => String(s.recipient.country || "unknown").toUpperCase(),
+  state: (s) => [s.recipient.country, s.recipient.state].filter(Boolean).join("-").toUpperCase() || "unknown",
+  day: (s) => String(s.created_at).slice(0, 10),
+  month: (s) => String(s.created_at).slice(0, 7),
+};
+
+/** Shipments created within [from, to] */
+function inPeriod(shipments, from, to) {
+  return shipments.filter((s) => {
+    const date = parseDate(s.created_at);
+    return date && date >= from && date <= to;
+  });
+}
+
+/** The most common currency among shipments with a cost */
+function mainCurrency(shipments) {
+  const counts = new Map();
+  for (const s of shipments) if (s.cost !== null) counts.set(s.currency || "", (counts.get(s.currency || "") || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? "";
+}
+
+/** Metrics for one group of shipments */
+function metrics(shipments, currency) {
+  const live = shipments.filter((s) => !CANCELLED.test(s.status || ""));
+  const costed = live.filter((s) => s.cost !== null && (s.currency || "") === currency);
+  const cost = costed.reduce((sum, s) => sum + s.cost, 0);
+  const packages = costed.reduce((n, s) => n + s.packages, 0);
+  const weighed = costed.filter((s) => s.weight > 0);
+  const weightLb = weighed.reduce((w, s) => w + convertWeight(s.weight, API_UNITS.weight, "lb"), 0);
+  const weighedCost = weighed.reduce((sum, s) => sum + s.cost, 0);
+
+  const delivered = live.filter((s) => s.status === "delivered" || s.delivered_at);
+  const judged = delivered.filter((s) => parseDate(s.estimated_delivery) && parseDate(s.delivered_at));
+  const onTime = judged.filter((s) => parseDate(s.delivered_at) <= parseDate(s.estimated_delivery));
+
+  return {
+    shipments: shipments.length,
+    packages: live.reduce((n, s) => n + s.packages, 0),
+    cost: round(cost),
+    avg_cost_per_shipment: round(ratio(cost, costed.length)),
+    avg_cost_per_package: round(ratio(cost, packages)),
+    avg_cost_per_lb: round(ratio(weighedCost, weightLb)),
+    delivered: delivered.length,
+    on_time: onTime.length,
+    on_time_rate: round(ratio(onTime.length, judged.length), 4),
+    cancelled: shipments.length - live.length,
+    cancellation_rate: round(ratio(shipments.length - live.length, shipments.length), 4),
+  };
+}
+
+const COMPARED = ["shipments", "cost", "avg_cost_per_package", "avg_cost_per_lb"];
+const COMPARED_RATES = ["on_time_rate", "cancellation_rate"];
+
+/** Period-over-period change: percent for amounts, points for rates */
+function compare(current, previous) {
+  const change = {};
+  for (const field of COMPARED) {
+    const [now, before] = [current[field], previous[field]];
+    change[`${field}_change_pct`] = now === null || !before ? null : round(((now - before) / before) * 100, 1);
+  }
+  for (const field of COMPARED_RATES) {
+    const [now, before] = [current[field], previous[field]];
+    change[`${field}_change_pts`] = now === null || before === null ? null : round((now - before) * 100, 1);
+  }
+  return change;
+}
+
+// ─── Output ─────────────────────────────────────────────────────────
+const pct = (rate) => (rate === null ? "–" : `${(rate * 100).toFixed(1)}%`);
+const money = (value, currency) => (value === null ? "–" : `${value.toFixed(2)}${currency ? ` ${currency}` : ""}`);
+const signed = (value, unit) => (value === null ? "–" : `${value > 0 ? "+" : ""}${value}${unit}`);
+const cell = (text) => String(text).replace(/\|/g, "\\|");
+
+function markdown(report) {
+  const { currency } = report;
+  const head = [report.group_by, "Shipments", "Packages", "Cost", "Avg / package", "Avg / lb", "On-time", "Cancelled"];
+  const row = (label, m) => [
+    label,
+    m.shipments,
+    m.packages,
+    money(m.cost, currency),
+    money(m.avg_cost_per_package, currency),
+    money(m.avg_cost_per_lb, currency),
+    `${pct(m.on_time_rate)} (${m.on_time}/${m.delivered})`,
+    `${pct(m.cancellation_rate)} (${m.cancelled})`,
+  ];
+  const lines = [
+    `**Shipping report ${report.period.from} – ${report.period.to}** (by ${report.group_by})`,
+    ...(report.stale ? ["", `_The Shipi API could not be reached; figures are from the index as synced ${report.synced_at ? `at ${report.synced_at}` : "so far"}._`] : []),
+    "",
+    `| ${head.map(cell).join(" | ")} |`,
+    `|${head.map((_, i) => (i ? " ---: " : " --- ")).join("|")}|`,
+    ...report.groups.map((g) => `| ${row(g.group, g).map(cell).join(" | ")} |`),
+    `| ${row("**Total**", report.totals).map(cell).join(" | ")} |`,
+  ];
+  if (report.previous) {
+    const p = report.previous;
+    const c = report.change;
+    lines.push(
+      "",
+      `**vs. ${p.period.from} – ${p.period.to}**`,
+      "",
+      "| Metric | Previous | Current | Change |",
+      "| --- | ---: | ---: | ---: |",
+      `| Shipments | ${p.totals.shipments} | ${report.totals.shipments} | ${signed(c.shipments_change_pct, "%")} |`,
+      `| Cost | ${money(p.totals.cost, currency)} | ${money(report.totals.cost, currency)} | ${signed(c.cost_change_pct, "%")} |`,
+      `| Avg / package | ${money(p.totals.avg_cost_per_package, currency)} | ${money(report.totals.avg_cost_per_package, currency)} | ${signed(c.avg_cost_per_package_change_pct, "%")} |`,
+      `| Avg / lb | ${money(p.totals.avg_cost_per_lb, currency)} | ${money(report.totals.avg_cost_per_lb, currency)} | ${signed(c.avg_cost_per_lb_change_pct, "%")} |`,
+      `| On-time | ${pct(p.totals.on_time_rate)} | ${pct(report.totals.on_time_rate)} | ${signed(c.on_time_rate_change_pts, " pts")} |`,
+      `| Cancelled | ${pct(p.totals.cancellation_rate)} | ${pct(report.totals.cancellation_rate)} | ${signed(c.cancellation_rate_change_pts, " pts")} |`,
+    );
+  }
+  return lines.join("\n");
+}
+
+// Spreadsheets run cells starting with these as formulas.
+const safeCell = (value) => (typeof value === "string" && /^[=+\-@]/.test(value) ? `'${value}` : value);
+
+function writeCsv(report) {
+  const rows = [...report.groups, { group: "TOTAL", ...report.totals }].map((g) => ({
+    period_from: report.period.from,
+    period_to: report.period.to,
+    [report.group_by]: safeCell(g.group),
+    currency: report.currency,
+    ...Object.fromEntries(Object.entries(g).filter(([k]) => k !== "group")),
+  }));
+  mkdirSync(REPORT_DIR, { recursive: true });
+  const path = join(REPORT_DIR, `shipping-${report.group_by}-${report.period.from}-${report.period.to}.csv`);
+  const csv = toCsv(rows);
+  writeFileSync(path, csv, { mode: 0o600 });
+  return { path, rows: rows.length, content: { type: "resource", resource: { uri: `shipi://reports/${basename(path)}`, mimeType: "text/csv", text: csv } } };
+}
+
+// ─── Report ─────────────────────────────────────────────────────────
+/**
+ * Build the report. Resolves with { period, group_by, currency, groups,
+ * totals, previous?, change?, markdown, csv? } — csv holds the file's
+ * { path, rows, content } with content as an MCP resource block.
+ */
+export async function shippingReport(params, account) {
+  const to = parseDate(params.date_to) || parseDate(today());
+  const from = parseDate(params.date_from) || addDays(to, -29);
+  if (from > to) throw new ShipiError(ErrorCode.VALIDATION, "date_from must not be after date_to");
+  const days = daysBetween(from, to) + 1;
+  const prevTo = addDays(from, -1);
+  const prevFrom = addDays(prevTo, -(days - 1));
+
+  const { synced_at, sync, stale, warning } = await refreshIndex(account, {
+    refresh: params.refresh,
+    from: formatDate(params.compare ? prevFrom : from),
+  });
+  const all = indexedShipments(account);
+  const current = inPeriod(all, from, to);
+  const currency = mainCurrency(current);
+  const key = GROUP_KEYS[params.group_by];
+
+  const buckets = new Map();
+  for (const s of current) {
+    const group = key(s);
+    if (!buckets.has(group)) buckets.set(group, []);
+    buckets.get(group).push(s);
+  }
+  const groups = [...buckets]
+    .map(([group, shipments]) => ({ group, ...metrics(shipments, currency) }))
+    .sort(["day", "month"].includes(params.group_by) ? (a, b) => a.group.localeCompare(b.group) : (a, b) => b.shipments - a.shipments);
+
+  const report = {
+    period: { from: formatDate(from), to: formatDate(to), days },
+    group_by: params.group_by,
+    currency: currency || null,
+    synced_at,
+    ...(sync && { sync }),
+    ...(stale && { stale }),
+    groups,
+    totals: metrics(current, currency),
+  };
+  const otherCurrency = current.filter((s) => s.cost !== null && (s.currency || "") !== currency).length;
+  const warnings = [];
+  if (stale) warnings.push(warning);
+  if (otherCurrency) warnings.push(`${otherCurrency} shipment(s) billed in another currency are left out of cost figures`);
+  if (!synced_at) warnings.push("The shipment index is empty; run sync_shipments or use refresh: auto");
+
+  if (params.compare) {
+    const previous = inPeriod(all, prevFrom, prevTo);
+    report.previous = { period: { from: formatDate(prevFrom), to: formatDate(prevTo), days }, totals: metrics(previous, currency) };
+    report.change = compare(report.totals, report.previous.totals);
+  }
+  if (warnings.length) report.warnings = warnings;
+  report.markdown = markdown(report);
+  if (params.export_csv) report.csv = writeCsv(report);
+  return report;
+}
@@ -0,0 +1,154 @@
+/**
+ * MCP resources — read-only views of carriers, the address book, shipments
+ * and unprinted labels, so clients can browse and attach them as context:
+ *
+ *   shipi://carriers            shipi://carriers/{id}
+ *   shipi://addresses           shipi://addresses/{id}
+ *   shipi://shipments/{id}      shipi://labels/unprinted
+ *
+ * Reads use the default account (or, over HTTP, the bearer token's).
+ * Carrier and address reads share the tools' cache entries (SHIPI_CACHE),
+ * so an address change clears both. Tools that change these lists trigger
+ * a resources/list_changed notification once they succeed — not for dry
+ * runs, replays or results that report an error, and for print_labels
+ * only when it marked labels printed.
+ */
+
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { cachedRead } from "./cache.js";
+import { toText } from "./errors.js";
+import { resolveAccount } from "./profiles.js";
+import { shipiRequest } from "./shipi.js";
+
+/** Tools whose success can change a resource list */
+const MUTATING_TOOLS = new Set([
+  "create_shipment",
+  "cancel_shipment",
+  "create_shipments_batch",
+  "create_return_label",
+  "add_address",
+  "edit_address",
+  "delete_address",
+  "print_labels",
+]);
+
+/** True when a tool call with this result changed a resource list */
+export function mutatesResources(toolName, params, data) {
+  if (!MUTATING_TOOLS.has(toolName) || params?.dry_run || data?.idempotent_replay || data?.isError) return false;
+  return toolName !== "print_labels" || data?.marked_printed > 0;
+}
+
+const json = (uri, data) => ({
+  contents: [{ uri: uri.href, mimeType: "application/json", text: toText(data) }],
+});
+
+/** The first array of objects with an `id` anywhere in a list response */
+function listItems(data) {
+  let found = null;
+  const walk = (node) => {
+    if (found || !node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      if (node.some((item) => item && typeof item === "object" && item.id !== undefined)) {
+        found = node.filter((item) => item && item.id !== undefined);
+        return;
+      }
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(data);
+  return found || [];
+}
+
+/** GET for the request's account; with `cacheKey`, through the cache under the matching tool's key */
+function read(extra, endpoint, params, cacheKey) {
+  const account = resolveAccount(undefined, extra);
+  const fetch = () => shipiRequest(endpoint, params, "GET", account);
+  return cacheKey ? cachedRead(account, cacheKey, fetch) : fetch();
+}
+
+/** resources/list entries for a template, one per item in a list response */
+function lister(endpoint, query, { prefix, label, cacheKey }) {
+  return async (extra) => {
+    const data = await read(extra, endpoint, { action: "list", ...query }, cacheKey);
+    return {
+      resources: listItems(data).map((item) => ({
+        uri: `shipi://${prefix}/${encodeURIComponent(item.id)}`,
+        name: `${prefix}/${item.id}`,
+        title: label(item),
+        mimeType: "application/json",
+      })),
+    };
+  };
+}
+
+/** Read callback for a fixed URI */
+const readStatic = (endpoint, params, cacheKey) => async (uri, extra) => json(uri, await read(extra, endpoint, params, cacheKey));
+
+/**
+ * Read callback for a template; `toParams` maps URI variables to the query
+ * and `toKey`, if given, to the cache key.
+ */
+const readTemplate = (endpoint, toParams, toKey) => async (uri, variables, extra) =>
+  json(uri, await read(extra, endpoint, toParams(variables), toKey?.(variables)));
+
+export function registerResources(server) {
+  // ─── Carriers ───────────────────────────────────────────────────────
+  server.resource(
+    "carriers",
+    "shipi://carriers",
+    { description: "Configured carrier accounts (credentials never included)", mimeType: "application/json" },
+    readStatic("api/v1/carriers.php", { action: "list" }, "carriers:list")
+  );
+  server.resource(
+    "carrier",
+    new ResourceTemplate("shipi://carriers/{id}", {
+      list: lister("api/v1/carriers.php", {}, {
+        prefix: "carriers",
+        cacheKey: "carriers:list",
+        label: (c) => [c.carrier_type ?? c.carrier, c.account_name ?? c.name].filter(Boolean).join(" — ") || `Carrier ${c.id}`,
+      }),
+    }),
+    { description: "One carrier account", mimeType: "application/json" },
+    readTemplate("api/v1/carriers.php", ({ id }) => ({ action: "get", id: Number(id) }), ({ id }) => `carriers:get:${Number(id)}`)
+  );
+
+  // ─── Address book ───────────────────────────────────────────────────
+  server.resource(
+    "addresses",
+    "shipi://addresses",
+    { description: "Saved shipper and receiver addresses", mimeType: "application/json" },
+    readStatic("api/v1/addresses.php", { action: "list" }, "addresses:list:")
+  );
+  server.resource(
+    "address",
+    new ResourceTemplate("shipi://addresses/{id}", {
+      list: lister("api/v1/addresses.php", {}, {
+        prefix: "addresses",
+        cacheKey: "addresses:list:",
+        label: (a) => [a.name, a.company, a.city].filter(Boolean).join(", ") || `Address ${a.id}`,
+      }),
+    }),
+    { description: "One saved address", mimeType: "application/json" },
+    readTemplate("api/v1/addresses.php", ({ id }) => ({ action: "get", id: Number(id) }), ({ id }) => `addresses:get:${Number(id)}`)
+  );
+
+  // ─── Shipments and labels ───────────────────────────────────────────
+  server.resource(
+    "shipment",
+    new ResourceTemplate("shipi://shipments/{id}", {
+      // Only the most recent page is listed; any shipment id can be read.
+      list: lister("api/v1/shipments.php", { page: 1, per_page: 20 }, {
+        prefix: "shipments",
+        label: (s) => [s.order_id && `Order ${s.order_id}`, s.carrier, s.tracking_number].filter(Boolean).join(" · ") || `Shipment ${s.id}`,
+      }),
+    }),
+    { description: "One shipment: shipper, recipient, products, tracking and label", mimeType: "application/json" },
+    readTemplate("api/v1/shipments.php", ({ id }) => ({ action: "get", id: String(id) }))
+  );
+  server.resource(
+    "unprinted-labels",
+    "shipi://labels/unprinted",
+    { description: "Labels not yet printed", mimeType: "application/json" },
+    readStatic("label_api/fetch_labels.php", { page: 1, limit: 100, printed: "not_printed" })
+  );
+}
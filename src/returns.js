@@ -0,0 +1,219 @@
+/**
+ * Return labels — build a return shipment from an existing one: fetch the
+ * original, swap shipper and recipient, keep all or some of its products
+ * (each with a reason code), pick a return service, and buy the label
+ * through the same guarded flow as create_shipment (dry run, confirmation,
+ * idempotency, policy).
+ *
+ * Each return is linked to its original in the label meta (return_for) and
+ * in returns.json, so get_shipment and query_shipments can show the link
+ * both ways.
+ */
+
+import { addressFromRecord } from "./addressbook.js";
+import { normalizeShipment, shipmentRecord } from "./cache.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import { firstOf, toNumber } from "./fields.js";
+import { accountScope } from "./idempotency.js";
+import { quoteDenied } from "./policy.js";
+import { findRate } from "./rates.js";
+import { shipiRequest } from "./shipi.js";
+import { labelSummary, previewShipment, purchaseShipment, quoteShipment } from "./shipments.js";
+import { JsonStore } from "./store.js";
+
+export const RETURN_REASONS = ["damaged", "defective", "wrong_item", "not_as_described", "no_longer_needed", "size_or_fit", "arrived_late", "other"];
+
+const links = new JsonStore("returns.json");
+
+// ─── Original shipment ──────────────────────────────────────────────
+/** Product lines of a shipment record in create_shipment's shape */
+function recordProducts(record) {
+  const lines = Array.isArray(record.products) ? record.products : [];
+  return lines.map((p) => ({
+    name: String(firstOf(p, ["prod_name", "name", "product_name"]) ?? "Package"),
+    weight: toNumber(firstOf(p, ["prod_weight", "weight"])) ?? 0,
+    quantity: toNumber(firstOf(p, ["prod_quantity", "quantity", "qty"])) ?? 1,
+    price: toNumber(firstOf(p, ["prod_price", "price"])) ?? 0,
+    length: toNumber(firstOf(p, ["prod_depth", "length"])),
+    width: toNumber(firstOf(p, ["prod_width", "width"])),
+    height: toNumber(firstOf(p, ["prod_height", "height"])),
+    description: firstOf(p, ["prod_description", "description"]),
+    hs_code: firstOf(p, ["prod_hs_code", "hs_code"]),
+    origin_country: firstOf(p, ["prod_origin_country", "origin_country"]),
+    declared_value: toNumber(firstOf(p, ["prod_declared_value", "declared_value"])),
+  }));
+}
+
+/**
+ * Fetch the shipment being returned, by shipment ID or order ID. Resolves
+ * with { id, order_id, tracking_number, carrier_id, service_code, shipper,
+ * recipient, products, currency }.
+ */
+export async function loadOriginal({ shipment_id, order_id }, account) {
+  if (shipment_id === undefined && !order_id) throw new ShipiError(ErrorCode.VALIDATION, "Pass shipment_id or order_id of the shipment being returned");
+  const query = shipment_id !== undefined ? { action: "get", id: String(shipment_id) } : { action: "get", order_id };
+  const record = shipmentRecord(await shipiRequest("api/v1/shipments.php", query, "GET", account));
+  if (!record) throw new ShipiError(ErrorCode.VALIDATION, `Shipment ${shipment_id ?? order_id} was not found`);
+
+  const summary = normalizeShipment(record);
+  const shipper = addressFromRecord(record, "s_") ?? addressFromRecord(record.shipper ?? record.sender);
+  const recipient = addressFromRecord(record, "t_") ?? addressFromRecord(record.recipient ?? record.receiver);
+  const products = recordProducts(record);
+  const problems = [];
+  if (!shipper) problems.push("its shipper address");
+  if (!recipient) problems.push("its recipient address");
+  if (!products.length) problems.push("its products");
+  if (problems.length) {
+    throw new ShipiError(ErrorCode.VALIDATION, `Shipment ${summary.id || shipment_id || order_id} is missing ${problems.join(", ")}; create the return with create_shipment instead`);
+  }
+  return {
+    id: summary.id || String(shipment_id ?? ""),
+    order_id: summary.order_id,
+    tracking_number: summary.tracking_number,
+    carrier_id: toNumber(firstOf(record, ["carrier_id", "account_id", "shipping_account_id"])),
+    service_code: firstOf(record, ["service_code"]) ?? null,
+    shipper,
+    recipient,
+    products,
+    currency: firstOf(record, ["currency", "currency_code"]) ?? null,
+  };
+}
+
+/**
+ * The products going back: all of them, or the `items` picked by index or
+ * name. `returned` lists items already sent back on earlier returns of the
+ * same shipment; across those and every item here, no product goes back
+ * more often than it was shipped. Each carries its reason.
+ */
+export function returnProducts(products, items, reason, returned = []) {
+  const left = products.map((p) => p.quantity - returned
+    .filter((r) => String(r.name).toLowerCase() === p.name.toLowerCase())
+    .reduce((n, r) => n + (Number(r.quantity) || 0), 0));
+
+  if (!items?.length) {
+    const remaining = products
+      .map((p, index) => ({ ...p, quantity: left[index], return_reason: reason }))
+      .filter((p) => p.quantity > 0);
+    if (!remaining.length) throw new ShipiError(ErrorCode.VALIDATION, "Everything in this shipment has already been returned");
+    return remaining;
+  }
+  return items.map((item, i) => {
+    const index = typeof item.product === "number"
+      ? item.product
+      : products.findIndex((p) => p.name.toLowerCase() === String(item.product).toLowerCase());
+    const product = products[index];
+    if (!product) {
+      throw new ShipiError(ErrorCode.VALIDATION, `items[${i}].product "${item.product}" is not in the original shipment (products: ${products.map((p, n) => `${n}: ${p.name}`).join(", ")})`);
+    }
+    const quantity = item.quantity ?? left[index];
+    if (quantity > left[index]) {
+      throw new ShipiError(ErrorCode.VALIDATION, `items[${i}] returns ${quantity} of "${product.name}" but only ${Math.max(left[index], 0)} of the ${product.quantity} shipped are left to return`);
+    }
+    left[index] -= quantity;
+    return { ...product, quantity, return_reason: item.reason ?? reason };
+  });
+}
+
+// ─── Return label ───────────────────────────────────────────────────
+/**
+ * The create_shipment arguments for a return: addresses swapped, the chosen
+ * products, and a service — the given one, else the cheapest the original
+ * carrier account quotes (and the policy allows).
+ */
+async function returnShipment(params, account) {
+  const original = await loadOriginal(params, account);
+  const carrierId = params.carrier_id ?? original.carrier_id;
+  if (carrierId === undefined) throw new ShipiError(ErrorCode.VALIDATION, "The original shipment has no shipping account ID; pass carrier_id");
+
+  const shipment = {
+    carrier_id: carrierId,
+    service_code: params.service_code ?? "",
+    shipper: original.recipient,
+    recipient: original.shipper,
+    products: returnProducts(original.products, params.items, params.reason, returnedItems(account, original)),
+    order_reference: params.return_reference || `RET-${original.order_id ?? original.id}`,
+    return_for: { shipment_id: original.id, order_id: original.order_id, tracking_number: original.tracking_number },
+    ...(params.customs && { customs: params.customs }),
+    ...(params.skip_address_validation && { skip_address_validation: true }),
+  };
+  if (!shipment.customs && original.currency) shipment.customs = { currency: original.currency, reason_for_export: "return" };
+
+  const warnings = [];
+  if (!params.service_code) {
+    const { quotes } = await quoteShipment(shipment, account);
+    const rate = findRate(quotes.filter((q) => !quoteDenied(q)), { carrierId });
+    if (rate) shipment.service_code = rate.service_code;
+    else warnings.push("No return rate was quoted; the carrier's default service will be used");
+  }
+  return { original, shipment, warnings };
+}
+
+/**
+ * Preview or buy a return label. `params` carries shipment_id|order_id,
+ * items, reason, service_code, carrier_id, customs, return_reference,
+ * dry_run and confirmation_token.
+ */
+export async function createReturnLabel(params, account) {
+  const { original, shipment, warnings } = await returnShipment(params, account);
+  const call = { ...shipment, idempotency_key: params.idempotency_key, dry_run: params.dry_run, confirmation_token: params.confirmation_token };
+  const returnOf = { shipment_id: original.id, order_id: original.order_id, tracking_number: original.tracking_number };
+
+  if (params.dry_run) {
+    const preview = await previewShipment(call, account);
+    return { ...preview, return_of: returnOf, service_code: shipment.service_code, warnings: [...warnings, ...(preview.warnings || [])] };
+  }
+  const data = await purchaseShipment(call, account);
+  const label = labelSummary(data);
+  if (!data.idempotent_replay) {
+    linkReturn(account, original, {
+      ...label,
+      order_reference: shipment.order_reference,
+      service_code: shipment.service_code,
+      items: shipment.products.map((p) => ({ name: p.name, quantity: p.quantity, reason: p.return_reason })),
+      created_at: new Date().toISOString(),
+    });
+  }
+  return { ...data, return_of: returnOf, ...(warnings.length && { warnings }) };
+}
+
+// ─── Links ──────────────────────────────────────────────────────────
+function linkReturn(account, original, ret) {
+  const key = `${accountScope(account)}:${original.id}`;
+  const entry = links.get(key) || { original: { shipment_id: original.id, order_id: original.order_id, tracking_number: original.tracking_number }, returns: [] };
+  links.set(key, { ...entry, returns: [...entry.returns, ret] });
+}
+
+/**
+ * Return links for a shipment ({ id, order_id, tracking_number }): returns
+ * made for it and, for a return label, the shipment it returns. Empty
+ * object when there are none.
+ */
+export function returnLinks(account, shipment) {
+  const scope = accountScope(account);
+  const ids = [shipment.id, shipment.order_id, shipment.tracking_number].filter((v) => v !== undefined && v !== null && v !== "").map(String);
+  if (!ids.length) return {};
+  const found = {};
+  for (const [key, entry] of Object.entries(links.load())) {
+    if (!key.startsWith(`${scope}:`)) continue;
+    const original = entry.original;
+    if ([original.shipment_id, original.order_id, original.tracking_number].some((v) => v !== null && ids.includes(String(v)))) {
+      found.returns = entry.returns;
+    }
+    const ret = entry.returns.find((r) => [r.shipment_id, r.tracking_number, r.order_reference].some((v) => v !== null && ids.includes(String(v))));
+    if (ret) found.return_of = original;
+  }
+  return found;
+}
+
+/** Items already sent back on earlier return labels for `original` */
+function returnedItems(account, original) {
+  const { returns = [] } = returnLinks(account, { id: original.id, order_id: original.order_id, tracking_number: original.tracking_number });
+  return returns.flatMap((r) => r.items || []);
+}
+
+/** A get_shipment response with its return links added */
+export function withReturnLinks(account, data) {
+  const record = shipmentRecord(data);
+  const found = record ? returnLinks(account, normalizeShipment(record)) : {};
+  return Object.keys(found).length ? { ...data, ...found } : data;
+}
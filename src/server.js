@@ -0,0 +1,996 @@
+/**
+ * MCP server factory — registers the Shipi tools on a fresh McpServer.
+ *
+ * A new server is built per transport session (stdio gets exactly one,
+ * HTTP gets one per connected client), so nothing here is shared state.
+ */
+
+import { randomUUID } from "node:crypto";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { VERSION } from "./config.js";
+import { ShipiError, errorResult, toolResult, withAttachments } from "./errors.js";
+import { listProfiles, resolveAccount } from "./profiles.js";
+import { shipiRequest } from "./shipi.js";
+import { addressError, checkAddresses, validateAddress } from "./address.js";
+import { searchSaved } from "./addressbook.js";
+import { prepareProducts, previewShipment, purchaseShipment, ratesCustoms, shopShipment, toApiProducts } from "./shipments.js";
+import { DIMENSION_UNITS, WEIGHT_UNITS } from "./units.js";
+import { STRATEGIES } from "./rates.js";
+import { EXPORT_REASONS, INCOTERMS, checkCustoms, customsError, writeInvoice } from "./customs.js";
+import { runBatch } from "./batch.js";
+import { trackShipment } from "./tracking.js";
+import { MAX_MONITORED, monitorShipments } from "./monitor.js";
+import { mutatesResources, registerResources } from "./resources.js";
+import { downloadLabels, printLabels } from "./labels.js";
+import {
+  MAX_SYNC_PAGES,
+  SORT_FIELDS,
+  cachedRead,
+  cachedShipment,
+  indexShipments,
+  invalidate,
+  markCancelled,
+  queryShipments,
+  syncShipments,
+} from "./cache.js";
+import { GROUP_BY, shippingReport } from "./reports.js";
+import { checkToolCall, completeToolCall, toolAllowed } from "./policy.js";
+import { AUDITED_TOOLS, isAudited, readAuditLog, recordCall } from "./audit.js";
+import { RETURN_REASONS, createReturnLabel, returnLinks, withReturnLinks } from "./returns.js";
+import { PICKUP_STATUSES, cancelPickup, listPickups, reschedulePickup, schedulePickups } from "./pickups.js";
+import { loadBoxCatalog } from "./packing.js";
+
+const PROFILE_ARG = z.string().optional().describe("Account profile name (uses the default account if omitted)");
+const SKIP_VALIDATION_ARG = z.boolean().optional().default(false).describe("Skip the offline address check (country, state, postal, phone and email formats)");
+
+/** Shipper/recipient address; `who` labels the name field */
+const addressSchema = (who) => z.object({
+  name: z.string().describe(`${who} name`),
+  company: z.string().optional().default(""),
+  address1: z.string().describe("Street address line 1"),
+  address2: z.string().optional().default(""),
+  city: z.string().describe("City"),
+  state: z.string().describe("State/province code"),
+  postal: z.string().describe("Postal/ZIP code"),
+  country: z.string().describe("Country code (US, CA, IN, etc.)"),
+  phone: z.string().optional().default(""),
+  email: z.string().optional().default(""),
+  tax_id: z.string().optional().describe("Tax ID for customs: EORI, VAT, GSTIN, EIN, etc."),
+});
+
+const productSchema = z.object({
+  name: z.string().optional().default("Package"),
+  weight: z.number().describe("Weight, in weight_unit"),
+  quantity: z.number().optional().default(1),
+  price: z.number().optional().default(0),
+  length: z.number().optional().describe("Length, in dimension_unit"),
+  width: z.number().optional().describe("Width, in dimension_unit"),
+  height: z.number().optional().describe("Height, in dimension_unit"),
+  description: z.string().optional().describe("What the item is, for customs (defaults to name)"),
+  hs_code: z.string().optional().describe("Harmonized System tariff code, 6-10 digits; required across a border"),
+  origin_country: z.string().optional().describe("Country of manufacture (ISO code); required across a border"),
+  declared_value: z.number().optional().describe("Customs value per unit (defaults to price)"),
+});
+
+/** Saved address reference: an address book ID, or a name or company to look up */
+const addressRefArg = (party) => z.union([z.number(), z.string()]).optional()
+  .describe(`Saved ${party} address: its address book ID, or a name or company to look up (instead of ${party})`);
+
+const WEIGHT_UNIT_ARG = z.enum(WEIGHT_UNITS).optional().describe("Unit of products[].weight: lb, kg, oz or g (default: the carrier account's unit)");
+const DIMENSION_UNIT_ARG = z.enum(DIMENSION_UNITS).optional().describe("Unit of products[].length/width/height: in or cm (default: the carrier account's unit)");
+const PACK_ARG = z.boolean().optional().default(false).describe("Pack the products into boxes from the box catalog and ship one piece per box (see pack_products)");
+const BOXES_ARG = z.array(z.string()).optional().describe("With pack: only use these catalog boxes, by name");
+
+const customsSchema = z.object({
+  currency: z.string().optional().describe("Currency of the declared values (ISO code, e.g. USD)"),
+  reason_for_export: z.enum(EXPORT_REASONS).optional().describe("sale, gift, sample, return, repair, personal_use, documents or other"),
+  incoterm: z.enum(INCOTERMS).optional().describe("Who pays duties: DAP (recipient, default), DDP (shipper), etc."),
+  invoice_number: z.string().optional().describe("Commercial invoice number (generated if omitted)"),
+});
+const CUSTOMS_ARG = customsSchema.optional().describe("Customs details; required when shipper and recipient are in different customs territories");
+
+/** Send a label's commercial invoice PDF as an attachment rather than inside the JSON */
+function attachInvoice(data) {
+  if (!data.commercial_invoice?.content) return data;
+  const { content, ...invoice } = data.commercial_invoice;
+  return withAttachments({ ...data, commercial_invoice: invoice }, [content]);
+}
+
+export function createServer() {
+  const server = new McpServer({
+    name: "shipi-shipping",
+    version: VERSION,
+  });
+
+  registerResources(server);
+
+  // Identifies this connection in the audit log; HTTP sessions bring their own ID.
+  const localSessionId = randomUUID();
+  const sessionInfo = (extra) => {
+    const client = server.server.getClientVersion();
+    return {
+      id: extra?.sessionId ?? localSessionId,
+      client: client ? `${client.name}/${client.version}` : null,
+      token: extra?.authInfo?.clientId ?? null,
+    };
+  };
+
+  /**
+   * Register a tool whose handler resolves with API data. The `profile`
+   * argument is resolved to an account and the call checked against the
+   * policy before the handler runs; a thrown ShipiError becomes an
+   * `isError` result carrying its code and status. Calls that change
+   * something are written to the audit log either way. Read-only mode
+   * skips tools that change anything.
+   */
+  const tool = (name, description, schema, handler) => {
+    if (!toolAllowed(name)) return;
+    server.tool(name, description, schema, async ({ profile, ...params }, extra) => {
+      let account;
+      const audit = isAudited(name, params) ? (outcome) => recordCall({ name, params, account, session: sessionInfo(extra), ...outcome }) : () => {};
+      try {
+        account = resolveAccount(profile, extra);
+        const preview = checkToolCall(name, params, account);
+        if (preview) return toolResult(preview);
+        const data = await handler(params, account, extra);
+        completeToolCall(name, params);
+        audit({ data });
+        if (mutatesResources(name, params, data)) server.sendResourceListChanged();
+        return toolResult(data);
+      } catch (err) {
+        audit({ error: err });
+        return errorResult(err);
+      }
+    });
+  };
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 1: list_shipments
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "list_shipments",
+    "List shipments with pagination and filters. Filter by status (new/created/delivered), carrier, or date range.",
+    {
+      profile: PROFILE_ARG,
+      page: z.number().optional().default(1).describe("Page number"),
+      per_page: z.number().optional().default(20).describe("Items per page (max 100)"),
+      status: z.string().optional().describe("Filter by status: new, created, delivered, cancelled"),
+      carrier: z.string().optional().describe("Filter by carrier: fedex, ups, dhl, usps, etc."),
+      date_from: z.string().optional().describe("Start date (YYYY-MM-DD)"),
+      date_to: z.string().optional().describe("End date (YYYY-MM-DD)"),
+    },
+    async (params, account) => {
+      const data = await shipiRequest("api/v1/shipments.php", {
+        action: "list",
+        ...params,
+      }, "GET", account);
+      indexShipments(account, data);
+      return data;
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 2: get_shipment
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "get_shipment",
+    "Get detailed information about a specific shipment by ID or order ID. Includes shipper, recipient, products, tracking, and label URLs. If the API is unreachable, a copy from the local shipment index is returned when there is one.",
+    {
+      profile: PROFILE_ARG,
+      id: z.string().optional().describe("Shipment ID"),
+      order_id: z.string().optional().describe("Order ID"),
+    },
+    async (params, account) => {
+      try {
+        const data = await shipiRequest("api/v1/shipments.php", {
+          action: "get",
+          ...params,
+        }, "GET", account);
+        indexShipments(account, data);
+        return withReturnLinks(account, data);
+      } catch (err) {
+        const cached = err instanceof ShipiError && err.retryable && cachedShipment(account, params);
+        if (!cached) throw err;
+        return { source: "cache", synced_at: cached.synced_at, warning: `Shipi API unavailable (${err.message}); showing the cached copy`, data: cached.raw };
+      }
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 3: search_shipments
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "search_shipments",
+    "Search shipments by order ID or tracking number. Returns matching shipments. For recipient, city, carrier, service, cost or status filters use query_shipments.",
+    {
+      profile: PROFILE_ARG,
+      q: z.string().describe("Search query (order ID or tracking number)"),
+      limit: z.number().optional().default(20).describe("Max results (max 50)"),
+    },
+    async (params, account) => {
+      const data = await shipiRequest("api/v1/shipments.php", {
+        action: "search",
+        ...params,
+      }, "GET", account);
+      indexShipments(account, data);
+      return data;
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 4: create_shipment
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "create_shipment",
+    "Create a shipping label. Requires carrier account, shipper/recipient addresses (typed in, or saved ones via shipper_address_id / recipient_address_id by ID or name; the shipper defaults to the carrier account's address), and product details; across a border also customs (currency, reason_for_export) and per-product hs_code and origin_country, and a commercial invoice is written with the label. Returns tracking number and label URL. Call first with dry_run: true to get the cost and a confirmation_token, then repeat the identical call with that token to buy the label. Repeats of a completed purchase return the original label.",
+    {
+      profile: PROFILE_ARG,
+      carrier_id: z.number().describe("Shipping account ID (get from list_carriers)"),
+      service_code: z.string().optional().default("").describe("Carrier service code (leave empty for default)"),
+      shipper: addressSchema("Shipper").optional().describe("Shipper (from) address (default: the carrier account's shipper address)"),
+      shipper_address_id: addressRefArg("shipper"),
+      recipient: addressSchema("Recipient").optional().describe("Recipient (to) address"),
+      recipient_address_id: addressRefArg("recipient"),
+      products: z.array(productSchema).describe("Products/packages to ship"),
+      weight_unit: WEIGHT_UNIT_ARG,
+      dimension_unit: DIMENSION_UNIT_ARG,
+      pack: PACK_ARG,
+      boxes: BOXES_ARG,
+      customs: CUSTOMS_ARG,
+      save_recipient: z.boolean().optional().default(false).describe("After the label is bought, save a typed-in recipient to the address book (skipped if already saved)"),
+      order_reference: z.string().optional().describe("Your order number; identifies repeat calls for the same order"),
+      idempotency_key: z.string().optional().describe("Explicit idempotency key; a repeat with the same key returns the first result instead of buying another label"),
+      dry_run: z.boolean().optional().default(false).describe("Validate and quote only: returns the cost preview and a confirmation_token, buys nothing"),
+      confirmation_token: z.string().optional().describe("Token from a dry_run of this exact shipment; required to buy the label"),
+      skip_address_validation: SKIP_VALIDATION_ARG,
+    },
+    async (params, account) => {
+      if (params.dry_run) return previewShipment(params, account);
+      const data = await purchaseShipment(params, account);
+      if (data.saved_recipient?.saved) invalidate(account, "addresses");
+      return attachInvoice(data);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 5: cancel_shipment
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "cancel_shipment",
+    "Cancel a shipment and void its label. Requires the shipment ID (del_ref). Unless the server turns off SHIPI_CONFIRM_DESTRUCTIVE, call first with dry_run: true and repeat with the returned confirmation_token.",
+    {
+      profile: PROFILE_ARG,
+      shipment_id: z.number().describe("Shipment ID to cancel"),
+      dry_run: z.boolean().optional().default(false).describe("Return a confirmation_token for this cancellation, cancel nothing"),
+      confirmation_token: z.string().optional().describe("Token from a dry_run for this shipment"),
+    },
+    async (params, account) => {
+      const data = await shipiRequest("cancel_api/delete_shipment.php", {
+        integrated_key: account.key,
+        del_ref: params.shipment_id,
+      }, "POST", account);
+      markCancelled(account, params.shipment_id);
+      return data;
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 6: get_shipping_rates
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "get_shipping_rates",
+    "Get live shipping rates from all configured carriers. Provide recipient address and package details to compare prices across FedEx, UPS, DHL, USPS, etc.",
+    {
+      profile: PROFILE_ARG,
+      receiver_address: z.object({
+        name: z.string().optional().default(""),
+        address1: z.string().describe("Street address"),
+        address2: z.string().optional().default(""),
+        city: z.string().describe("City"),
+        state: z.string().describe("State/province code"),
+        postal: z.string().describe("Postal/ZIP code"),
+        country: z.string().describe("Country code (US, CA, IN, etc.)"),
+      }).describe("Recipient address for rate calculation"),
+      products: z.array(productSchema).describe("Packages to get rates for"),
+      weight_unit: WEIGHT_UNIT_ARG,
+      dimension_unit: DIMENSION_UNIT_ARG,
+      pack: PACK_ARG,
+      boxes: BOXES_ARG,
+      account_id: z.number().optional().describe("Specific shipping account ID (optional, gets rates from all if omitted)"),
+      customs: CUSTOMS_ARG.describe("Customs details for international quotes (currency and incoterm affect duties)"),
+      skip_address_validation: SKIP_VALIDATION_ARG,
+    },
+    async (params, account) => {
+      const { params: checked, problems, warnings } = checkAddresses(params, ["receiver_address"]);
+      if (problems.length) throw addressError(problems);
+      const prepared = await prepareProducts({ ...params, carrier_id: params.account_id }, account);
+      const data = await shipiRequest("rates_api/shipi_rates.php", {
+        receiver_address: checked.receiver_address,
+        products: toApiProducts(prepared.params.packages ?? prepared.params.products),
+        account_id: params.account_id,
+        ...(params.customs && { customs: ratesCustoms(params.customs, prepared.params.products) }),
+      }, "POST", account);
+      return {
+        ...data,
+        package: prepared.package,
+        ...(prepared.packing && { packing: prepared.packing }),
+        ...(warnings.length && { address_warnings: warnings }),
+        ...(prepared.warnings.length && { package_warnings: prepared.warnings }),
+      };
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 7: schedule_pickup
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "schedule_pickup",
+    "Schedule a carrier pickup at the ship-from address for one or more orders. Orders are grouped into one pickup per carrier, location and day, and are consolidated with a pickup already booked for that carrier and day: that booking is replaced by one for all the orders (needs SHIPI_PICKUP_CANCEL_ENDPOINT; otherwise the orders get their own pickup). The window is checked in the shipper's time zone: business days only, inside the carrier's hours with its minimum window, same-day only before the carrier's booking cutoff. Date and times default to the next available window. Call with dry_run: true to see availability without booking.",
+    {
+      profile: PROFILE_ARG,
+      order_id: z.string().optional().describe("Order ID of the shipment"),
+      order_ids: z.array(z.string()).optional().describe("Several order IDs to collect together (instead of order_id)"),
+      carrier_type: z.string().optional().describe("Carrier type: fedex, ups, dhl, etc. (default: each order's carrier)"),
+      pickup_date: z.string().optional().describe("Pickup date (YYYY-MM-DD, shipper's local date; default: the next available)"),
+      ready_time: z.string().optional().describe("When the packages are ready (HH:MM local time; default: the carrier's first collections)"),
+      close_time: z.string().optional().describe("Latest the carrier can come (HH:MM local time; default: the carrier's last collections)"),
+      pickup_time: z.string().optional().describe("Preferred pickup time (HH:MM or HH:MM-HH:MM); same as ready_time/close_time"),
+      timezone: z.string().optional().describe("IANA time zone of the ship-from address (default: from its country and state)"),
+      dry_run: z.boolean().optional().default(false).describe("Check the window and show the pickups that would be booked, book nothing"),
+    },
+    async (params, account) => {
+      return schedulePickups(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 8: track_shipment
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "track_shipment",
+    "Track a shipment: returns the event timeline (timestamp, location, carrier status code, mapped status; a scan time with no zone is the scan location's local time and marked local_time), the current status (label_created, in_transit, out_for_delivery, exception, delivered), the estimated delivery date and the tracking URL. The carrier is detected from the tracking number format (UPS 1Z, FedEx, USPS, DHL) when omitted.",
+    {
+      profile: PROFILE_ARG,
+      tracking_number: z.string().describe("Tracking number"),
+      carrier: z.string().optional().default("").describe("Carrier code: fedex, ups, dhl, usps, etc. (auto-detected if omitted)"),
+    },
+    async (params, account) => {
+      return trackShipment(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 9: fetch_labels
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "fetch_labels",
+    "Fetch shipping labels for printing. Filter by printed/unprinted status. Returns label URLs; use download_labels for the files and print_labels for a merged print batch.",
+    {
+      profile: PROFILE_ARG,
+      page: z.number().optional().default(1).describe("Page number"),
+      limit: z.number().optional().default(50).describe("Items per page (max 100)"),
+      printed: z.string().optional().default("all").describe("Filter: 'printed', 'not_printed', or 'all'"),
+    },
+    async (params, account) => {
+      return shipiRequest("label_api/fetch_labels.php", {
+        page: params.page,
+        limit: params.limit,
+        printed: params.printed,
+      }, "GET", account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 10: list_addresses
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "list_addresses",
+    "List all saved addresses from the address book. Filter by type (shipper/receiver), or pass search to find addresses by name or company (tolerates typos and partial words; best match first).",
+    {
+      profile: PROFILE_ARG,
+      type: z.string().optional().describe("Filter by type: 'shipper' or 'receiver'"),
+      search: z.string().optional().describe("Name or company to look for"),
+    },
+    async ({ search, ...params }, account) => {
+      const data = await cachedRead(account, `addresses:list:${params.type ?? ""}`, () => shipiRequest("api/v1/addresses.php", {
+        action: "list",
+        ...params,
+      }, "GET", account));
+      if (!search) return data;
+      return { search, addresses: searchSaved(data, search) };
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 11: get_address
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "get_address",
+    "Get a specific address by ID from the address book.",
+    {
+      profile: PROFILE_ARG,
+      id: z.number().describe("Address ID"),
+    },
+    async (params, account) => {
+      return cachedRead(account, `addresses:get:${params.id}`, () => shipiRequest("api/v1/addresses.php", {
+        action: "get",
+        id: params.id,
+      }, "GET", account));
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 12: add_address
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "add_address",
+    "Add a new address to the address book. Used for saving shipper or receiver addresses for reuse.",
+    {
+      profile: PROFILE_ARG,
+      type: z.string().optional().default("shipper").describe("Address type: 'shipper' or 'receiver'"),
+      name: z.string().describe("Contact name"),
+      company: z.string().optional().default("").describe("Company name"),
+      mobile: z.string().optional().default("").describe("Phone number"),
+      email: z.string().optional().default("").describe("Email address"),
+      address1: z.string().describe("Street address line 1"),
+      address2: z.string().optional().default("").describe("Street address line 2"),
+      city: z.string().describe("City"),
+      state: z.string().optional().default("").describe("State/province"),
+      country: z.string().describe("Country code (US, CA, IN, etc.)"),
+      postal: z.string().describe("Postal/ZIP code"),
+      tax_id: z.string().optional().default("").describe("Tax ID / GSTIN / VAT number"),
+      skip_address_validation: SKIP_VALIDATION_ARG,
+    },
+    async ({ skip_address_validation, ...address }, account) => {
+      let warnings = [];
+      if (!skip_address_validation) {
+        const result = validateAddress(address);
+        if (!result.valid) throw addressError(result.errors.map((e) => `${e.field}: ${e.message}`));
+        address = result.address;
+        warnings = result.warnings.map((w) => `${w.field}: ${w.message}`);
+      }
+      const data = await shipiRequest("api/v1/addresses.php", {
+        action: "add",
+        ...address,
+      }, "POST", account);
+      invalidate(account, "addresses");
+      return warnings.length ? { ...data, address_warnings: warnings } : data;
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 13: edit_address
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "edit_address",
+    "Update an existing address in the address book. Only changed fields need to be provided.",
+    {
+      profile: PROFILE_ARG,
+      id: z.number().describe("Address ID to update"),
+      type: z.string().optional().describe("Address type: 'shipper' or 'receiver'"),
+      name: z.string().optional().describe("Contact name"),
+      company: z.string().optional().describe("Company name"),
+      mobile: z.string().optional().describe("Phone number"),
+      email: z.string().optional().describe("Email address"),
+      address1: z.string().optional().describe("Street address line 1"),
+      address2: z.string().optional().describe("Street address line 2"),
+      city: z.string().optional().describe("City"),
+      state: z.string().optional().describe("State/province"),
+      country: z.string().optional().describe("Country code"),
+      postal: z.string().optional().describe("Postal/ZIP code"),
+    },
+    async (params, account) => {
+      const data = await shipiRequest("api/v1/addresses.php", {
+        action: "edit",
+        ...params,
+      }, "POST", account);
+      invalidate(account, "addresses");
+      return data;
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 14: delete_address
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "delete_address",
+    "Delete an address from the address book by ID. Unless the server turns off SHIPI_CONFIRM_DESTRUCTIVE, call first with dry_run: true and repeat with the returned confirmation_token.",
+    {
+      profile: PROFILE_ARG,
+      id: z.number().describe("Address ID to delete"),
+      dry_run: z.boolean().optional().default(false).describe("Return a confirmation_token for this deletion, delete nothing"),
+      confirmation_token: z.string().optional().describe("Token from a dry_run for this address"),
+    },
+    async (params, account) => {
+      const data = await shipiRequest("api/v1/addresses.php", {
+        action: "delete",
+        id: params.id,
+      }, "POST", account);
+      invalidate(account, "addresses");
+      return data;
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 15: list_carriers
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "list_carriers",
+    "List all configured shipping carrier accounts. Shows carrier type, primary status, and shipper address. Credentials are never exposed.",
+    {
+      profile: PROFILE_ARG,
+    },
+    async (params, account) => {
+      return cachedRead(account, "carriers:list", () => shipiRequest("api/v1/carriers.php", {
+        action: "list",
+        ...params,
+      }, "GET", account));
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 16: get_carrier
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "get_carrier",
+    "Get details of a specific carrier account by ID. Returns carrier type and shipper address info.",
+    {
+      profile: PROFILE_ARG,
+      id: z.number().describe("Carrier account ID"),
+    },
+    async (params, account) => {
+      return cachedRead(account, `carriers:get:${params.id}`, () => shipiRequest("api/v1/carriers.php", {
+        action: "get",
+        id: params.id,
+      }, "GET", account));
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 17: get_account_info
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "get_account_info",
+    "Get Shipi account information including user details, store info, billing/balance, plan, and feature flags.",
+    {
+      profile: PROFILE_ARG,
+    },
+    async (params, account) => {
+      return shipiRequest("api/v1/account.php", {
+        ...params,
+      }, "GET", account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 18: get_shipping_stats
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "get_shipping_stats",
+    "Get shipping statistics and analytics. View shipment counts, cost breakdowns, carrier usage, tracking status, and daily trends. For per-carrier/service/destination cost and on-time figures with CSV export, use shipping_report.",
+    {
+      profile: PROFILE_ARG,
+      period: z.string().optional().default("month").describe("Period: today, week, month, year, all"),
+      date_from: z.string().optional().describe("Custom start date (YYYY-MM-DD)"),
+      date_to: z.string().optional().describe("Custom end date (YYYY-MM-DD)"),
+    },
+    async (params, account) => {
+      return shipiRequest("api/v1/stats.php", {
+        ...params,
+      }, "GET", account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 19: list_profiles
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "list_profiles",
+    "List the account profiles this server can act for (names and API base URLs; keys are never shown). Pass a name as `profile` to any other tool.",
+    {},
+    async (params, account, extra) => {
+      // An HTTP client is pinned to its token's account and sees only that.
+      if (extra?.authInfo) {
+        return { profiles: account.profile ? listProfiles().filter((p) => p.name === account.profile) : [] };
+      }
+      return { profiles: listProfiles(), active: account.profile };
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 20: create_shipments_batch
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "create_shipments_batch",
+    "Create labels for many orders at once from an `orders` array or a `csv` text (columns: order_reference, carrier_id, service_code, shipper_*/recipient_* name/company/address1/address2/city/state/postal/country/phone/email, product_name, weight, quantity, price, length, width, height, plus hs_code, origin_country, product_description, declared_value, currency, reason_for_export, incoterm, invoice_number and shipper_/recipient_tax_id for international rows; rows sharing an order_reference become one multi-product shipment). Run with dry_run: true first to validate every row, see the total cost and get a confirmation_token. Reports per-row tracking numbers, label URLs and errors; call again with the returned batch_id to retry only the rows that failed.",
+    {
+      profile: PROFILE_ARG,
+      orders: z.array(z.object({
+        order_reference: z.string().optional().describe("Your order number"),
+        carrier_id: z.number().optional().describe("Shipping account ID (defaults to the batch carrier_id)"),
+        service_code: z.string().optional().describe("Carrier service code (defaults to the batch service_code)"),
+        shipper: addressSchema("Shipper").optional().describe("Shipper address (defaults to the batch shipper)"),
+        recipient: addressSchema("Recipient").describe("Recipient address"),
+        products: z.array(productSchema).describe("Products/packages to ship"),
+        customs: customsSchema.optional().describe("Customs details (defaults to the batch customs)"),
+      })).optional().describe("Orders to ship (alternative to csv)"),
+      csv: z.string().optional().describe("Orders as CSV text with a header row (alternative to orders)"),
+      batch_id: z.string().optional().describe("Resume this batch: retries only rows without a label. Pass alone to resume"),
+      carrier_id: z.number().optional().describe("Default shipping account ID for rows that do not set one"),
+      service_code: z.string().optional().describe("Default service code for rows that do not set one"),
+      shipper: addressSchema("Shipper").optional().describe("Default shipper address for rows that do not set one"),
+      customs: customsSchema.optional().describe("Default customs details for international rows that do not set them"),
+      concurrency: z.number().int().min(1).max(10).optional().default(4).describe("Labels created in parallel (1-10)"),
+      dry_run: z.boolean().optional().default(false).describe("Validate and quote every row; returns the total and a confirmation_token, buys nothing"),
+      confirmation_token: z.string().optional().describe("Token from a dry_run of this exact batch; required to buy the labels"),
+      skip_address_validation: SKIP_VALIDATION_ARG,
+    },
+    async (params, account) => {
+      return runBatch(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 21: shop_rates
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "shop_rates",
+    "Compare rates from all carriers in one normalized list (carrier, service_code, total, currency, transit days, estimated delivery) and pick the best by strategy: cheapest, fastest, or deadline (cheapest arriving by deliver_by). Applies excluded carriers, a maximum cost and preferred-carrier tie-breaks. With prepare_shipment: true, also runs the create_shipment dry run for the winner and returns the create_shipment arguments, confirmation_token included.",
+    {
+      profile: PROFILE_ARG,
+      recipient: addressSchema("Recipient").describe("Recipient (to) address"),
+      products: z.array(productSchema).describe("Products/packages to ship"),
+      weight_unit: WEIGHT_UNIT_ARG,
+      dimension_unit: DIMENSION_UNIT_ARG,
+      pack: PACK_ARG,
+      boxes: BOXES_ARG,
+      account_id: z.number().optional().describe("Only quote this shipping account ID (all accounts if omitted)"),
+      strategy: z.enum(STRATEGIES).optional().default("cheapest").describe("cheapest, fastest, or deadline (needs deliver_by)"),
+      deliver_by: z.string().optional().describe("Latest acceptable delivery date (YYYY-MM-DD); drops quotes arriving later"),
+      ship_date: z.string().optional().describe("Ship date (YYYY-MM-DD) for delivery estimates; defaults to today"),
+      currency: z.string().optional().describe("Compare only quotes in this currency"),
+      excluded_carriers: z.array(z.string()).optional().describe("Carriers never to choose (default from SHIPI_EXCLUDED_CARRIERS)"),
+      preferred_carriers: z.array(z.string()).optional().describe("Carriers to favour, in order, when quotes tie (default from SHIPI_PREFERRED_CARRIERS)"),
+      max_cost: z.number().optional().describe("Drop quotes above this total (default from SHIPI_MAX_RATE)"),
+      tie_tolerance: z.number().min(0).optional().default(0).describe("Totals within this amount count as a tie"),
+      limit: z.number().int().min(1).max(50).optional().default(10).describe("Ranked options to return"),
+      prepare_shipment: z.boolean().optional().default(false).describe("Dry-run create_shipment for the chosen service and return its arguments"),
+      shipper: addressSchema("Shipper").optional().describe("Shipper (from) address for prepare_shipment (default: the chosen carrier account's shipper address)"),
+      customs: CUSTOMS_ARG,
+      order_reference: z.string().optional().describe("Your order number, passed on to create_shipment"),
+      skip_address_validation: SKIP_VALIDATION_ARG,
+    },
+    async (params, account) => {
+      return shopShipment(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 22: monitor_shipments
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "monitor_shipments",
+    "Find shipments that need attention: pages through open shipments in a date range, tracks each one and groups them into exception, late (past the promised or estimated delivery date), stale (no scan for stale_days), tracking_failed, delivered and on_track, with counts and the shipment ids needing attention.",
+    {
+      profile: PROFILE_ARG,
+      date_from: z.string().optional().describe("Start date (YYYY-MM-DD)"),
+      date_to: z.string().optional().describe("End date (YYYY-MM-DD)"),
+      statuses: z.array(z.string()).optional().default(["created"]).describe("Shipment statuses to check (default: created)"),
+      carrier: z.string().optional().describe("Only this carrier: fedex, ups, dhl, usps, etc."),
+      stale_days: z.number().int().min(1).optional().default(3).describe("Flag shipments with no tracking scan for this many days"),
+      as_of: z.string().optional().describe("Judge lateness as of this date (YYYY-MM-DD, default today)"),
+      max_shipments: z.number().int().min(1).max(MAX_MONITORED).optional().default(200).describe(`Most shipments to track (max ${MAX_MONITORED})`),
+      concurrency: z.number().int().min(1).max(10).optional().default(5).describe("Tracking lookups in parallel (1-10)"),
+    },
+    async (params, account) => {
+      return monitorShipments(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 23: validate_address
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "validate_address",
+    "Check an address offline before quoting or shipping: ISO country code, postal code format for the country, US state / Canadian province / Indian state code, phone and email format. Returns the normalized address (codes upper-cased, postal code formatted, state names turned into codes) with field-level errors and warnings. Shipment and rate tools run the same check automatically.",
+    {
+      profile: PROFILE_ARG,
+      name: z.string().optional().describe("Contact name"),
+      company: z.string().optional().describe("Company name"),
+      address1: z.string().optional().describe("Street address line 1"),
+      address2: z.string().optional().describe("Street address line 2"),
+      city: z.string().optional().describe("City"),
+      state: z.string().optional().describe("State/province code or name"),
+      postal: z.string().optional().describe("Postal/ZIP code"),
+      country: z.string().optional().describe("Country code or name"),
+      phone: z.string().optional().describe("Phone number"),
+      email: z.string().optional().describe("Email address"),
+    },
+    async (params) => {
+      return validateAddress(params);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 24: create_commercial_invoice
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "create_commercial_invoice",
+    "Write a commercial invoice (PDF, returned as an embedded resource and saved locally) for an international shipment: shipper and consignee with tax IDs, one line per product with HS code, origin, quantity and value, and the declared total. create_shipment writes one automatically; use this to reissue it or to prepare one for a label bought elsewhere. Returns the invoice number and file path; within one customs territory no invoice is written. customs.currency is required.",
+    {
+      profile: PROFILE_ARG,
+      shipper: addressSchema("Shipper").describe("Shipper / exporter address"),
+      recipient: addressSchema("Recipient").describe("Consignee address"),
+      products: z.array(productSchema).describe("Products in the parcel"),
+      customs: customsSchema.describe("Customs details"),
+      tracking_number: z.string().optional().describe("Tracking number to print on the invoice"),
+      order_reference: z.string().optional().describe("Your order number"),
+    },
+    async (params) => {
+      const { problems, warnings, international } = checkCustoms(params);
+      if (!international) {
+        return { status: "not_required", note: "Shipper and recipient are in the same customs territory; no invoice is required" };
+      }
+      if (problems.length) throw customsError(problems);
+      const { content, ...invoice } = await writeInvoice(params);
+      return withAttachments({ ...invoice, ...(warnings.length && { warnings }) }, [content]);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 25: download_labels
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "download_labels",
+    "Download label files and return them as embedded resources (PDF, PNG, JPEG or ZPL, detected from the file). Pick labels by shipment ID or tracking number, or take a page of the label list. With format: \"pdf\", image labels are converted to 4x6 PDF pages; ZPL is always returned as-is for thermal printers. Does not mark labels printed.",
+    {
+      profile: PROFILE_ARG,
+      ids: z.array(z.union([z.number(), z.string()])).optional().describe("Shipment IDs or tracking numbers to download (searched within the selected page)"),
+      page: z.number().optional().default(1).describe("Page of the label list"),
+      limit: z.number().int().min(1).max(20).optional().default(10).describe("Labels per page (max 20)"),
+      printed: z.string().optional().default("not_printed").describe("Filter: 'printed', 'not_printed', or 'all'"),
+      format: z.enum(["original", "pdf"]).optional().default("original").describe("original (as the carrier made it) or pdf"),
+      concurrency: z.number().int().min(1).max(8).optional().default(4).describe("Downloads in parallel (1-8)"),
+    },
+    async (params, account) => {
+      const { labels, content } = await downloadLabels(params, account);
+      return withAttachments({ count: content.length, labels }, content);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 26: print_labels
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "print_labels",
+    "Build a print batch: downloads a page of unprinted labels, merges them into one PDF (image labels become 4x6 pages) behind a pick-list summary of orders and items, saves it locally and returns it as an embedded PDF. The included labels are then marked printed, so the next call picks up the next ones. ZPL labels and failed downloads are listed as skipped and stay unprinted.",
+    {
+      profile: PROFILE_ARG,
+      ids: z.array(z.union([z.number(), z.string()])).optional().describe("Only these shipment IDs or tracking numbers (from the selected page)"),
+      page: z.number().optional().default(1).describe("Page of the unprinted label list"),
+      limit: z.number().int().min(1).max(100).optional().default(50).describe("Labels in the batch (max 100)"),
+      pick_list: z.boolean().optional().default(true).describe("Put a pick-list summary in front of the labels"),
+      mark_printed: z.boolean().optional().default(true).describe("Mark the included labels printed once the batch is written"),
+      attach: z.boolean().optional().default(true).describe("Return the PDF in the result (the file is saved locally either way)"),
+      concurrency: z.number().int().min(1).max(8).optional().default(4).describe("Downloads in parallel (1-8)"),
+    },
+    async (params, account) => {
+      const { file, ...batch } = await printLabels(params, account);
+      return file && params.attach ? withAttachments(batch, [file]) : batch;
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 27: sync_shipments
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "sync_shipments",
+    "Pull shipments into the local shipment index used by query_shipments. Incremental: fetches shipments created since the last sync (re-reading the last resync_days to pick up status changes); the first sync covers 90 days unless date_from is given.",
+    {
+      profile: PROFILE_ARG,
+      date_from: z.string().optional().describe("Sync shipments created from this date (YYYY-MM-DD) instead of since the last sync"),
+      date_to: z.string().optional().describe("Sync shipments created up to this date (YYYY-MM-DD)"),
+      full: z.boolean().optional().default(false).describe("Ignore the last sync point and re-read the first-sync window"),
+      resync_days: z.number().int().min(0).max(90).optional().default(7).describe("Days before the last sync point to read again"),
+      max_pages: z.number().int().min(1).max(MAX_SYNC_PAGES).optional().default(MAX_SYNC_PAGES).describe(`Pages of 100 shipments to fetch at most (max ${MAX_SYNC_PAGES})`),
+    },
+    async (params, account) => {
+      return syncShipments(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 28: query_shipments
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "query_shipments",
+    "Query the local shipment index without calling the API for each question: filter by free text, recipient name or company, city, state, country, carrier, service, status, cost range and date range; sort and page the results. Returns the match count and cost totals per currency. Syncs first when the index is older than SHIPI_CACHE_SYNC_MIN minutes (refresh: auto); if the API is unreachable it answers from the index and marks the result stale.",
+    {
+      profile: PROFILE_ARG,
+      q: z.string().optional().describe("Text in the shipment ID, order ID, tracking number, recipient name, company or city"),
+      recipient: z.string().optional().describe("Recipient name or company contains"),
+      city: z.string().optional().describe("Recipient city"),
+      state: z.string().optional().describe("Recipient state/province code"),
+      country: z.string().optional().describe("Recipient country code"),
+      carrier: z.string().optional().describe("Carrier: fedex, ups, dhl, usps, etc."),
+      service: z.string().optional().describe("Service name or code contains"),
+      status: z.array(z.string()).optional().describe("Any of these statuses"),
+      cost_min: z.number().optional().describe("Minimum shipping cost"),
+      cost_max: z.number().optional().describe("Maximum shipping cost"),
+      date_from: z.string().optional().describe("Created on or after (YYYY-MM-DD)"),
+      date_to: z.string().optional().describe("Created on or before (YYYY-MM-DD)"),
+      sort_by: z.enum(SORT_FIELDS).optional().default("created_at").describe("Sort field"),
+      order: z.enum(["asc", "desc"]).optional().default("desc").describe("Sort direction"),
+      limit: z.number().int().min(1).max(500).optional().default(50).describe("Shipments to return (max 500)"),
+      offset: z.number().int().min(0).optional().default(0).describe("Matches to skip"),
+      refresh: z.enum(["auto", "always", "never"]).optional().default("auto").describe("Sync before querying: auto (when stale), always, or never (offline)"),
+      include_raw: z.boolean().optional().default(false).describe("Include the full API record of each shipment"),
+    },
+    async (params, account) => {
+      const result = await queryShipments(params, account);
+      return { ...result, shipments: result.shipments.map((s) => ({ ...s, ...returnLinks(account, s) })) };
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 29: shipping_report
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "shipping_report",
+    "Cost and delivery report from the local shipment index: shipments, packages, cost, average cost per shipment, package and lb, on-time rate (delivered by the estimated date) and cancellation/void rate, grouped by carrier, service, destination country or state, day or month, with totals. Optionally compares with the previous period of the same length and exports a CSV. Returns a markdown table for the chat. Syncs first when the index is stale (refresh: auto); if the API is unreachable it reports from the index and marks the report stale.",
+    {
+      profile: PROFILE_ARG,
+      date_from: z.string().optional().describe("Period start (YYYY-MM-DD, default 30 days before date_to)"),
+      date_to: z.string().optional().describe("Period end (YYYY-MM-DD, default today)"),
+      group_by: z.enum(GROUP_BY).optional().default("carrier").describe("Group rows by carrier, service, country, state, day or month"),
+      compare: z.boolean().optional().default(false).describe("Compare totals with the previous period of the same length"),
+      export_csv: z.boolean().optional().default(false).describe("Save the table as CSV under SHIPI_DATA_DIR/reports and attach it"),
+      refresh: z.enum(["auto", "always", "never"]).optional().default("auto").describe("Sync before reporting: auto (when stale), always, or never (offline)"),
+    },
+    async (params, account) => {
+      const { markdown, csv, ...report } = await shippingReport(params, account);
+      const text = { type: "text", text: markdown };
+      if (!csv) return withAttachments(report, [text]);
+      const { content, ...file } = csv;
+      return withAttachments({ ...report, csv: file }, [text, content]);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 30: get_audit_log
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "get_audit_log",
+    "Read the audit log of calls that changed something on this account: labels bought, shipments cancelled, pickups scheduled, addresses added, edited or deleted, print batches. Each entry has the time, tool, session and client, profile, arguments (secrets masked), success or error, and the order, shipment, tracking number and cost involved. Newest first.",
+    {
+      profile: PROFILE_ARG,
+      date_from: z.string().optional().describe("Entries on or after this date (YYYY-MM-DD, UTC)"),
+      date_to: z.string().optional().describe("Entries on or before this date (YYYY-MM-DD, UTC)"),
+      tool: z.enum(AUDITED_TOOLS).optional().describe("Only calls to this tool"),
+      order_id: z.string().optional().describe("Only entries for this order ID / order reference"),
+      tracking_number: z.string().optional().describe("Only entries for this tracking number"),
+      status: z.enum(["success", "error"]).optional().describe("Only successful or only failed calls"),
+      limit: z.number().int().min(1).max(500).optional().default(50).describe("Entries to return (max 500)"),
+      offset: z.number().int().min(0).optional().default(0).describe("Matching entries to skip"),
+    },
+    async (params, account) => {
+      return readAuditLog(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 31: create_return_label
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "create_return_label",
+    "Create a return label for an existing shipment, by shipment ID or order ID: the customer becomes the shipper and your original ship-from address the recipient. Return all products or only some (items, by product index or name, with quantities), each with a reason code. The service defaults to the cheapest the original carrier account quotes. The return is linked to the original and shows up in get_shipment and query_shipments. Like create_shipment: call with dry_run: true first, then repeat with the confirmation_token.",
+    {
+      profile: PROFILE_ARG,
+      shipment_id: z.union([z.number(), z.string()]).optional().describe("ID of the shipment being returned"),
+      order_id: z.string().optional().describe("Order ID of the shipment being returned (instead of shipment_id)"),
+      items: z.array(z.object({
+        product: z.union([z.number().int().min(0), z.string()]).describe("Product index in the original shipment (0-based) or its name"),
+        quantity: z.number().int().min(1).optional().describe("How many come back (default: all that were shipped)"),
+        reason: z.enum(RETURN_REASONS).optional().describe("Reason for this item (default: the call's reason)"),
+      })).optional().describe("Products being returned (default: everything in the shipment)"),
+      reason: z.enum(RETURN_REASONS).optional().default("other").describe(`Return reason: ${RETURN_REASONS.join(", ")}`),
+      service_code: z.string().optional().describe("Return service code (default: the cheapest quoted)"),
+      carrier_id: z.number().optional().describe("Shipping account for the return (default: the original's)"),
+      customs: CUSTOMS_ARG,
+      return_reference: z.string().optional().describe("Order reference for the return (default: RET-<original order ID>)"),
+      idempotency_key: z.string().optional().describe("Explicit idempotency key; a repeat with the same key returns the first result"),
+      dry_run: z.boolean().optional().default(false).describe("Validate and quote only: returns the preview and a confirmation_token, buys nothing"),
+      confirmation_token: z.string().optional().describe("Token from a dry_run of this exact return; required to buy the label"),
+      skip_address_validation: SKIP_VALIDATION_ARG,
+    },
+    async (params, account) => {
+      return attachInvoice(await createReturnLabel(params, account));
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 32: list_pickups
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "list_pickups",
+    "List the carrier pickups booked through this server, by date and window: carrier, ready and close time in the shipper's time zone, orders collected, carrier confirmation number and status. Defaults to scheduled pickups from today on.",
+    {
+      profile: PROFILE_ARG,
+      date: z.string().optional().describe("Only pickups on this date (YYYY-MM-DD)"),
+      date_from: z.string().optional().describe("Pickups on or after this date (YYYY-MM-DD; default: today)"),
+      date_to: z.string().optional().describe("Pickups on or before this date (YYYY-MM-DD)"),
+      carrier: z.string().optional().describe("Only this carrier: fedex, ups, dhl, etc."),
+      order_id: z.string().optional().describe("Only the pickup collecting this order"),
+      status: z.enum([...PICKUP_STATUSES, "all"]).optional().default("scheduled").describe("Pickup status, or all"),
+    },
+    async (params, account) => {
+      return listPickups(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 33: cancel_pickup
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "cancel_pickup",
+    "Cancel a pickup booked with schedule_pickup, by pickup ID or carrier confirmation number. With order_ids, only those orders are taken off: the pickup is re-booked for the rest and the old booking cancelled. Needs SHIPI_PICKUP_CANCEL_ENDPOINT. Unless the server turns off SHIPI_CONFIRM_DESTRUCTIVE, call first with dry_run: true and repeat with the returned confirmation_token.",
+    {
+      profile: PROFILE_ARG,
+      pickup_id: z.string().describe("Pickup ID (pk_…) or the carrier's confirmation number"),
+      order_ids: z.array(z.string()).optional().describe("Only take these orders off the pickup"),
+      dry_run: z.boolean().optional().default(false).describe("Return a confirmation_token for this cancellation, cancel nothing"),
+      confirmation_token: z.string().optional().describe("Token from a dry_run for this pickup"),
+    },
+    async (params, account) => {
+      return cancelPickup(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 34: reschedule_pickup
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "reschedule_pickup",
+    "Move a pickup booked with schedule_pickup to another date or window (parts not given stay as they were). The new window is checked like schedule_pickup's; the new pickup is booked, or consolidated with one the carrier already has at that place and day, before the old one is cancelled. Needs SHIPI_PICKUP_CANCEL_ENDPOINT.",
+    {
+      profile: PROFILE_ARG,
+      pickup_id: z.string().describe("Pickup ID (pk_…) or the carrier's confirmation number"),
+      pickup_date: z.string().optional().describe("New pickup date (YYYY-MM-DD, shipper's local date)"),
+      ready_time: z.string().optional().describe("New ready time (HH:MM local time)"),
+      close_time: z.string().optional().describe("New close time (HH:MM local time)"),
+      dry_run: z.boolean().optional().default(false).describe("Check the new window only, change nothing"),
+    },
+    async (params, account) => {
+      return reschedulePickup(params, account);
+    }
+  );
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // TOOL 35: pack_products
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  tool(
+    "pack_products",
+    "Work out how an order's products are boxed: packs them into cartons from the box catalog (SHIPI_BOX_CATALOG; standard Small/Medium/Large/X-Large cartons without one) and returns each package's box, dimensions, gross weight, contents and fill, plus the shipment's actual, dimensional and billable weight. Pass pack: true to get_shipping_rates, shop_rates or create_shipment to rate and ship exactly these packages.",
+    {
+      profile: PROFILE_ARG,
+      products: z.array(productSchema).describe("Products to pack, with dimensions for an accurate fit"),
+      weight_unit: WEIGHT_UNIT_ARG,
+      dimension_unit: DIMENSION_UNIT_ARG,
+      carrier_id: z.number().optional().describe("Shipping account whose units and dimensional-weight divisor apply (default: lb/in)"),
+      boxes: BOXES_ARG,
+    },
+    async (params, account) => {
+      const catalog = loadBoxCatalog();
+      const prepared = await prepareProducts({ ...params, pack: true }, account);
+      return {
+        catalog: { source: catalog.source, boxes: catalog.boxes.map((b) => b.name) },
+        packages: prepared.packing,
+        package: prepared.package,
+        ...(prepared.warnings.length && { warnings: prepared.warnings }),
+      };
+    }
+  );
+
+  return server;
+}
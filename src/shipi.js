@@ -0,0 +1,213 @@
+/**
+ * Shipi API client — thin HTTP helper shared by every tool.
+ *
+ * Resolves with the parsed JSON body on success and throws a ShipiError for
+ * network failures, timeouts, non-2xx responses, non-JSON bodies and API
+ * payloads that report `status: "error"`.
+ *
+ * Every request runs under a per-endpoint timeout. GET requests (all of them
+ * read-only list/get/search/tracking/stats calls) are retried on transient
+ * failures with jittered exponential backoff; any request is retried on a
+ * 429/503 that carries Retry-After, since the server did not process it.
+ * A circuit breaker per base URL fails fast while that API keeps failing.
+ *
+ * The integration key comes from the account (see profiles.js). Versioned
+ * `api/v1/*` endpoints receive it as a bearer token so it never lands in a
+ * URL; the older label/rates/pickup/cancel endpoints still expect it in the
+ * query string or body.
+ */
+
+import { randomUUID } from "node:crypto";
+import fetch from "node-fetch";
+import { CircuitBreaker } from "./breaker.js";
+import {
+  BREAKER_COOLDOWN_MS,
+  BREAKER_THRESHOLD,
+  ENDPOINT_TIMEOUTS,
+  MAX_RETRIES,
+  REQUEST_TIMEOUT_MS,
+  RETRY_BASE_MS,
+  RETRY_MAX_DELAY_MS,
+} from "./config.js";
+import { ErrorCode, ShipiError, codeForMessage, codeForStatus } from "./errors.js";
+import { defaultAccount } from "./profiles.js";
+
+const breakers = new Map();
+
+/** Circuit breaker for one API base URL */
+export function breakerFor(baseUrl) {
+  let breaker = breakers.get(baseUrl);
+  if (!breaker) {
+    breaker = new CircuitBreaker({ threshold: BREAKER_THRESHOLD, cooldownMs: BREAKER_COOLDOWN_MS });
+    breakers.set(baseUrl, breaker);
+  }
+  return breaker;
+}
+
+/** Pull a human-readable message out of an API error payload */
+function messageOf(payload, fallback) {
+  if (payload && typeof payload === "object") {
+    const msg = payload.message || payload.error || payload.msg;
+    if (typeof msg === "string" && msg) return msg;
+  }
+  return fallback;
+}
+
+/** Retry-After header (seconds or HTTP date) → seconds, or undefined */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/** Timeout for an endpoint: longest matching prefix in ENDPOINT_TIMEOUTS */
+export function timeoutFor(endpoint) {
+  let best = "";
+  for (const prefix of ENDPOINT_TIMEOUTS.keys()) {
+    if (endpoint.startsWith(prefix) && prefix.length > best.length) best = prefix;
+  }
+  return best ? ENDPOINT_TIMEOUTS.get(best) : REQUEST_TIMEOUT_MS;
+}
+
+/**
+ * Delay before the next attempt, or null when the error should not be
+ * retried. Retry-After wins over backoff but is capped at RETRY_MAX_DELAY_MS;
+ * a longer wait is surfaced to the caller instead.
+ */
+function retryDelay(err, attempt, idempotent) {
+  if (attempt >= MAX_RETRIES || !(err instanceof ShipiError)) return null;
+  const serverAsked = (err.status === 429 || err.status === 503) && err.retryAfter !== undefined;
+  if (serverAsked) {
+    const ms = err.retryAfter * 1000;
+    return ms <= RETRY_MAX_DELAY_MS ? ms : null;
+  }
+  if (!idempotent || !err.retryable) return null;
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_MS * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** One HTTP round trip with timeout; returns parsed JSON or throws ShipiError */
+async function send(endpoint, url, init, requestId) {
+  const timeoutMs = timeoutFor(endpoint);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  let text;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+    text = await response.text();
+  } catch (err) {
+    if (err.name === "AbortError") {
+      throw new ShipiError(ErrorCode.TIMEOUT, `Request to ${endpoint} timed out after ${timeoutMs}ms`, { requestId });
+    }
+    throw new ShipiError(ErrorCode.UPSTREAM_UNAVAILABLE, `Request failed: ${err.message}`, { requestId });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const status = response.status;
+  const info = { status, requestId: response.headers.get("x-request-id") || requestId };
+  const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+  if (retryAfter !== undefined) info.retryAfter = retryAfter;
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    if (!response.ok) {
+      throw new ShipiError(codeForStatus(status), `HTTP ${status} from ${endpoint}`, {
+        ...info,
+        details: { raw: text.substring(0, 500) },
+      });
+    }
+    throw new ShipiError(ErrorCode.UPSTREAM_UNAVAILABLE, "Invalid JSON response", {
+      ...info,
+      details: { raw: text.substring(0, 500) },
+    });
+  }
+
+  if (!response.ok) {
+    const code = status === 400 || status === 422
+      ? codeForMessage(messageOf(data), endpoint)
+      : codeForStatus(status);
+    throw new ShipiError(code, messageOf(data, `HTTP ${status} from ${endpoint}`), { ...info, details: data });
+  }
+  if (data && data.status === "error") {
+    throw new ShipiError(codeForMessage(messageOf(data), endpoint), messageOf(data, "Request rejected"), {
+      ...info,
+      details: data,
+    });
+  }
+  return data;
+}
+
+// ─── HTTP Helper ────────────────────────────────────────────────────
+/**
+ * @param {string} endpoint path below the base URL, e.g. "api/v1/shipments.php"
+ * @param {object} [params] query (GET) or body (POST) fields
+ * @param {"GET"|"POST"} [method]
+ * @param {import("./profiles.js").Account} [account]
+ */
+export async function shipiRequest(endpoint, params = {}, method = "POST", account = defaultAccount()) {
+  const url = `${account.baseUrl}/${endpoint}`;
+  const key = account.key;
+  const headerAuth = endpoint.startsWith("api/v1/");
+  const requestId = randomUUID();
+  const breaker = breakerFor(account.baseUrl);
+
+  // Callers never pass the key as a field; drop any stray one so it cannot
+  // leak into a query string.
+  const { integration_key: _ignored, ...fields } = params;
+  const headers = { "Accept": "application/json", "X-Request-Id": requestId };
+  if (headerAuth && key) headers.Authorization = `Bearer ${key}`;
+
+  let target;
+  let init;
+  if (method === "GET") {
+    const qs = new URLSearchParams();
+    if (!headerAuth && key) qs.set("integration_key", key);
+    for (const [k, v] of Object.entries(fields)) {
+      if (v !== undefined && v !== null && v !== "") qs.set(k, String(v));
+    }
+    target = `${url}?${qs.toString()}`;
+    init = { method: "GET", headers };
+  } else {
+    const body = { ...fields };
+    if (!headerAuth && key) body.integration_key = key;
+    target = url;
+    init = {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.allow()) {
+      throw new ShipiError(ErrorCode.UPSTREAM_UNAVAILABLE, "Shipi API is failing; circuit open, request not sent", {
+        requestId,
+        retryAfter: Math.ceil(breaker.remainingMs() / 1000),
+        details: { circuit_open: true },
+      });
+    }
+    try {
+      const data = await send(endpoint, target, init, requestId);
+      breaker.success();
+      return data;
+    } catch (err) {
+      // Only transport-level trouble counts against the API; a 4xx or an
+      // API-level rejection proves it is up.
+      if (err.code === ErrorCode.UPSTREAM_UNAVAILABLE || err.code === ErrorCode.TIMEOUT) breaker.failure();
+      else breaker.success();
+
+      const delay = retryDelay(err, attempt, method === "GET");
+      if (delay === null) throw err;
+      await sleep(delay);
+    }
+  }
+}
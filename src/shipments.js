@@ -0,0 +1,536 @@
+/**
+ * Shipment payload helpers — turn tool arguments into the shapes the label
+ * and rates endpoints expect, in the carrier account's units — the guarded
+ * label purchase flow (saved addresses, validation, customs, dry-run preview,
+ * confirmation, idempotent replay) and rate shopping.
+ */
+
+import { addressError, checkAddresses } from "./address.js";
+import { lookupSaved, saveRecipient, shipperFromCarrier } from "./addressbook.js";
+import { API_UNITS, RATE_RULES, REQUIRE_CONFIRMATION } from "./config.js";
+import { checkCustoms, customsSummary, isInternational, readInvoice, writeInvoice } from "./customs.js";
+import { ErrorCode, ShipiError } from "./errors.js";
+import * as idempotency from "./idempotency.js";
+import { packageLines, packProducts } from "./packing.js";
+import { labelViolations, needsRate, policyError, quoteDenied, reserveSpend } from "./policy.js";
+import { findRate, normalizeRates, rankRates } from "./rates.js";
+import { shipiRequest } from "./shipi.js";
+import { convertProducts, unitsFromRecord } from "./units.js";
+
+/** Tool product list → API product lines */
+export function toApiProducts(products) {
+  return products.map((p) => ({
+    prod_name: p.name || "Package",
+    prod_weight: p.weight,
+    prod_quantity: p.quantity || 1,
+    prod_price: p.price || 0,
+    prod_depth: p.length || 1,
+    prod_width: p.width || 1,
+    prod_height: p.height || 1,
+    // Customs fields, sent only when given
+    ...(p.description && { prod_description: p.description }),
+    ...(p.hs_code && { prod_hs_code: String(p.hs_code).replace(/[.\s]/g, "") }),
+    ...(p.origin_country && { prod_origin_country: p.origin_country.toUpperCase() }),
+    ...(p.declared_value !== undefined && { prod_declared_value: p.declared_value }),
+    ...(p.return_reason && { prod_return_reason: p.return_reason }),
+  }));
+}
+
+/** Build the meta object that create_shipment.php expects */
+export function buildShipmentMeta({ carrier_id, service_code, shipper, recipient, products, packages, order_reference, customs, return_for }) {
+  const meta = {
+    label: "d",
+    s_name: shipper.name,
+    s_company: shipper.company || "",
+    s_address1: shipper.address1,
+    s_address2: shipper.address2 || "",
+    s_city: shipper.city,
+    s_state: shipper.state,
+    s_postal: shipper.postal,
+    s_country: shipper.country,
+    s_phone: shipper.phone || "",
+    s_email: shipper.email || "",
+    t_name: recipient.name,
+    t_company: recipient.company || "",
+    t_address1: recipient.address1,
+    t_address2: recipient.address2 || "",
+    t_city: recipient.city,
+    t_state: recipient.state,
+    t_postal: recipient.postal,
+    t_country: recipient.country,
+    t_phone: recipient.phone || "",
+    t_email: recipient.email || "",
+    service_code: service_code || "",
+    carrier_id: carrier_id,
+    products: toApiProducts(packages ?? products),
+  };
+  // Packed shipments ship one piece per box; the items inside stay listed for customs.
+  if (packages) meta.contents = toApiProducts(products);
+  if (order_reference) meta.order_id = order_reference;
+  if (return_for) {
+    meta.is_return = 1;
+    meta.return_for = return_for.shipment_id;
+    if (return_for.order_id) meta.return_for_order = return_for.order_id;
+  }
+  if (shipper.tax_id) meta.s_tax_id = shipper.tax_id;
+  if (recipient.tax_id) meta.t_tax_id = recipient.tax_id;
+  if (isInternational(shipper, recipient)) {
+    const summary = customsSummary({ products, customs });
+    meta.currency = summary.currency;
+    meta.incoterm = summary.incoterm;
+    meta.reason_for_export = summary.reason_for_export;
+    meta.declared_value = summary.declared_total;
+    if (summary.invoice_number) meta.invoice_no = summary.invoice_number;
+  }
+  return meta;
+}
+
+/**
+ * Checks the schema cannot express: blank required strings, empty product
+ * list, non-positive weights. Returns a list of problems (empty when valid).
+ */
+export function validateShipment({ shipper, recipient, products }) {
+  const problems = [];
+  for (const [label, addr] of [["shipper", shipper], ["recipient", recipient]]) {
+    for (const field of ["name", "address1", "city", "postal", "country"]) {
+      if (!String(addr[field] ?? "").trim()) problems.push(`${label}.${field} is empty`);
+    }
+  }
+  if (!products.length) problems.push("products must contain at least one package");
+  products.forEach((p, i) => {
+    if (!(p.weight > 0)) problems.push(`products[${i}].weight must be greater than 0`);
+    if (p.quantity !== undefined && !(p.quantity >= 1)) problems.push(`products[${i}].quantity must be at least 1`);
+  });
+  return problems;
+}
+
+/**
+ * validateShipment plus the offline address check on shipper and recipient
+ * and, across a border, the customs check. Returns { params (addresses
+ * normalized), problems, warnings, international }; a field both address
+ * checks flag is reported once.
+ */
+export function checkShipment(input) {
+  const { params, problems: addressProblems, warnings } = checkAddresses(input, ["shipper", "recipient"]);
+  const problems = validateShipment(params);
+  const reported = new Set(problems.map((p) => p.split(" ")[0]));
+  problems.push(...addressProblems.filter((p) => !reported.has(p.split(":")[0])));
+  const customs = checkCustoms(params);
+  problems.push(...customs.problems);
+  warnings.push(...customs.warnings);
+  return { params, problems, warnings, international: customs.international };
+}
+
+// ─── Saved addresses ────────────────────────────────────────────────
+/**
+ * Fill in shipper and recipient from `shipper_address_id` /
+ * `recipient_address_id` (an address book ID, or a name or company to look
+ * up), and a missing shipper from the carrier account. Returns the params
+ * with both addresses set and `address_sources` saying where each came from.
+ */
+export async function resolveParties(input, account) {
+  const params = { ...input };
+  const sources = {};
+  for (const [party, type] of [["shipper", "shipper"], ["recipient", "receiver"]]) {
+    const ref = params[`${party}_address_id`];
+    if (ref === undefined || ref === "") {
+      if (params[party]) sources[party] = "given";
+      continue;
+    }
+    if (params[party]) {
+      throw new ShipiError(ErrorCode.VALIDATION, `Pass ${party} or ${party}_address_id, not both`);
+    }
+    const { id, address } = await lookupSaved(ref, account, type);
+    params[party] = address;
+    sources[party] = `address_book:${id}`;
+  }
+  if (!params.shipper) {
+    const { shipper } = await carrierProfile(account, params.carrier_id);
+    if (!shipper) {
+      throw new ShipiError(ErrorCode.VALIDATION, "No shipper: pass shipper or shipper_address_id (carrier account has no shipper address)");
+    }
+    params.shipper = shipper;
+    sources.shipper = "carrier_account";
+  }
+  if (!params.recipient) throw new ShipiError(ErrorCode.VALIDATION, "No recipient: pass recipient or recipient_address_id");
+  delete params.shipper_address_id;
+  delete params.recipient_address_id;
+  return { params, sources };
+}
+
+// ─── Units ──────────────────────────────────────────────────────────
+const carrierInfo = new Map();
+
+/**
+ * Carrier type, declared units and shipper address of a shipping account,
+ * cached per process. A failed lookup falls back to API_UNITS and is not
+ * cached.
+ */
+async function carrierProfile(account, carrierId) {
+  if (carrierId === undefined || carrierId === null) return { carrier: null, units: API_UNITS, shipper: null };
+  const cacheKey = `${idempotency.accountScope(account)}:${carrierId}`;
+  if (carrierInfo.has(cacheKey)) return carrierInfo.get(cacheKey);
+  try {
+    const data = await shipiRequest("api/v1/carriers.php", { action: "get", id: carrierId }, "GET", account);
+    const record = data?.data ?? data?.carrier ?? data;
+    const info = {
+      carrier: record?.carrier_type ?? record?.carrier ?? null,
+      units: unitsFromRecord(record) || API_UNITS,
+      shipper: shipperFromCarrier(record),
+    };
+    carrierInfo.set(cacheKey, info);
+    return info;
+  } catch {
+    return { carrier: null, units: API_UNITS, shipper: null };
+  }
+}
+
+/**
+ * Convert `products` from the call's weight_unit/dimension_unit to the
+ * units the carrier account expects. Returns { params, warnings, package };
+ * the returned params already carry the target units, so converting them
+ * again changes nothing.
+ *
+ * With `pack`, the products are also packed into catalog boxes (`boxes`
+ * limits which): params.packages holds one line per box, `package` is
+ * worked out from the boxes and `packing` is the plan.
+ */
+export async function prepareProducts(params, account) {
+  const { carrier, units } = await carrierProfile(account, params.carrier_id);
+  const from = { weight: params.weight_unit || units.weight, dimension: params.dimension_unit || units.dimension };
+  const converted = convertProducts(params.products, { from, to: units, carrier });
+  const prepared = { ...params, products: converted.products, weight_unit: units.weight, dimension_unit: units.dimension };
+  if (!params.pack) return { params: prepared, warnings: converted.warnings, package: converted.package };
+
+  const packed = packProducts(converted.products, { units, boxes: params.boxes });
+  const pieces = convertProducts(packageLines(packed.packages), { from: units, to: units, carrier });
+  return {
+    params: { ...prepared, packages: pieces.products },
+    warnings: [...packed.warnings, ...pieces.warnings],
+    package: { ...pieces.package, pieces: packed.packages.length },
+    packing: packed.packages,
+  };
+}
+
+/** Customs block for a rates request: duties depend on value, currency and incoterm */
+export function ratesCustoms(customs, products) {
+  const summary = customsSummary({ products, customs });
+  return {
+    currency: summary.currency || undefined,
+    incoterm: summary.incoterm,
+    declared_value: summary.declared_total,
+  };
+}
+
+/**
+ * Fetch the rate this shipment would be billed at. Resolves with
+ * { rate, quotes } — rate is null when no quote matches the service.
+ */
+export async function quoteShipment({ carrier_id, service_code, recipient, products, packages, customs }, account) {
+  const data = await shipiRequest("rates_api/shipi_rates.php", {
+    receiver_address: {
+      name: recipient.name,
+      address1: recipient.address1,
+      address2: recipient.address2 || "",
+      city: recipient.city,
+      state: recipient.state,
+      postal: recipient.postal,
+      country: recipient.country,
+    },
+    products: toApiProducts(packages ?? products),
+    account_id: carrier_id,
+    ...(customs && { customs: ratesCustoms(customs, products) }),
+  }, "POST", account);
+  const quotes = normalizeRates(data);
+  return { rate: findRate(quotes, { carrierId: carrier_id, serviceCode: service_code }), quotes };
+}
+
+// ─── Policy ─────────────────────────────────────────────────────────
+/**
+ * Policy problems with buying this shipment at `rate` (the quote it will be
+ * billed at, or null). Empty when the label is allowed.
+ */
+export async function labelPolicy(params, rate, account) {
+  const { carrier } = await carrierProfile(account, params.carrier_id);
+  return labelViolations({ carrier, service_code: params.service_code, country: params.recipient.country, rate }, account);
+}
+
+/**
+ * Throw policy_denied unless the label may be bought, then count its cost
+ * toward today's spend. `rate` is the dry run's quote; without one it is
+ * quoted now when a spend limit needs it. Returns { rate, releaseSpend }:
+ * the rate judged on and the release for a purchase that definitely failed.
+ */
+async function admitLabel(params, account, rate) {
+  if (!rate && needsRate()) rate = (await quoteShipment(params, account)).rate;
+  const problems = await labelPolicy(params, rate, account);
+  if (problems.length) throw policyError(problems);
+  // Reserved in the same tick as the check so concurrent purchases see it.
+  return { rate, releaseSpend: reserveSpend(account, rate) };
+}
+
+// ─── Purchase flow ──────────────────────────────────────────────────
+function invalid(problems) {
+  return new ShipiError(ErrorCode.VALIDATION, `Invalid shipment: ${problems.join("; ")}`, { details: { problems } });
+}
+
+/** meta, payload hash, account scope and idempotency key for a call */
+function identify(params, account) {
+  const meta = buildShipmentMeta(params);
+  const hash = idempotency.payloadHash(meta);
+  return {
+    meta,
+    hash,
+    scope: idempotency.accountScope(account),
+    key: idempotency.deriveKey({ supplied: params.idempotency_key, orderReference: params.order_reference, hash }),
+  };
+}
+
+/**
+ * Dry run: validate, build meta, quote the matching rate and issue a
+ * confirmation token for exactly this payload. Buys nothing.
+ */
+export async function previewShipment(input, account) {
+  const { params: resolved, sources } = await resolveParties(input, account);
+  const checked = checkShipment(resolved);
+  if (checked.problems.length) return { status: "preview", valid: false, problems: checked.problems, warnings: checked.warnings };
+  const { params, warnings, package: pkg, packing } = await prepareProducts(checked.params, account);
+
+  const { meta, hash, scope, key } = identify(params, account);
+  const preview = { status: "preview", valid: true, idempotency_key: key, meta, package: pkg, warnings: [...checked.warnings, ...warnings] };
+  if (packing) preview.packing = packing;
+  if (checked.international) preview.customs = customsSummary(params);
+  preview.address_sources = sources;
+
+  const previous = idempotency.lookup(scope, key);
+  if (previous?.status === "completed") {
+    preview.warnings.push("A label was already created for this idempotency key; purchasing will return that result instead of buying another");
+    preview.previous_result = previous.result;
+  }
+
+  let rate = null;
+  try {
+    const quote = await quoteShipment(params, account);
+    rate = quote.rate;
+    if (!rate) {
+      const services = [...new Set(quote.quotes.map((q) => q.service_code))];
+      preview.warnings.push(services.length
+        ? `No rate returned for service "${params.service_code || "(default)"}". Available: ${services.join(", ")}`
+        : "The rates API returned no quotes for this shipment");
+    }
+  } catch (err) {
+    preview.warnings.push(`Rate lookup failed: ${err.message}`);
+  }
+  preview.rate = rate;
+  preview.estimated_cost = rate ? { total: rate.total, currency: rate.currency } : null;
+
+  const violations = await labelPolicy(params, rate, account);
+  if (violations.length) throw policyError(violations);
+
+  const { token, expires_at } = idempotency.issueConfirmation({ scope, hash, rate });
+  preview.confirmation_token = token;
+  preview.confirmation_expires_at = expires_at;
+  return preview;
+}
+
+/**
+ * Buy the label. Repeats of a completed idempotency key replay the first
+ * result; with confirmation required, the token from a matching dry run
+ * must be supplied.
+ */
+export async function purchaseShipment(input, account, { requireConfirmation = REQUIRE_CONFIRMATION } = {}) {
+  const { params: resolved, sources } = await resolveParties(input, account);
+  const checked = checkShipment(resolved);
+  if (checked.problems.length) throw invalid(checked.problems);
+  const { params, warnings: packageWarnings, packing } = await prepareProducts(checked.params, account);
+
+  const { meta, hash, scope, key } = identify(params, account);
+  const previous = idempotency.lookup(scope, key);
+  if (previous?.status === "completed") {
+    const { commercial_invoice: invoice, ...result } = previous.result;
+    return {
+      ...result,
+      idempotent_replay: true,
+      idempotency_key: key,
+      ...(invoice && { commercial_invoice: readInvoice(invoice) }),
+    };
+  }
+  if (previous) throw idempotency.conflictError(key, previous);
+
+  // Claim the key and the token before the first await, so a concurrent
+  // identical call sees this one as in progress instead of buying too.
+  const confirmed = requireConfirmation ? idempotency.checkConfirmation(params.confirmation_token, { scope, hash }) : null;
+  idempotency.begin(scope, key, { order_reference: params.order_reference || null, payload_hash: hash });
+  idempotency.consumeConfirmation(params.confirmation_token);
+  const release = () => {
+    idempotency.fail(scope, key, { outcomeUnknown: false });
+    if (confirmed) idempotency.restoreConfirmation(params.confirmation_token, confirmed);
+  };
+
+  let admitted;
+  try {
+    admitted = await admitLabel(params, account, confirmed?.rate);
+  } catch (err) {
+    release();
+    throw err;
+  }
+  const { rate, releaseSpend } = admitted;
+
+  let data;
+  try {
+    data = await shipiRequest("label_api/create_shipment.php", {
+      integrated_key: account.key,
+      meta,
+    }, "POST", account);
+  } catch (err) {
+    // Only a 4xx, an API-level rejection on a 2xx response or a request we
+    // never sent is a definite "no label". Timeouts, dropped connections and
+    // 5xx or gateway pages — even with an error body — may hide a label
+    // that was created.
+    const rejected = (err.status >= 400 && err.status < 500)
+      || (err.status < 400 && err.details?.status === "error")
+      || err.details?.circuit_open === true;
+    if (rejected) {
+      releaseSpend();
+      release();
+    } else {
+      idempotency.fail(scope, key, { outcomeUnknown: true });
+    }
+    throw err;
+  }
+  // Recorded as soon as the label exists, so nothing below can lead to a second one.
+  idempotency.complete(scope, key, data);
+
+  let invoice;
+  if (checked.international) {
+    // The label is bought; a failed invoice write must not hide that.
+    try {
+      invoice = await writeInvoice({ ...params, tracking_number: labelSummary(data).tracking_number });
+    } catch (err) {
+      invoice = { error: `Could not write the commercial invoice: ${err.message}; use create_commercial_invoice` };
+    }
+  }
+  // Only a recipient typed into this call is new to the address book.
+  const savedRecipient = params.save_recipient && sources.recipient === "given" ? await saveRecipient(params.recipient, account) : undefined;
+  const result = {
+    ...data,
+    idempotency_key: key,
+    ...(rate && { estimated_cost: { total: rate.total, currency: rate.currency } }),
+    ...(invoice && { commercial_invoice: invoice }),
+    ...(savedRecipient && { saved_recipient: savedRecipient }),
+    ...(packing && { packing }),
+    ...(checked.warnings.length && { address_warnings: checked.warnings }),
+    ...(packageWarnings.length && { package_warnings: packageWarnings }),
+  };
+  // Replays return all of this, not just the API response; the invoice PDF
+  // is read back from its file rather than kept in the record.
+  const { content, ...storedInvoice } = invoice ?? {};
+  idempotency.complete(scope, key, { ...result, ...(invoice && { commercial_invoice: storedInvoice }) });
+  return result;
+}
+
+/** Tracking number, label URL and shipment id from a create_shipment response */
+export function labelSummary(data) {
+  const pick = (...keys) => {
+    for (const source of [data, data?.data]) {
+      for (const k of keys) {
+        if (source && source[k] !== undefined && source[k] !== null && source[k] !== "") return source[k];
+      }
+    }
+    return null;
+  };
+  return {
+    tracking_number: pick("tracking_number", "tracking_no", "tracking", "awb"),
+    label_url: pick("label_url", "label", "label_link", "label_path"),
+    shipment_id: pick("shipment_id", "id", "del_ref"),
+  };
+}
+
+// ─── Rate shopping ──────────────────────────────────────────────────
+/**
+ * Quote every carrier for this shipment and rank the quotes by strategy and
+ * rules (call arguments override the SHIPI_* defaults). With
+ * `prepare_shipment`, runs the create_shipment dry run for the winner and
+ * returns the exact arguments, token included, that buy it; without a
+ * shipper, the winning carrier account's shipper address is used.
+ */
+export async function shopShipment(params, account) {
+  const rules = {
+    strategy: params.strategy,
+    deliver_by: params.deliver_by,
+    ship_date: params.ship_date,
+    currency: params.currency,
+    excluded_carriers: params.excluded_carriers ?? RATE_RULES.excluded_carriers,
+    preferred_carriers: params.preferred_carriers ?? RATE_RULES.preferred_carriers,
+    max_cost: params.max_cost ?? RATE_RULES.max_cost,
+    tie_tolerance: params.tie_tolerance,
+  };
+
+  const checked = checkAddresses(params, ["recipient", "shipper"]);
+  if (checked.problems.length) throw addressError(checked.problems);
+  const { recipient, shipper } = checked.params;
+
+  const prepared = await prepareProducts({ ...params, carrier_id: params.account_id }, account);
+  const { quotes } = await quoteShipment({
+    carrier_id: params.account_id,
+    recipient,
+    products: prepared.params.products,
+    packages: prepared.params.packages,
+    customs: params.customs,
+  }, account);
+  // Quotes the policy would refuse to buy never win.
+  const blocked = [];
+  const allowed = quotes.filter((q) => {
+    const reason = quoteDenied(q);
+    if (reason) blocked.push({ carrier: q.carrier, service_code: q.service_code, total: q.total, reason: `policy: ${reason}` });
+    return !reason;
+  });
+  const ranked = rankRates(allowed, rules);
+  // Missing customs data does not stop a quote, but the label will need it.
+  const customs = shipper ? checkCustoms({ shipper, recipient, products: params.products, customs: params.customs }) : { problems: [], warnings: [] };
+  const result = {
+    strategy: rules.strategy,
+    rules: { excluded_carriers: rules.excluded_carriers, preferred_carriers: rules.preferred_carriers, max_cost: rules.max_cost ?? null, deliver_by: rules.deliver_by ?? null },
+    chosen: ranked.chosen,
+    options: ranked.options.slice(0, params.limit),
+    excluded: [...blocked, ...ranked.excluded],
+    package: prepared.package,
+    ...(prepared.packing && { packing: prepared.packing }),
+    warnings: [...checked.warnings, ...prepared.warnings, ...ranked.warnings, ...customs.problems, ...customs.warnings],
+  };
+  if (!quotes.length) result.warnings.push("The rates API returned no quotes for this shipment");
+  if (!params.prepare_shipment || !ranked.chosen) return result;
+
+  const carrierId = ranked.chosen.carrier_id ?? params.account_id;
+  if (carrierId === undefined) {
+    result.warnings.push("The chosen quote has no shipping account ID; pass account_id to prepare the shipment");
+    return result;
+  }
+  const shipment = {
+    carrier_id: carrierId,
+    service_code: ranked.chosen.service_code,
+    ...(shipper && { shipper }),
+    recipient,
+    products: prepared.params.products,
+    weight_unit: prepared.params.weight_unit,
+    dimension_unit: prepared.params.dimension_unit,
+    ...(params.pack && { pack: true, ...(params.boxes && { boxes: params.boxes }) }),
+    ...(params.customs && { customs: params.customs }),
+    ...(params.order_reference && { order_reference: params.order_reference }),
+    ...(params.skip_address_validation && { skip_address_validation: true }),
+  };
+  let preview;
+  try {
+    preview = await previewShipment(shipment, account);
+  } catch (err) {
+    // A label the policy refuses is still worth quoting.
+    if (err.code !== ErrorCode.POLICY_DENIED) throw err;
+    result.warnings.push(err.message);
+    return result;
+  }
+  result.preview = preview;
+  if (preview.valid) {
+    result.create_shipment = { ...shipment, confirmation_token: preview.confirmation_token };
+  }
+  return result;
+}
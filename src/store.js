@@ -0,0 +1,80 @@
+/**
+ * JSON file store — small persistent key/value maps under SHIPI_DATA_DIR.
+ *
+ * Each store is one JSON file, loaded on first use and rewritten atomically
+ * (temp file + rename) on every change. Good for the few hundred to few
+ * thousand records this server keeps; not a database.
+ */
+
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { DATA_DIR } from "./config.js";
+
+export class JsonStore {
+  /** @param {string} name file name inside DATA_DIR, or an absolute path */
+  constructor(name) {
+    this.path = name.startsWith("/") ? name : join(DATA_DIR, name);
+    this.data = null;
+  }
+
+  load() {
+    if (this.data) return this.data;
+    try {
+      this.data = JSON.parse(readFileSync(this.path, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw new Error(`Cannot read store ${this.path}: ${err.message}`);
+      this.data = {};
+    }
+    return this.data;
+  }
+
+  save() {
+    mkdirSync(dirname(this.path), { recursive: true });
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(this.data ?? {}, null, 2), { mode: 0o600 });
+    renameSync(tmp, this.path);
+  }
+
+  get(key) {
+    return this.load()[key];
+  }
+
+  set(key, value) {
+    this.load()[key] = value;
+    this.save();
+    return value;
+  }
+
+  /** Set several keys ([key, value] pairs); saves once */
+  setMany(entries) {
+    const data = this.load();
+    for (const [key, value] of entries) data[key] = value;
+    this.save();
+  }
+
+  delete(key) {
+    const data = this.load();
+    if (!(key in data)) return false;
+    delete data[key];
+    this.save();
+    return true;
+  }
+
+  entries() {
+    return Object.entries(this.load());
+  }
+
+  /** Remove every record the predicate matches; saves once */
+  prune(predicate) {
+    const data = this.load();
+    let removed = 0;
+    for (const [key, value] of Object.entries(data)) {
+      if (predicate(value, key)) {
+        delete data[key];
+        removed++;
+      }
+    }
+    if (removed) this.save();
+    return removed;
+  }
+}
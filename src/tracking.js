@@ -0,0 +1,258 @@
+/**
+ * Tracking — carrier detection from the tracking number format, and event
+ * history from the shipment record (`api/v1/shipments.php`) normalized into
+ * one timeline whatever the carrier's own status vocabulary.
+ *
+ * Mapped statuses: label_created, in_transit, out_for_delivery, exception,
+ * delivered (unknown when nothing matches).
+ *
+ * Scan times that carry no zone are the scan location's wall-clock time.
+ * They are converted to UTC when the event gives its UTC offset, and
+ * otherwise kept as local time (no "Z") with `local_time: true`.
+ */
+
+import { ErrorCode, ShipiError } from "./errors.js";
+import { firstOf } from "./fields.js";
+import { shipiRequest } from "./shipi.js";
+
+export const TRACKING_STATUSES = ["label_created", "in_transit", "out_for_delivery", "exception", "delivered", "unknown"];
+
+// ─── Carrier detection ──────────────────────────────────────────────
+const digits = (s) => [...s].map(Number);
+
+/** FedEx 12-digit: weights 1,3,7 from the right, mod 11 (10 → 0) */
+function fedex12(n) {
+  const d = digits(n);
+  const weights = [1, 3, 7];
+  let sum = 0;
+  for (let i = 0; i < 11; i++) sum += d[10 - i] * weights[i % 3];
+  return (sum % 11) % 10 === d[11];
+}
+
+/** DHL Express 10-digit: first nine digits mod 7 */
+function dhl10(n) {
+  return Number(n.slice(0, 9)) % 7 === Number(n[9]);
+}
+
+/** USPS 20-digit: weights 3,1 from the right, mod 10 */
+function uspsMod10(n) {
+  const d = digits(n);
+  const body = d.slice(0, -1).reverse();
+  const sum = body.reduce((acc, v, i) => acc + v * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === d[d.length - 1];
+}
+
+// Most specific first; numeric formats that collide are told apart by check digit.
+const CARRIER_PATTERNS = [
+  { carrier: "ups", test: (n) => /^1Z[0-9A-Z]{16}$/.test(n) },
+  { carrier: "ups", test: (n) => /^T\d{10}$/.test(n) },
+  { carrier: "usps", test: (n) => /^9[1-5]\d{20}$/.test(n) },
+  { carrier: "usps", test: (n) => /^[A-Z]{2}\d{9}US$/.test(n) },
+  { carrier: "usps", test: (n) => /^(420\d{5}|420\d{9})(9[1-5]\d{20})$/.test(n) },
+  { carrier: "fedex", test: (n) => /^96\d{20}$/.test(n) },
+  { carrier: "fedex", test: (n) => /^\d{12}$/.test(n) && fedex12(n) },
+  { carrier: "fedex", test: (n) => /^\d{15}$/.test(n) },
+  { carrier: "dhl", test: (n) => /^\d{10}$/.test(n) && dhl10(n) },
+  { carrier: "dhl", test: (n) => /^(JJD\d{8,}|JVGL\d{8,}|GM\d{16,18}|LX\d{9}DE|[A-Z]{3}\d{7})$/.test(n) },
+  { carrier: "usps", test: (n) => /^\d{20}$/.test(n) && uspsMod10(n) },
+];
+
+/** Carrier code for a tracking number (ups, usps, fedex, dhl), or null */
+export function detectCarrier(trackingNumber) {
+  const n = String(trackingNumber || "").replace(/[\s-]/g, "").toUpperCase();
+  if (!n) return null;
+  return CARRIER_PATTERNS.find((p) => p.test(n))?.carrier ?? null;
+}
+
+// ─── Status mapping ─────────────────────────────────────────────────
+const STATUS_CODES = {
+  // UPS activity types and FedEx/generic scan codes
+  M: "label_created", MP: "label_created", OC: "label_created", IN: "label_created",
+  P: "in_transit", I: "in_transit", PU: "in_transit", IT: "in_transit", AR: "in_transit", DP: "in_transit", AF: "in_transit", TR: "in_transit",
+  OD: "out_for_delivery", OFD: "out_for_delivery",
+  X: "exception", DE: "exception", EX: "exception", CA: "exception", RS: "exception", HL: "exception",
+  D: "delivered", DL: "delivered",
+};
+
+// Checked in order: "out for delivery" and "delivery attempted" must win over "delivered".
+const STATUS_KEYWORDS = [
+  ["out_for_delivery", /out for delivery|on (fedex )?vehicle for delivery|with delivery courier/i],
+  ["exception", /exception|attempt|fail|unable|delay|refused|damage|undeliverable|return(ed)? to sender|held|hold|incorrect address|clearance delay|cancel/i],
+  ["delivered", /delivered|picked up by (recipient|customer)|signed for/i],
+  ["label_created", /label (created|printed)|shipment information (received|sent)|info(rmation)? received|pre-?transit|manifest|awaiting (pickup|item)|order processed/i],
+  ["in_transit", /transit|picked up|pickup|accepted|arrived|departed|processed|facility|hub|sort|scan|customs|clearance|origin|destination|en route|forwarded|loaded/i],
+];
+
+/** Map a carrier status code and/or description to one of TRACKING_STATUSES */
+export function mapStatus(code, description) {
+  const byCode = code && STATUS_CODES[String(code).trim().toUpperCase()];
+  if (byCode) return byCode;
+  for (const text of [code, description]) {
+    if (!text) continue;
+    const found = STATUS_KEYWORDS.find(([, re]) => re.test(String(text)));
+    if (found) return found[0];
+  }
+  return "unknown";
+}
+
+// ─── Event normalization ────────────────────────────────────────────
+const TIME_FIELDS = ["timestamp", "date_time", "datetime", "event_time", "time", "date", "scan_date", "activity_date"];
+const DESCRIPTION_FIELDS = ["description", "status_description", "event_description", "activity", "message", "status", "event"];
+const CODE_FIELDS = ["status_code", "code", "event_code", "event_type", "type"];
+const ETA_FIELDS = ["estimated_delivery", "estimated_delivery_date", "expected_delivery", "delivery_date", "eta"];
+const OFFSET_FIELDS = ["utc_offset", "gmt_offset", "timezone_offset", "tz_offset"];
+
+function formatLocation(obj) {
+  const loc = obj.location ?? obj.scan_location ?? obj.address;
+  if (typeof loc === "string") return loc || null;
+  const source = loc && typeof loc === "object" ? loc : obj;
+  const parts = ["city", "state", "postal", "country"].map((k) => source[k]).filter(Boolean);
+  return parts.length ? parts.join(", ") : null;
+}
+
+/** "+02:00" from "+0200", "+02:00" or "-5"; null when it is not an offset */
+function normalizeOffset(value) {
+  const m = String(value ?? "").trim().match(/^([+-])(\d{1,2})(?::?(\d{2}))?$/);
+  return m ? `${m[1]}${m[2].padStart(2, "0")}:${m[3] ?? "00"}` : null;
+}
+
+/**
+ * { timestamp, local } for an event: ISO UTC when the time carries a zone
+ * or the event an offset; local wall-clock time ("2024-05-01T14:05:00",
+ * local: true) when it has neither; the raw value when it does not parse.
+ */
+function toTimestamp(obj) {
+  let value = firstOf(obj, TIME_FIELDS);
+  if (value === undefined) return { timestamp: null };
+  // Separate date and time fields ("date": "2024-05-01", "time": "14:05")
+  if (obj.date && obj.time && !String(obj.date).includes(":")) value = `${obj.date}T${obj.time}`;
+  const text = String(value).trim();
+  const wallClock = text.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/);
+  if (wallClock) {
+    const [, day, h, min, sec = "00"] = wallClock;
+    const local = `${day}T${h.padStart(2, "0")}:${min}:${sec}`;
+    const offset = normalizeOffset(firstOf(obj, OFFSET_FIELDS));
+    // Date.parse would read it in this server's zone, which says nothing about the scan.
+    if (!offset) return { timestamp: local, local: true };
+    value = `${local}${offset}`;
+  }
+  const ms = Date.parse(value);
+  return { timestamp: Number.isNaN(ms) ? text : new Date(ms).toISOString() };
+}
+
+function toEvent(obj) {
+  const description = firstOf(obj, DESCRIPTION_FIELDS);
+  const { timestamp, local } = toTimestamp(obj);
+  if (description === undefined || timestamp === null) return null;
+  const code = firstOf(obj, CODE_FIELDS);
+  return {
+    timestamp,
+    ...(local && { local_time: true }),
+    location: formatLocation(obj),
+    carrier_status_code: code !== undefined ? String(code) : null,
+    description: String(description),
+    status: mapStatus(code, description),
+  };
+}
+
+/** Collect the event objects anywhere in a tracking response, oldest first */
+export function normalizeEvents(data) {
+  const events = [];
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        const event = item && typeof item === "object" && !Array.isArray(item) ? toEvent(item) : null;
+        if (event) events.push(event);
+        else walk(item);
+      }
+      return;
+    }
+    if (node && typeof node === "object") for (const v of Object.values(node)) walk(v);
+  };
+  walk(data);
+  return events.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+/** First estimated-delivery value found in the response, as YYYY-MM-DD where possible */
+function findEstimatedDelivery(data) {
+  let found = null;
+  const walk = (node) => {
+    if (found || !node || typeof node !== "object") return;
+    if (!Array.isArray(node)) {
+      const value = firstOf(node, ETA_FIELDS);
+      if (value !== undefined) {
+        const ms = Date.parse(value);
+        found = Number.isNaN(ms) ? String(value) : new Date(ms).toISOString().slice(0, 10);
+        return;
+      }
+    }
+    for (const v of Object.values(node)) walk(v);
+  };
+  walk(data);
+  return found;
+}
+
+// ─── Lookup ─────────────────────────────────────────────────────────
+const sameNumber = (a, b) => String(a ?? "").replace(/[\s-]/g, "").toUpperCase() === String(b ?? "").replace(/[\s-]/g, "").toUpperCase();
+
+/**
+ * The shipment record carrying a tracking number's history: by
+ * `shipment_id` when the caller has it, else found with a search.
+ */
+async function shipmentHistory(trackingNumber, shipmentId, account) {
+  let id = shipmentId;
+  if (id === undefined || id === null) {
+    const found = await shipiRequest("api/v1/shipments.php", { action: "search", q: trackingNumber, limit: 10 }, "GET", account);
+    const rows = found?.data?.shipments ?? found?.shipments ?? (Array.isArray(found?.data) ? found.data : []);
+    const row = rows.find((r) => sameNumber(r.tracking_number, trackingNumber));
+    if (!row) throw new ShipiError(ErrorCode.VALIDATION, `No shipment with tracking number ${trackingNumber} in this account`);
+    id = row.shipment_id ?? row.id;
+  }
+  return shipiRequest("api/v1/shipments.php", { action: "get", id }, "GET", account);
+}
+
+/**
+ * Tracking timeline plus tracking URL for one shipment. The carrier is the
+ * caller's, else detected from the number; `shipment_id` saves the search
+ * for the shipment record. Either lookup may fail on its own; only when
+ * both do is the error raised.
+ */
+export async function trackShipment({ tracking_number, carrier, shipment_id }, account) {
+  const detected = detectCarrier(tracking_number);
+  const resolved = carrier || detected || "";
+
+  const [history, link] = await Promise.allSettled([
+    shipmentHistory(tracking_number, shipment_id, account),
+    shipiRequest("api/v1/tracking_url.php", { tracking_number, carrier: resolved }, "GET", account),
+  ]);
+  if (history.status === "rejected" && link.status === "rejected") throw history.reason;
+
+  const warnings = [];
+  if (!carrier && !detected) warnings.push("Carrier not recognized from the tracking number; pass `carrier` if the lookup is wrong");
+  if (carrier && detected && carrier.toLowerCase() !== detected) {
+    warnings.push(`The tracking number looks like ${detected}, not ${carrier}`);
+  }
+
+  const events = history.status === "fulfilled" ? normalizeEvents(history.value) : [];
+  if (history.status === "rejected") warnings.push(`Tracking history unavailable: ${history.reason.message}`);
+  else if (!events.length) warnings.push("The carrier has not reported any tracking events yet");
+
+  const latest = events[events.length - 1];
+  const url = link.status === "fulfilled"
+    ? link.value?.tracking_url ?? link.value?.url ?? link.value?.data?.tracking_url ?? null
+    : null;
+
+  return {
+    tracking_number,
+    carrier: resolved || null,
+    carrier_source: carrier ? "argument" : detected ? "detected" : null,
+    status: latest?.status ?? "unknown",
+    status_description: latest?.description ?? null,
+    last_update: latest?.timestamp ?? null,
+    estimated_delivery: history.status === "fulfilled" ? findEstimatedDelivery(history.value) : null,
+    delivered_at: latest?.status === "delivered" ? latest.timestamp : null,
+    events,
+    tracking_url: url,
+    warnings,
+  };
+}
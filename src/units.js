@@ -0,0 +1,119 @@
+/**
+ * Weight and dimension units — convert package figures from the units the
+ * caller used to the units the carrier account expects, and work out the
+ * dimensional weight carriers bill by.
+ *
+ * Dimensional weight = length × width × height ÷ divisor, per carrier: the
+ * divisor is in³/lb for inch-pound accounts and cm³/kg for metric ones.
+ */
+
+export const WEIGHT_UNITS = ["lb", "kg", "oz", "g"];
+export const DIMENSION_UNITS = ["in", "cm"];
+
+const KG_PER = { lb: 0.45359237, kg: 1, oz: 0.028349523125, g: 0.001 };
+const CM_PER = { in: 2.54, cm: 1 };
+
+const DIM_DIVISORS = {
+  fedex: { in: 139, cm: 5000 },
+  ups: { in: 139, cm: 5000 },
+  dhl: { in: 139, cm: 5000 },
+  dhl_express: { in: 139, cm: 5000 },
+  usps: { in: 166, cm: 6000 },
+  canada_post: { in: 166, cm: 6000 },
+  canadapost: { in: 166, cm: 6000 },
+  purolator: { in: 139, cm: 5000 },
+  canpar: { in: 139, cm: 5000 },
+  australia_post: { in: 111, cm: 4000 },
+  auspost: { in: 111, cm: 4000 },
+  aramex: { in: 139, cm: 5000 },
+  bluedart: { in: 139, cm: 5000 },
+  delhivery: { in: 139, cm: 5000 },
+  dtdc: { in: 139, cm: 5000 },
+  ecom_express: { in: 139, cm: 5000 },
+};
+const DEFAULT_DIVISOR = { in: 139, cm: 5000 };
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+export function convertWeight(value, from, to) {
+  return from === to ? value : round((value * KG_PER[from]) / KG_PER[to], 3);
+}
+
+export function convertLength(value, from, to) {
+  return from === to ? value : round((value * CM_PER[from]) / CM_PER[to], 2);
+}
+
+export function dimDivisor(carrier, dimensionUnit) {
+  const key = String(carrier || "").toLowerCase().replace(/[\s-]+/g, "_");
+  return (DIM_DIVISORS[key] || DEFAULT_DIVISOR)[dimensionUnit];
+}
+
+/**
+ * Units declared on a carrier account record, or null. Accepts separate
+ * weight/dimension fields or a combined one ("LB_IN", "KG_CM", "metric").
+ */
+export function unitsFromRecord(record) {
+  let found = null;
+  const walk = (node) => {
+    if (found || !node || typeof node !== "object") return;
+    const weight = String(node.weight_unit ?? node.weight_uom ?? "").toLowerCase().replace(/s$/, "");
+    const dimension = String(node.dimension_unit ?? node.dim_unit ?? node.dimension_uom ?? "").toLowerCase();
+    const combined = String(node.units ?? node.unit ?? node.unit_system ?? node.uom ?? "").toLowerCase();
+    if (WEIGHT_UNITS.includes(weight)) {
+      found = { weight, dimension: DIMENSION_UNITS.includes(dimension) ? dimension : weight === "kg" || weight === "g" ? "cm" : "in" };
+    } else if (/^(kg|metric|kg_cm|kgs_cm)$/.test(combined)) {
+      found = { weight: "kg", dimension: "cm" };
+    } else if (/^(lb|lbs|imperial|lb_in|lbs_in)$/.test(combined)) {
+      found = { weight: "lb", dimension: "in" };
+    }
+    if (!found) Object.values(node).forEach(walk);
+  };
+  walk(record);
+  return found;
+}
+
+/**
+ * Convert products from `from` units to `to` units. Missing dimensions are
+ * left out (the label API falls back to 1) and reported as warnings.
+ * Returns { products, warnings, package } where package carries actual,
+ * dimensional and billable weight in `to.weight`.
+ */
+export function convertProducts(products, { from, to, carrier }) {
+  const warnings = [];
+  const divisor = dimDivisor(carrier, to.dimension);
+  let actual = 0;
+  let dimensional = 0;
+
+  const converted = products.map((p, i) => {
+    const out = { ...p, weight: convertWeight(p.weight, from.weight, to.weight) };
+    const dims = ["length", "width", "height"];
+    const missing = dims.filter((d) => !(p[d] > 0));
+    for (const d of dims) {
+      if (p[d] > 0) out[d] = convertLength(p[d], from.dimension, to.dimension);
+      else delete out[d];
+    }
+    const qty = p.quantity || 1;
+    actual += out.weight * qty;
+    if (missing.length) {
+      warnings.push(`products[${i}] has no ${missing.join("/")}; the carrier will assume 1 ${to.dimension}, so rates may be too low for a real box`);
+    } else {
+      // The divisor yields lb for inches and kg for centimetres.
+      const raw = (out.length * out.width * out.height) / divisor;
+      dimensional += convertWeight(raw, to.dimension === "in" ? "lb" : "kg", to.weight) * qty;
+    }
+    return out;
+  });
+
+  const pkg = {
+    weight_unit: to.weight,
+    dimension_unit: to.dimension,
+    actual_weight: round(actual, 3),
+    dimensional_weight: round(dimensional, 3),
+    billable_weight: round(Math.max(actual, dimensional), 3),
+    dim_divisor: divisor,
+  };
+  if (dimensional > actual) {
+    warnings.push(`Dimensional weight ${pkg.dimensional_weight} ${to.weight} exceeds the actual ${pkg.actual_weight} ${to.weight}; the carrier will bill by size`);
+  }
+  return { products: converted, warnings, package: pkg };
+}
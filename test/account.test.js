@@ -0,0 +1,125 @@
+/**
+ * Address book, carrier accounts, account info, stats and profiles end to
+ * end, including how the key reaches the API, and the resources over the
+ * same data with SHIPI_CACHE on.
+ */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { ResourceListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { MOCK_KEY } from "./fixtures.js";
+import { SECOND_KEY, startServer } from "./helpers.js";
+
+describe("address book and account", () => {
+  let h;
+  let listChanged = 0;
+  before(async () => {
+    h = await startServer({ env: { SHIPI_CACHE: "true" } });
+    h.client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+      listChanged++;
+    });
+  });
+  after(() => h.stop());
+
+  it("list_addresses filters by type and searches by name", async () => {
+    const receivers = await h.call("list_addresses", { type: "receiver" });
+    assert.deepEqual(receivers.data.map((a) => a.id), [12, 13]);
+
+    const found = await h.call("list_addresses", { search: "acme widgts" });
+    assert.equal(found.addresses[0].id, 12);
+  });
+
+  it("get_address returns one address", async () => {
+    const address = await h.call("get_address", { id: 13 });
+    assert.equal(address.data.city, "Berlin");
+    const missing = await h.call("get_address", { id: 404 });
+    assert.equal(missing.isError, true);
+    assert.equal(missing.error.code, "validation");
+  });
+
+  it("add_address validates before saving", async () => {
+    const bad = await h.call("add_address", { name: "Bad Zip", address1: "1 Main St", city: "Austin", state: "TX", country: "US", postal: "7870" });
+    assert.equal(bad.isError, true);
+    assert.equal(bad.error.code, "validation");
+    assert.equal(h.mock.requests.filter((r) => r.body?.action === "add").length, 0);
+
+    const added = await h.call("add_address", { type: "receiver", name: "Ann Lee", address1: "1 Main St", city: "Austin", state: "texas", country: "US", postal: "78701" });
+    assert.equal(added.isError, false);
+    const saved = h.mock.state.addresses.find((a) => a.id === added.id);
+    assert.equal(saved.state, "TX");
+  });
+
+  it("edit_address changes only the given fields", async () => {
+    const edited = await h.call("edit_address", { id: 12, mobile: "3105550999" });
+    assert.equal(edited.isError, false);
+    const address = h.mock.state.addresses.find((a) => a.id === 12);
+    assert.equal(address.mobile, "3105550999");
+    assert.equal(address.city, "Los Angeles");
+  });
+
+  it("delete_address needs a confirmation token", async () => {
+    const refused = await h.call("delete_address", { id: 13 });
+    assert.equal(refused.isError, true);
+    assert.equal(refused.error.code, "policy_denied");
+
+    const before = listChanged;
+    const preview = await h.call("delete_address", { id: 13, dry_run: true });
+    assert.equal(listChanged, before);
+    const deleted = await h.call("delete_address", { id: 13, confirmation_token: preview.confirmation_token });
+    assert.equal(deleted.isError, false);
+    assert.equal(h.mock.state.addresses.some((a) => a.id === 13), false);
+    assert.equal(listChanged, before + 1);
+  });
+
+  it("address resources share the tools' cache and see address changes", async () => {
+    const lists = () => h.mock.requests.filter((r) => r.endpoint === "api/v1/addresses.php" && r.query.action === "list").length;
+    const read = async () => JSON.parse((await h.client.readResource({ uri: "shipi://addresses" })).contents[0].text);
+    await h.call("list_addresses");
+    const sent = lists();
+    await read();
+    assert.equal(lists(), sent);
+
+    await h.call("edit_address", { id: 12, city: "Pasadena" });
+    const after = await read();
+    assert.equal(lists(), sent + 1);
+    assert.equal(after.data.find((a) => a.id === 12).city, "Pasadena");
+  });
+
+  it("list_carriers and get_carrier return the carrier accounts", async () => {
+    const carriers = await h.call("list_carriers");
+    assert.deepEqual(carriers.data.map((c) => c.carrier_type), ["fedex", "ups", "dhl"]);
+    const dhl = await h.call("get_carrier", { id: 3 });
+    assert.equal(dhl.data.weight_unit, "kg");
+  });
+
+  it("get_account_info and get_shipping_stats read the account", async () => {
+    const info = await h.call("get_account_info");
+    assert.equal(info.data.plan, "growth");
+    const stats = await h.call("get_shipping_stats", { period: "all" });
+    assert.equal(stats.data.total_shipments, 8);
+    assert.equal(stats.data.by_carrier.fedex, 4);
+  });
+
+  it("list_profiles names the configured accounts without their keys", async () => {
+    const result = await h.call("list_profiles");
+    const text = JSON.stringify(result);
+    assert.ok(["main", "second", "revoked"].every((name) => text.includes(name)));
+    assert.equal(text.includes(MOCK_KEY), false);
+  });
+
+  it("sends the profile's key, as a bearer token on api/v1", async () => {
+    h.mock.requests.length = 0;
+    await h.call("get_account_info", { profile: "second" });
+    const [request] = h.mock.requests;
+    assert.equal(request.authorization, `Bearer ${SECOND_KEY}`);
+    assert.equal(request.query.integration_key, undefined);
+
+    const revoked = await h.call("get_account_info", { profile: "revoked" });
+    assert.equal(revoked.isError, true);
+    assert.equal(revoked.error.code, "auth_failed");
+    assert.equal(JSON.stringify(revoked).includes("revoked-0a9e33"), false);
+
+    const unknown = await h.call("get_account_info", { profile: "nope" });
+    assert.equal(unknown.error.code, "validation");
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Upstream failures end to end: bad JSON, 5xx, timeouts, rate limiting,
+ * API-level rejections and the circuit breaker, with short timeouts and
+ * retries so each case settles quickly.
+ */
+
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { REVOKED_KEY, domesticShipment, startServer } from "./helpers.js";
+
+const COOLDOWN_MS = 500;
+
+describe("upstream failures", () => {
+  let h;
+  const sent = (endpoint) => h.mock.requests.filter((r) => r.endpoint === endpoint).length;
+  const buy = async (args) => {
+    const preview = await h.call("create_shipment", { ...args, dry_run: true });
+    return h.call("create_shipment", { ...args, confirmation_token: preview.confirmation_token });
+  };
+
+  before(async () => {
+    h = await startServer({
+      env: {
+        SHIPI_TIMEOUT_MS: "400",
+        SHIPI_ENDPOINT_TIMEOUTS: "label_api/=400,rates_api/=400,pickup_api/=400",
+        SHIPI_MAX_RETRIES: "1",
+        SHIPI_BREAKER_THRESHOLD: "4",
+        SHIPI_BREAKER_COOLDOWN_MS: String(COOLDOWN_MS),
+      },
+    });
+  });
+  after(() => h.stop());
+  beforeEach(() => {
+    h.mock.clearFaults();
+    h.mock.requests.length = 0;
+  });
+
+  it("retries a read after a 500 and succeeds", async () => {
+    h.mock.fail({ endpoint: "api/v1/carriers.php", type: "server_error", times: 1 });
+    const carriers = await h.call("list_carriers");
+    assert.equal(carriers.isError, false);
+    assert.equal(sent("api/v1/carriers.php"), 2);
+  });
+
+  it("reports a body that is not JSON as upstream_unavailable", async () => {
+    h.mock.fail({ endpoint: "api/v1/account.php", type: "bad_json" });
+    const result = await h.call("get_account_info");
+    assert.equal(result.isError, true);
+    assert.equal(result.error.code, "upstream_unavailable");
+    assert.equal(result.error.message, "Invalid JSON response");
+    assert.equal(result.error.retryable, true);
+    assert.equal(sent("api/v1/account.php"), 2);
+
+    h.mock.clearFaults();
+    assert.equal((await h.call("get_account_info")).isError, false);
+  });
+
+  it("gives up on a read that times out", async () => {
+    h.mock.fail({ endpoint: "api/v1/stats.php", type: "timeout" });
+    const result = await h.call("get_shipping_stats");
+    assert.equal(result.isError, true);
+    assert.equal(result.error.code, "timeout");
+    assert.match(result.error.message, /timed out after 400ms/);
+
+    h.mock.clearFaults();
+    assert.equal((await h.call("get_shipping_stats")).isError, false);
+  });
+
+  it("retries a label purchase only when the API asks with Retry-After", async () => {
+    h.mock.fail({ endpoint: "label_api/create_shipment.php", type: "rate_limited", times: 1 });
+    const bought = await buy(domesticShipment({ order_reference: "FAULT-429" }));
+    assert.equal(bought.isError, false);
+    assert.equal(sent("label_api/create_shipment.php"), 2);
+  });
+
+  it("never buys twice after a purchase timed out", async () => {
+    h.mock.fail({ endpoint: "label_api/create_shipment.php", type: "timeout", times: 1 });
+    const first = await buy(domesticShipment({ order_reference: "FAULT-TIMEOUT" }));
+    assert.equal(first.isError, true);
+    assert.equal(first.error.code, "timeout");
+
+    const second = await buy(domesticShipment({ order_reference: "FAULT-TIMEOUT" }));
+    assert.equal(second.isError, true);
+    assert.equal(second.error.code, "conflict");
+    assert.equal(sent("label_api/create_shipment.php"), 1);
+  });
+
+  it("does not retry a 500 on a label purchase", async () => {
+    h.mock.fail({ endpoint: "label_api/create_shipment.php", type: "server_error", times: 1 });
+    const result = await buy(domesticShipment({ order_reference: "FAULT-500" }));
+    assert.equal(result.error.code, "upstream_unavailable");
+    assert.equal(result.error.http_status, 500);
+    assert.equal(sent("label_api/create_shipment.php"), 1);
+  });
+
+  it("maps API-level rejections to carrier_rejected and auth_failed", async () => {
+    h.mock.fail({ endpoint: "rates_api/", type: "rejected", message: "No service available to this postal code", times: 1 });
+    const rates = await h.call("get_shipping_rates", {
+      receiver_address: { address1: "456 Oak Ave", city: "Los Angeles", state: "CA", postal: "90001", country: "US" },
+      products: [{ weight: 2 }],
+    });
+    assert.equal(rates.error.code, "carrier_rejected");
+    assert.equal(rates.error.message, "No service available to this postal code");
+
+    const revoked = await h.call("get_shipping_rates", {
+      profile: "revoked",
+      receiver_address: { address1: "456 Oak Ave", city: "Los Angeles", state: "CA", postal: "90001", country: "US" },
+      products: [{ weight: 2 }],
+    });
+    assert.equal(revoked.error.code, "auth_failed");
+    assert.equal(JSON.stringify(revoked).includes(REVOKED_KEY), false);
+  });
+
+  it("opens the circuit after repeated failures and closes it after the cooldown", async () => {
+    h.mock.fail({ endpoint: "api/v1/account.php", type: "server_error" });
+    await h.call("get_account_info");
+    await h.call("get_account_info");
+    const before = h.mock.requests.length;
+
+    const open = await h.call("get_account_info");
+    assert.equal(open.error.code, "upstream_unavailable");
+    assert.equal(open.error.details.circuit_open, true);
+    assert.equal(h.mock.requests.length, before);
+
+    h.mock.clearFaults();
+    await sleep(COOLDOWN_MS + 100);
+    const recovered = await h.call("get_account_info");
+    assert.equal(recovered.isError, false);
+  });
+});
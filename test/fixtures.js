@@ -0,0 +1,143 @@
+/**
+ * Fixture data for the mock Shipi backend — one account with three carrier
+ * accounts, an address book, and a few weeks of shipments in every status
+ * with tracking events. Dates are relative to today so date-window features
+ * (sync, reports, monitoring) always have something to find.
+ */
+
+export const MOCK_KEY = "test-key-5f2c9a71e04b";
+
+const day = 24 * 60 * 60 * 1000;
+const daysAgo = (n) => new Date(Date.now() - n * day);
+const date = (d) => d.toISOString().slice(0, 10);
+const stamp = (d) => d.toISOString().slice(0, 19).replace("T", " ");
+
+export const WAREHOUSE = {
+  name: "Main Warehouse",
+  company: "Shipi Test Co",
+  address1: "350 5th Ave",
+  city: "New York",
+  state: "NY",
+  postal: "10118",
+  country: "US",
+  phone: "2125550100",
+  email: "warehouse@example.com",
+};
+
+export const carriers = [
+  { id: 1, carrier_type: "fedex", account_name: "FedEx Main", is_primary: 1, weight_unit: "lb", dimension_unit: "in", shipper_address: WAREHOUSE },
+  { id: 2, carrier_type: "ups", account_name: "UPS Main", is_primary: 0, weight_unit: "lb", dimension_unit: "in", shipper_address: WAREHOUSE },
+  { id: 3, carrier_type: "dhl", account_name: "DHL Express", is_primary: 0, weight_unit: "kg", dimension_unit: "cm", shipper_address: WAREHOUSE },
+];
+
+/** Services each carrier quotes: price = base + per_unit × weight */
+export const services = {
+  fedex: [
+    { service_code: "FEDEX_GROUND", service_name: "FedEx Ground", base: 8.5, per_unit: 1.1, transit_days: 5 },
+    { service_code: "FEDEX_2_DAY", service_name: "FedEx 2Day", base: 19, per_unit: 2.2, transit_days: 2 },
+    { service_code: "PRIORITY_OVERNIGHT", service_name: "FedEx Priority Overnight", base: 38, per_unit: 3.1, transit_days: 1 },
+  ],
+  ups: [
+    { service_code: "03", service_name: "UPS Ground", base: 8.9, per_unit: 1, transit_days: 5 },
+    { service_code: "02", service_name: "UPS 2nd Day Air", base: 20, per_unit: 2, transit_days: 2 },
+    { service_code: "01", service_name: "UPS Next Day Air", base: 41, per_unit: 3, transit_days: 1 },
+  ],
+  dhl: [
+    { service_code: "N", service_name: "DHL Domestic Express", base: 30, per_unit: 4, transit_days: 2, domestic: true },
+    { service_code: "P", service_name: "DHL Express Worldwide", base: 45, per_unit: 5, transit_days: 3, domestic: false },
+  ],
+};
+
+export const addresses = [
+  { id: 11, type: "shipper", ...WAREHOUSE, mobile: WAREHOUSE.phone, tax_id: "" },
+  { id: 12, type: "receiver", name: "Jane Doe", company: "Acme Widgets", mobile: "3105550123", email: "jane@example.com", address1: "456 Oak Ave", address2: "", city: "Los Angeles", state: "CA", country: "US", postal: "90001", tax_id: "" },
+  { id: 13, type: "receiver", name: "Hans Müller", company: "Beispiel GmbH", mobile: "+49301234567", email: "hans@example.de", address1: "Friedrichstraße 10", address2: "", city: "Berlin", state: "", country: "DE", postal: "10117", tax_id: "DE123456789" },
+];
+
+export const account = {
+  user: { name: "Test Merchant", email: "merchant@example.com" },
+  store: { name: "Shipi Test Store", url: "https://store.example.com" },
+  billing: { balance: 250, currency: "USD" },
+  plan: "growth",
+  features: { batch_labels: true, pickups: true, international: true },
+};
+
+const jane = { t_name: "Jane Doe", t_company: "Acme Widgets", t_address1: "456 Oak Ave", t_city: "Los Angeles", t_state: "CA", t_postal: "90001", t_country: "US", t_phone: "3105550123" };
+const bob = { t_name: "Bob Smith", t_company: "", t_address1: "1 Market St", t_city: "San Francisco", t_state: "CA", t_postal: "94105", t_country: "US", t_phone: "4155550188" };
+const hans = { t_name: "Hans Müller", t_company: "Beispiel GmbH", t_address1: "Friedrichstraße 10", t_city: "Berlin", t_state: "", t_postal: "10117", t_country: "DE", t_phone: "+49301234567" };
+const shipper = Object.fromEntries(Object.entries(WAREHOUSE).map(([k, v]) => [`s_${k}`, v]));
+
+function shipment({ id, order, tracking, carrierId, service, status, cost, ago, to, products, delivered, printed = 1 }) {
+  const carrier = carriers.find((c) => c.id === carrierId);
+  const created = daysAgo(ago);
+  const svc = services[carrier.carrier_type].find((s) => s.service_code === service);
+  return {
+    shipment_id: id,
+    order_id: order,
+    tracking_number: tracking,
+    carrier: carrier.carrier_type,
+    carrier_id: carrierId,
+    service_code: service,
+    service_name: svc.service_name,
+    status,
+    total_charge: cost.toFixed(2),
+    currency: "USD",
+    total_weight: products.reduce((w, p) => w + p.prod_weight * p.prod_quantity, 0),
+    created_at: stamp(created),
+    estimated_delivery: date(new Date(created.getTime() + svc.transit_days * day)),
+    delivered_at: delivered !== undefined ? date(daysAgo(delivered)) : null,
+    printed,
+    label_url: `/labels/${id}.pdf`,
+    ...to,
+    meta: JSON.stringify({ label: "d", ...shipper, ...to, service_code: service, carrier_id: carrierId, order_id: order, products }),
+  };
+}
+
+const mug = { prod_name: "Coffee Mug", prod_weight: 1.2, prod_quantity: 2, prod_price: 14, prod_depth: 6, prod_width: 5, prod_height: 5 };
+const shirt = { prod_name: "T-Shirt", prod_weight: 0.4, prod_quantity: 3, prod_price: 20, prod_depth: 10, prod_width: 8, prod_height: 1 };
+const lamp = { prod_name: "Desk Lamp", prod_weight: 3.5, prod_quantity: 1, prod_price: 65, prod_depth: 16, prod_width: 8, prod_height: 8 };
+
+export const shipments = [
+  shipment({ id: 1001, order: "ORD-1001", tracking: "770000000001001", carrierId: 1, service: "FEDEX_GROUND", status: "delivered", cost: 12.5, ago: 20, to: jane, products: [mug, shirt], delivered: 15 }),
+  shipment({ id: 1002, order: "ORD-1002", tracking: "1Z999AA10000001002", carrierId: 2, service: "03", status: "delivered", cost: 11.8, ago: 18, to: bob, products: [lamp], delivered: 12 }),
+  shipment({ id: 1003, order: "ORD-1003", tracking: "770000000001003", carrierId: 1, service: "FEDEX_2_DAY", status: "in_transit", cost: 27.4, ago: 3, to: bob, products: [shirt] }),
+  shipment({ id: 1004, order: "ORD-1004", tracking: "3318810025", carrierId: 3, service: "P", status: "in_transit", cost: 61.2, ago: 6, to: hans, products: [mug] }),
+  shipment({ id: 1005, order: "ORD-1005", tracking: "1Z999AA10000001005", carrierId: 2, service: "03", status: "created", cost: 10.9, ago: 1, to: jane, products: [mug], printed: 0 }),
+  shipment({ id: 1006, order: "ORD-1006", tracking: "770000000001006", carrierId: 1, service: "FEDEX_GROUND", status: "created", cost: 13.1, ago: 0.5, to: bob, products: [lamp, mug], printed: 0 }),
+  shipment({ id: 1007, order: "ORD-1007", tracking: "1Z999AA10000001007", carrierId: 2, service: "02", status: "created", cost: 24.6, ago: 8, to: jane, products: [shirt] }),
+  shipment({ id: 1008, order: "ORD-1008", tracking: "770000000001008", carrierId: 1, service: "FEDEX_GROUND", status: "cancelled", cost: 9.8, ago: 10, to: jane, products: [shirt] }),
+];
+
+const event = (ago, code, description, location) => ({ timestamp: daysAgo(ago).toISOString(), code, description, location });
+// A scan reported as the location's wall-clock date and time, with its UTC offset when given
+const localEvent = (ago, time, code, description, location, utc_offset) => ({ date: date(daysAgo(ago)), time, ...(utc_offset && { utc_offset }), code, description, location });
+
+/** Carrier scans by tracking number, oldest first */
+export const tracking = {
+  "770000000001001": [
+    event(20, "OC", "Shipment information sent to FedEx", "NEW YORK, NY"),
+    event(19, "PU", "Picked up", "NEW YORK, NY"),
+    event(17, "IT", "In transit", "MEMPHIS, TN"),
+    event(15.2, "OD", "On FedEx vehicle for delivery", "LOS ANGELES, CA"),
+    event(15, "DL", "Delivered", "LOS ANGELES, CA"),
+  ],
+  "1Z999AA10000001002": [
+    event(18, "M", "Shipper created a label", "NEW YORK, NY"),
+    localEvent(17, "18:30", "P", "Pickup scan", "NEW YORK, NY"),
+    localEvent(12, "14:05", "D", "Delivered", "SAN FRANCISCO, CA", "-0800"),
+  ],
+  "770000000001003": [
+    event(3, "OC", "Shipment information sent to FedEx", "NEW YORK, NY"),
+    event(2, "PU", "Picked up", "NEW YORK, NY"),
+    event(1, "AR", "Arrived at FedEx hub", "MEMPHIS, TN"),
+  ],
+  "3318810025": [
+    event(6, "PU", "Shipment picked up", "NEW YORK, NY"),
+    event(5, "AF", "Processed at export hub", "CINCINNATI, OH"),
+    event(4, "CA", "Clearance delay: awaiting customs documents", "LEIPZIG, DE"),
+  ],
+  "1Z999AA10000001005": [event(1, "M", "Shipper created a label", "NEW YORK, NY")],
+  "770000000001006": [],
+  "1Z999AA10000001007": [event(8, "M", "Shipper created a label", "NEW YORK, NY")],
+  "770000000001008": [],
+};
@@ -0,0 +1,80 @@
+/**
+ * Test harness — starts the mock Shipi backend and the MCP server as a
+ * child process over stdio, with a throwaway SHIPI_DATA_DIR and a profiles
+ * file pointing every profile at the mock ("revoked" has a key the mock
+ * refuses), then hands back an MCP client.
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport, getDefaultEnvironment } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { MOCK_KEY } from "./fixtures.js";
+import { startMockShipi } from "./mock-shipi.js";
+
+const ENTRY = join(dirname(fileURLToPath(import.meta.url)), "..", "index.js");
+export const SECOND_KEY = "test-key-second-7d41b9";
+// A key the mock does not accept, for auth failures
+export const REVOKED_KEY = "test-key-revoked-0a9e33";
+
+/**
+ * Start the mock and a server talking to it; `env` adds or overrides
+ * SHIPI_* settings. Resolves with { mock, client, dataDir, call, stop }.
+ *
+ * `call(name, args)` resolves with the tool's JSON body plus `isError` and
+ * `attachments` (any content blocks after the JSON).
+ */
+export async function startServer({ env = {} } = {}) {
+  const mock = await startMockShipi({ keys: [MOCK_KEY, SECOND_KEY] });
+  const dataDir = mkdtempSync(join(tmpdir(), "shipi-test-"));
+  const profilesFile = join(dataDir, "profiles.json");
+  writeFileSync(profilesFile, JSON.stringify({
+    default: "main",
+    profiles: {
+      main: { integration_key: MOCK_KEY, base_url: mock.url },
+      second: { integration_key: SECOND_KEY, base_url: mock.url },
+      revoked: { integration_key: REVOKED_KEY, base_url: mock.url },
+    },
+  }));
+
+  const client = new Client({ name: "shipi-e2e", version: "1.0.0" });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [ENTRY],
+    env: {
+      ...getDefaultEnvironment(),
+      SHIPI_BASE_URL: mock.url,
+      SHIPI_DATA_DIR: dataDir,
+      SHIPI_PROFILES_FILE: profilesFile,
+      SHIPI_RETRY_BASE_MS: "20",
+      SHIPI_RETRY_MAX_DELAY_MS: "200",
+      ...env,
+    },
+    stderr: "ignore",
+  });
+  await client.connect(transport);
+
+  const call = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    return { isError: Boolean(result.isError), ...JSON.parse(result.content[0].text), attachments: result.content.slice(1) };
+  };
+
+  const stop = async () => {
+    await client.close();
+    await mock.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  };
+  return { mock, client, dataDir, call, stop };
+}
+
+/** A US domestic shipment from the fixture warehouse, as create_shipment takes it */
+export const domesticShipment = (overrides = {}) => ({
+  carrier_id: 1,
+  service_code: "FEDEX_GROUND",
+  shipper_address_id: 11,
+  recipient: { name: "Jane Doe", address1: "456 Oak Ave", city: "Los Angeles", state: "CA", postal: "90001", country: "US", phone: "3105550123" },
+  products: [{ name: "Coffee Mug", weight: 1.2, quantity: 2, price: 14, length: 6, width: 5, height: 5 }],
+  ...overrides,
+});
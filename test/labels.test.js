@@ -0,0 +1,111 @@
+/**
+ * Labels and tracking end to end: label listing, download and PDF print
+ * batches against real label files, tracking timelines and the delivery
+ * monitor.
+ */
+
+import assert from "node:assert/strict";
+import { existsSync, readFileSync } from "node:fs";
+import { after, before, describe, it } from "node:test";
+import { MOCK_KEY } from "./fixtures.js";
+import { startServer } from "./helpers.js";
+
+describe("labels and tracking", () => {
+  let h;
+  before(async () => {
+    h = await startServer({ env: { SHIPI_MARK_PRINTED_ENDPOINT: "label_api/mark_printed.php" } });
+  });
+  after(() => h.stop());
+
+  it("fetch_labels lists unprinted labels", async () => {
+    const labels = await h.call("fetch_labels", { printed: "not_printed" });
+    assert.deepEqual(labels.data.labels.map((l) => l.shipment_id), [1005, 1006]);
+  });
+
+  it("download_labels attaches each label as a PDF resource", async () => {
+    const result = await h.call("download_labels", { ids: [1006], format: "pdf" });
+    assert.equal(result.isError, false);
+    assert.equal(result.labels.length, 1);
+    const [file] = result.attachments;
+    assert.equal(file.resource.uri, "shipi://labels/770000000001006.pdf");
+    assert.equal(Buffer.from(file.resource.blob, "base64").subarray(0, 4).toString(), "%PDF");
+
+    const download = h.mock.requests.find((r) => r.endpoint === "labels/1006.pdf");
+    assert.equal(download.authorization, `Bearer ${MOCK_KEY}`);
+  });
+
+  it("print_labels leaves out a label file that cannot be read", async () => {
+    h.mock.fail({ endpoint: "labels/1005.pdf", type: "truncated", times: 1 });
+    const batch = await h.call("print_labels");
+    assert.equal(batch.isError, false);
+    assert.equal(batch.status, "ready");
+    assert.deepEqual(batch.labels.map((l) => l.shipment_id), [1006]);
+    assert.equal(batch.pages, 2);
+    assert.equal(batch.marked_printed, 1);
+    assert.equal(batch.skipped[0].shipment_id, 1005);
+    assert.match(batch.skipped[0].reason, /could not be read/);
+  });
+
+  it("print_labels does not count labels as printed without the API's count", async () => {
+    h.mock.fail({ endpoint: "label_api/mark_printed.php", type: "reply", body: { status: "success" }, times: 1 });
+    const batch = await h.call("print_labels");
+    assert.equal(batch.status, "ready");
+    assert.deepEqual(batch.labels.map((l) => l.shipment_id), [1005]);
+    assert.equal(batch.marked_printed, 0);
+    assert.match(batch.warning, /did not report how many labels it updated/);
+  });
+
+  it("print_labels merges the batch with a pick list and marks it printed", async () => {
+    const batch = await h.call("print_labels");
+    assert.equal(batch.isError, false);
+    assert.equal(batch.status, "ready");
+    assert.deepEqual(batch.labels.map((l) => l.shipment_id), [1005]);
+    assert.equal(batch.pages, 2);
+    assert.equal(batch.pick_list_pages, 1);
+    assert.equal(batch.marked_printed, 1);
+    assert.ok(existsSync(batch.path));
+    assert.equal(readFileSync(batch.path).subarray(0, 4).toString(), "%PDF");
+
+    const again = await h.call("print_labels");
+    assert.equal(again.status, "nothing_to_print");
+  });
+
+  it("track_shipment maps carrier scans to a status", async () => {
+    const delivered = await h.call("track_shipment", { tracking_number: "770000000001001" });
+    assert.equal(delivered.carrier, "fedex");
+    assert.equal(delivered.carrier_source, "detected");
+    assert.equal(delivered.status, "delivered");
+    assert.equal(delivered.events.length, 5);
+    assert.equal(delivered.tracking_url, "https://track.myshipi.com/?no=770000000001001");
+
+    const exception = await h.call("track_shipment", { tracking_number: "3318810025" });
+    assert.equal(exception.carrier, "dhl");
+    assert.equal(exception.status, "exception");
+  });
+
+  it("track_shipment keeps scan times without a zone as local time", async () => {
+    const ups = await h.call("track_shipment", { tracking_number: "1Z999AA10000001002" });
+    const [, pickup, delivered] = ups.events;
+    assert.equal(pickup.local_time, true);
+    assert.match(pickup.timestamp, /^\d{4}-\d{2}-\d{2}T18:30:00$/);
+    assert.equal(delivered.local_time, undefined);
+    assert.match(delivered.timestamp, /T22:05:00\.000Z$/);
+    assert.equal(h.mock.requests.some((r) => r.endpoint === "api/v1/shipments.php" && r.query.action === "get" && r.query.id === "1002"), true);
+  });
+
+  it("track_shipment still answers when the history is missing", async () => {
+    const unknown = await h.call("track_shipment", { tracking_number: "1Z999AA19999999999" });
+    assert.equal(unknown.isError, false);
+    assert.equal(unknown.status, "unknown");
+    assert.match(unknown.warnings[0], /Tracking history unavailable/);
+    assert.ok(unknown.tracking_url);
+  });
+
+  it("monitor_shipments sorts open shipments into buckets", async () => {
+    const report = await h.call("monitor_shipments", { statuses: ["created", "in_transit"] });
+    assert.equal(report.isError, false);
+    assert.equal(report.checked, 5);
+    assert.deepEqual(report.buckets.exception.map((s) => s.shipment_id), [1004]);
+    assert.ok(report.buckets.late.some((s) => s.shipment_id === 1007));
+  });
+});
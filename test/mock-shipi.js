@@ -0,0 +1,455 @@
+/**
+ * Mock Shipi backend — a local stand-in for app.myshipi.com that speaks the
+ * api/v1, label_api, rates_api, pickup_api and cancel_api contracts the
+ * server relies on, backed by the fixtures in fixtures.js. Labels it
+ * creates are real (one-page PDFs) so download and print work end to end.
+ *
+ * Authentication follows the live API: `api/v1/*` and label files want the
+ * key as a bearer token, the older endpoints as `integration_key` in the
+ * query string or body.
+ *
+ * Faults are injected per endpoint prefix, from tests with `mock.fail()` or
+ * over HTTP with `POST /__mock/faults`:
+ *
+ *   timeout       never answer
+ *   server_error  HTTP 500 with an HTML page
+ *   bad_json      HTTP 200 with a body that is not JSON
+ *   rate_limited  HTTP 429 with Retry-After (`retry_after`, default 0)
+ *   unavailable   HTTP 503 with Retry-After
+ *   rejected      HTTP 200 with { status: "error", message }
+ *   truncated     HTTP 200 with a PDF cut off after its header
+ *   reply         HTTP 200 with `body` as given
+ *
+ * A fault applies `times` times (every request when omitted). Every request
+ * is recorded in `mock.requests`.
+ *
+ * Run on its own with `npm run mock` (SHIPI_MOCK_PORT, default 4010) and
+ * point SHIPI_BASE_URL at it.
+ */
+
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import * as fixtures from "./fixtures.js";
+
+export const FAULTS = ["timeout", "server_error", "bad_json", "rate_limited", "unavailable", "rejected", "truncated", "reply"];
+
+/** Thrown by handlers for an API-level error response */
+class Rejection extends Error {
+  constructor(message, status = 200) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const reject = (message, status) => {
+  throw new Rejection(message, status);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const now = () => new Date().toISOString().slice(0, 19).replace("T", " ");
+
+function freshState() {
+  return {
+    shipments: structuredClone(fixtures.shipments),
+    addresses: structuredClone(fixtures.addresses),
+    tracking: structuredClone(fixtures.tracking),
+    pickups: [],
+    nextShipment: 2001,
+    nextAddress: 101,
+    nextPickup: 1,
+  };
+}
+
+/** Tracking number in the carrier's format, so carrier detection works on it */
+function trackingNumber(carrier, id) {
+  if (carrier === "ups") return `1Z999AA1${String(id).padStart(10, "0")}`;
+  if (carrier === "dhl") {
+    const body = String(331880000 + id);
+    return `${body}${Number(body) % 7}`;
+  }
+  return `7700000000${String(id).padStart(5, "0")}`;
+}
+
+/** Shipment row as list/search return it: no label request meta */
+const listRow = ({ meta: _meta, ...row }) => row;
+
+const createdOn = (s) => s.created_at.slice(0, 10);
+
+// ─── Rates ──────────────────────────────────────────────────────────
+function quotes(state, { receiver_address: to, products, account_id }) {
+  if (!to?.postal || !to?.country) reject("Receiver postal code and country are required");
+  if (!Array.isArray(products) || !products.length) reject("At least one product is required");
+  const weight = products.reduce((w, p) => w + Number(p.prod_weight || 0) * Number(p.prod_quantity || 1), 0);
+  const domestic = String(to.country).toUpperCase() === "US";
+  const accounts = fixtures.carriers.filter((c) => account_id === undefined || account_id === null || c.id === Number(account_id));
+  if (!accounts.length) reject(`Shipping account ${account_id} not found`);
+  const rates = {};
+  for (const c of accounts) {
+    rates[c.carrier_type] = fixtures.services[c.carrier_type]
+      .filter((s) => s.domestic === undefined || s.domestic === domestic)
+      .map((s) => ({
+        account_id: c.id,
+        service_code: s.service_code,
+        service_name: s.service_name,
+        total_charge: round((s.base + s.per_unit * weight) * (domestic ? 1 : 2.5)).toFixed(2),
+        currency: "USD",
+        transit_days: domestic ? s.transit_days : s.transit_days + 2,
+      }));
+  }
+  return rates;
+}
+
+// ─── Endpoints ──────────────────────────────────────────────────────
+const routes = {
+  "api/v1/shipments.php"(state, p) {
+    if (p.action === "get") {
+      const found = state.shipments.find((s) => (p.id && String(s.shipment_id) === String(p.id)) || (p.order_id && s.order_id === p.order_id));
+      if (!found) reject("Shipment not found");
+      return { status: "success", data: { ...found, tracking_events: state.tracking[found.tracking_number] ?? [] } };
+    }
+    if (p.action === "search") {
+      const q = String(p.q || "").toLowerCase();
+      const limit = Math.min(Number(p.limit) || 20, 50);
+      const rows = state.shipments.filter((s) => [s.order_id, s.tracking_number].some((v) => String(v).toLowerCase().includes(q)));
+      return { status: "success", data: { shipments: rows.slice(0, limit).map(listRow), total: rows.length } };
+    }
+    if (p.action !== "list") reject(`Unknown action: ${p.action}`);
+    const page = Math.max(Number(p.page) || 1, 1);
+    const perPage = Math.min(Number(p.per_page) || 20, 100);
+    const rows = state.shipments
+      .filter((s) => (!p.status || s.status === p.status)
+        && (!p.carrier || s.carrier === p.carrier)
+        && (!p.date_from || createdOn(s) >= p.date_from)
+        && (!p.date_to || createdOn(s) <= p.date_to))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    return { status: "success", data: { shipments: rows.slice((page - 1) * perPage, page * perPage).map(listRow), page, per_page: perPage, total: rows.length } };
+  },
+
+  "api/v1/addresses.php"(state, p) {
+    const find = () => state.addresses.find((a) => a.id === Number(p.id)) ?? reject(`Address ${p.id} not found`);
+    switch (p.action) {
+      case "list":
+        return { status: "success", data: state.addresses.filter((a) => !p.type || a.type === p.type) };
+      case "get":
+        return { status: "success", data: find() };
+      case "add": {
+        for (const field of ["name", "address1", "city", "country", "postal"]) if (!p[field]) reject(`Missing required field: ${field}`);
+        const { action: _action, ...fields } = p;
+        const address = { id: state.nextAddress++, type: "shipper", ...fields };
+        state.addresses.push(address);
+        return { status: "success", message: "Address added", id: address.id };
+      }
+      case "edit": {
+        const address = find();
+        const { action: _action, id: _id, ...fields } = p;
+        Object.assign(address, fields);
+        return { status: "success", message: "Address updated", data: address };
+      }
+      case "delete":
+        find();
+        state.addresses = state.addresses.filter((a) => a.id !== Number(p.id));
+        return { status: "success", message: "Address deleted" };
+      default:
+        return reject(`Unknown action: ${p.action}`);
+    }
+  },
+
+  "api/v1/carriers.php"(state, p) {
+    if (p.action === "get") {
+      return { status: "success", data: fixtures.carriers.find((c) => c.id === Number(p.id)) ?? reject(`Carrier account ${p.id} not found`) };
+    }
+    return { status: "success", data: fixtures.carriers };
+  },
+
+  "api/v1/account.php"() {
+    return { status: "success", data: fixtures.account };
+  },
+
+  "api/v1/stats.php"(state, p) {
+    const rows = state.shipments.filter((s) => (!p.date_from || createdOn(s) >= p.date_from) && (!p.date_to || createdOn(s) <= p.date_to));
+    const count = (field) => rows.reduce((acc, s) => ({ ...acc, [s[field]]: (acc[s[field]] || 0) + 1 }), {});
+    return {
+      status: "success",
+      data: {
+        period: p.period || "month",
+        total_shipments: rows.length,
+        total_cost: round(rows.filter((s) => s.status !== "cancelled").reduce((sum, s) => sum + Number(s.total_charge), 0)),
+        by_status: count("status"),
+        by_carrier: count("carrier"),
+      },
+    };
+  },
+
+  "api/v1/tracking_url.php"(state, p) {
+    if (!p.tracking_number) reject("tracking_number is required");
+    return { status: "success", tracking_url: `https://track.myshipi.com/?no=${encodeURIComponent(p.tracking_number)}` };
+  },
+
+  "label_api/create_shipment.php"(state, p) {
+    const meta = p.meta;
+    if (!meta || typeof meta !== "object") reject("meta is required");
+    const carrier = fixtures.carriers.find((c) => c.id === Number(meta.carrier_id)) ?? reject(`Shipping account ${meta.carrier_id} not found`);
+    if (meta.t_postal === "00000") reject("Invalid recipient postal code");
+    const rates = quotes(state, { receiver_address: { postal: meta.t_postal, country: meta.t_country }, products: meta.products, account_id: carrier.id })[carrier.carrier_type];
+    const rate = meta.service_code ? rates.find((r) => r.service_code === meta.service_code) : rates[0];
+    if (!rate) reject(`Service ${meta.service_code} is not available for this shipment`);
+
+    const id = state.nextShipment++;
+    const shipment = {
+      shipment_id: id,
+      order_id: meta.order_id || `SHIPI-${id}`,
+      tracking_number: trackingNumber(carrier.carrier_type, id),
+      carrier: carrier.carrier_type,
+      carrier_id: carrier.id,
+      service_code: rate.service_code,
+      service_name: rate.service_name,
+      status: "created",
+      total_charge: rate.total_charge,
+      currency: rate.currency,
+      total_weight: meta.products.reduce((w, x) => w + Number(x.prod_weight) * Number(x.prod_quantity || 1), 0),
+      created_at: now(),
+      estimated_delivery: null,
+      delivered_at: null,
+      printed: 0,
+      label_url: `/labels/${id}.pdf`,
+      ...Object.fromEntries(Object.entries(meta).filter(([k]) => k.startsWith("t_"))),
+      meta: JSON.stringify(meta),
+    };
+    state.shipments.push(shipment);
+    state.tracking[shipment.tracking_number] = [];
+    return {
+      status: "success",
+      shipment_id: id,
+      order_id: shipment.order_id,
+      tracking_number: shipment.tracking_number,
+      label_url: `${state.baseUrl}${shipment.label_url}`,
+      carrier: shipment.carrier,
+      service_code: shipment.service_code,
+      total_charge: shipment.total_charge,
+      currency: shipment.currency,
+    };
+  },
+
+  "label_api/fetch_labels.php"(state, p) {
+    const page = Math.max(Number(p.page) || 1, 1);
+    const limit = Math.min(Number(p.limit) || 50, 100);
+    const printed = p.printed === "printed" ? 1 : p.printed === "not_printed" ? 0 : null;
+    const rows = state.shipments.filter((s) => s.status !== "cancelled" && (printed === null || s.printed === printed));
+    const labels = rows.slice((page - 1) * limit, page * limit).map((s) => ({
+      shipment_id: s.shipment_id,
+      order_id: s.order_id,
+      tracking_number: s.tracking_number,
+      carrier: s.carrier,
+      service_name: s.service_name,
+      t_name: s.t_name,
+      products: JSON.parse(s.meta).products,
+      label_url: s.label_url,
+      printed: s.printed,
+    }));
+    return { status: "success", data: { labels, page, total: rows.length } };
+  },
+
+  "label_api/mark_printed.php"(state, p) {
+    const ids = new Set((p.shipment_ids || []).map(String));
+    const marked = state.shipments.filter((s) => ids.has(String(s.shipment_id)));
+    for (const s of marked) s.printed = 1;
+    return { status: "success", updated: marked.length };
+  },
+
+  "rates_api/shipi_rates.php"(state, p) {
+    return { status: "success", rates: quotes(state, p) };
+  },
+
+  "pickup_api/create_pickup.php"(state, p) {
+    if (!p.carrier_type) reject("carrier_type is required");
+    if (!p.meta?.pickup_date) reject("pickup_date is required");
+    const pickup = { confirmation_number: `PRN${String(state.nextPickup++).padStart(6, "0")}`, carrier_type: p.carrier_type, status: "scheduled", ...p.meta };
+    state.pickups.push(pickup);
+    return { status: "success", confirmation_number: pickup.confirmation_number, pickup_date: pickup.pickup_date };
+  },
+
+  "pickup_api/cancel_pickup.php"(state, p) {
+    const pickup = state.pickups.find((x) => x.confirmation_number === p.confirmation_number && x.status === "scheduled");
+    if (!pickup) reject(`Pickup ${p.confirmation_number} not found`);
+    pickup.status = "cancelled";
+    return { status: "success", message: "Pickup cancelled" };
+  },
+
+  "cancel_api/delete_shipment.php"(state, p) {
+    const shipment = state.shipments.find((s) => s.shipment_id === Number(p.del_ref));
+    if (!shipment) reject(`Shipment ${p.del_ref} not found`);
+    if (shipment.status === "cancelled") reject("Shipment is already cancelled");
+    if (shipment.status === "delivered") reject("Delivered shipments cannot be cancelled");
+    shipment.status = "cancelled";
+    return { status: "success", message: "Shipment cancelled", del_ref: shipment.shipment_id };
+  },
+};
+
+/** One-page 4×6 PDF label */
+async function labelPdf(shipment) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const page = doc.addPage([288, 432]);
+  page.drawText(`MOCK ${shipment.carrier.toUpperCase()} LABEL`, { x: 20, y: 390, size: 16, font });
+  page.drawText(String(shipment.tracking_number), { x: 20, y: 360, size: 12, font });
+  return Buffer.from(await doc.save());
+}
+
+// ─── Server ─────────────────────────────────────────────────────────
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Start the mock on `port` (0 picks a free one). Resolves with
+ * { url, key, state, requests, fail, clearFaults, reset, close }.
+ */
+export async function startMockShipi({ port = 0, host = "127.0.0.1", keys = [fixtures.MOCK_KEY] } = {}) {
+  let state = freshState();
+  let faults = [];
+  const requests = [];
+  const accepted = new Set(keys);
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  };
+
+  /** The first matching fault, used up once; null when none applies */
+  const takeFault = (endpoint) => {
+    const fault = faults.find((f) => endpoint.startsWith(f.endpoint));
+    if (!fault) return null;
+    if (fault.times !== undefined && --fault.times <= 0) faults = faults.filter((f) => f !== fault);
+    return fault;
+  };
+
+  const inject = (res, fault) => {
+    switch (fault.type) {
+      case "timeout":
+        return; // left open until the client gives up or the mock closes
+      case "server_error":
+        return send(res, 500, "<html><body><h1>500 Internal Server Error</h1></body></html>", { "Content-Type": "text/html" });
+      case "bad_json":
+        return send(res, 200, "<br /><b>Warning</b>: mysqli_connect(): Connection refused {\"status\":", { "Content-Type": "text/html" });
+      case "rate_limited":
+        return send(res, 429, { status: "error", message: "Too many requests" }, { "Retry-After": String(fault.retry_after ?? 0) });
+      case "unavailable":
+        return send(res, 503, { status: "error", message: "Service temporarily unavailable" }, { "Retry-After": String(fault.retry_after ?? 0) });
+      case "reply":
+        return send(res, 200, fault.body);
+      case "truncated":
+        return send(res, 200, "%PDF-1.7\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n2 0 obj\n<< /Type /Pa", { "Content-Type": "application/pdf" });
+      default:
+        return send(res, 200, { status: "error", message: fault.message || "Request rejected" });
+    }
+  };
+
+  const control = async (req, res, path) => {
+    if (path === "__mock/faults" && req.method === "POST") {
+      mock.fail(JSON.parse((await readBody(req)) || "{}"));
+      return send(res, 200, { status: "success", faults });
+    }
+    if (path === "__mock/faults" && req.method === "DELETE") {
+      mock.clearFaults();
+      return send(res, 200, { status: "success" });
+    }
+    if (path === "__mock/reset" && req.method === "POST") {
+      mock.reset();
+      return send(res, 200, { status: "success" });
+    }
+    if (path === "__mock/state") return send(res, 200, { state, faults, requests: requests.length });
+    return send(res, 404, { status: "error", message: `Unknown control endpoint ${path}` });
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, "http://mock");
+    const path = url.pathname.replace(/^\/+/, "");
+    if (path.startsWith("__mock/")) return control(req, res, path);
+
+    const raw = req.method === "POST" ? await readBody(req) : "";
+    let params = Object.fromEntries(url.searchParams);
+    if (raw) {
+      try {
+        params = { ...params, ...JSON.parse(raw) };
+      } catch {
+        return send(res, 400, { status: "error", message: "Request body is not valid JSON" });
+      }
+    }
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || "")?.[1];
+    requests.push({ method: req.method, endpoint: path, query: Object.fromEntries(url.searchParams), body: raw ? JSON.parse(raw) : null, authorization: req.headers.authorization ?? null });
+
+    const fault = takeFault(path);
+    if (fault) return inject(res, fault);
+
+    const label = /^labels\/(\d+)\.pdf$/.exec(path);
+    if (label) {
+      if (!accepted.has(bearer)) return send(res, 401, { status: "error", message: "Unauthorized" });
+      const shipment = state.shipments.find((s) => s.shipment_id === Number(label[1]));
+      if (!shipment) return send(res, 404, { status: "error", message: "Label not found" });
+      res.writeHead(200, { "Content-Type": "application/pdf" });
+      return res.end(await labelPdf(shipment));
+    }
+
+    const route = routes[path];
+    if (!route) return send(res, 404, "<html><body>404 Not Found</body></html>", { "Content-Type": "text/html" });
+    if (path.startsWith("api/v1/") ? !accepted.has(bearer) : !accepted.has(params.integration_key)) {
+      return path.startsWith("api/v1/")
+        ? send(res, 401, { status: "error", message: "Unauthorized: invalid integration key" })
+        : send(res, 200, { status: "error", message: "Invalid integration key" });
+    }
+    try {
+      send(res, 200, route(state, params));
+    } catch (err) {
+      if (!(err instanceof Rejection)) throw err;
+      send(res, err.status, { status: "error", message: err.message });
+    }
+  };
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, 500, { status: "error", message: `Mock failure: ${err.message}` }));
+  });
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const url = `http://${host}:${server.address().port}`;
+  state.baseUrl = url;
+
+  const mock = {
+    url,
+    key: keys[0],
+    get state() {
+      return state;
+    },
+    requests,
+    /** Inject a fault: { endpoint, type, times?, retry_after?, message?, body? } */
+    fail({ endpoint = "", type, times, retry_after, message, body }) {
+      if (!FAULTS.includes(type)) throw new Error(`Unknown fault "${type}" (one of ${FAULTS.join(", ")})`);
+      faults.push({ endpoint, type, times, retry_after, message, body });
+    },
+    clearFaults() {
+      faults = [];
+    },
+    /** Back to the fixtures, no faults, empty request log */
+    reset() {
+      state = { ...freshState(), baseUrl: url };
+      faults = [];
+      requests.length = 0;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+  return mock;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = await startMockShipi({ port: Number(process.env.SHIPI_MOCK_PORT) || 4010 });
+  console.log(`Mock Shipi API on ${mock.url}`);
+  console.log(`  SHIPI_BASE_URL=${mock.url} SHIPI_INTEGRATION_KEY=${mock.key}`);
+}
@@ -0,0 +1,141 @@
+/**
+ * Pickups end to end: window checks, grouping by carrier, joining a pickup
+ * already booked, listing, rescheduling and (partial) cancellation, and what
+ * is refused while the pickup cancel call is not configured.
+ */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startServer } from "./helpers.js";
+
+const weekLater = (date) => new Date(Date.parse(`${date}T12:00:00Z`) + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe("pickups", () => {
+  let h;
+  let fedex;
+  before(async () => {
+    h = await startServer({ env: { SHIPI_PICKUP_CANCEL_ENDPOINT: "pickup_api/cancel_pickup.php" } });
+  });
+  after(() => h.stop());
+
+  it("schedule_pickup dry run books nothing", async () => {
+    const preview = await h.call("schedule_pickup", { order_ids: ["ORD-1005", "ORD-1006"], dry_run: true });
+    assert.equal(preview.status, "preview");
+    assert.deepEqual(preview.pickups.map((p) => p.carrier).sort(), ["fedex", "ups"]);
+    assert.ok(preview.pickups.every((p) => p.timezone === "America/New_York"));
+    assert.equal(h.mock.state.pickups.length, 0);
+  });
+
+  it("schedule_pickup books one pickup per carrier", async () => {
+    const booked = await h.call("schedule_pickup", { order_ids: ["ORD-1005", "ORD-1006"] });
+    assert.equal(booked.isError, false);
+    assert.ok(booked.pickups.every((p) => p.result === "booked" && p.confirmation_number.startsWith("PRN")));
+    fedex = booked.pickups.find((p) => p.carrier === "fedex");
+    assert.equal(h.mock.state.pickups.length, 2);
+  });
+
+  it("schedule_pickup replaces the pickup already booked for the carrier", async () => {
+    const joined = await h.call("schedule_pickup", { order_id: "ORD-1003" });
+    const pickup = joined.pickups[0];
+    assert.equal(pickup.result, "joined");
+    assert.equal(pickup.joined_pickup, fedex.pickup_id);
+    assert.notEqual(pickup.pickup_id, fedex.pickup_id);
+    assert.deepEqual(pickup.order_ids, ["ORD-1006", "ORD-1003"]);
+    assert.equal(h.mock.state.pickups.find((p) => p.confirmation_number === fedex.confirmation_number).status, "cancelled");
+    assert.equal(h.mock.state.pickups.filter((p) => p.status === "scheduled").length, 2);
+    fedex = pickup;
+  });
+
+  it("schedule_pickup rejects a window outside the carrier's hours", async () => {
+    const late = await h.call("schedule_pickup", { order_id: "ORD-1005", pickup_date: weekLater(fedex.pickup_date), ready_time: "20:00", close_time: "21:00" });
+    assert.equal(late.isError, true);
+    assert.equal(late.error.code, "validation");
+  });
+
+  it("list_pickups shows the booked pickups", async () => {
+    const list = await h.call("list_pickups");
+    assert.equal(list.count, 2);
+    assert.equal(list.orders, 3);
+    const byOrder = await h.call("list_pickups", { order_id: "ORD-1003" });
+    assert.deepEqual(byOrder.pickups.map((p) => p.pickup_id), [fedex.pickup_id]);
+  });
+
+  it("reschedule_pickup books the new window before cancelling the old one", async () => {
+    const moved = await h.call("reschedule_pickup", { pickup_id: fedex.pickup_id, pickup_date: weekLater(fedex.pickup_date) });
+    assert.equal(moved.isError, false);
+    assert.equal(moved.status, "rescheduled");
+    assert.equal(moved.previous.status, "rescheduled");
+    assert.deepEqual(moved.pickup.order_ids, ["ORD-1006", "ORD-1003"]);
+    assert.equal(h.mock.state.pickups.find((p) => p.confirmation_number === fedex.confirmation_number).status, "cancelled");
+    fedex = moved.pickup;
+  });
+
+  it("cancel_pickup can take single orders off a pickup", async () => {
+    const preview = await h.call("cancel_pickup", { pickup_id: fedex.pickup_id, order_ids: ["ORD-1003"], dry_run: true });
+    const removed = await h.call("cancel_pickup", { pickup_id: fedex.pickup_id, order_ids: ["ORD-1003"], confirmation_token: preview.confirmation_token });
+    assert.equal(removed.isError, false);
+    assert.equal(removed.status, "orders_removed");
+    assert.deepEqual(removed.pickup.order_ids, ["ORD-1006"]);
+    assert.equal(removed.previous.replaced_by, removed.pickup.pickup_id);
+    assert.equal(h.mock.state.pickups.find((p) => p.confirmation_number === fedex.confirmation_number).status, "cancelled");
+    assert.equal(h.mock.state.pickups.find((p) => p.confirmation_number === removed.pickup.confirmation_number).status, "scheduled");
+    fedex = removed.pickup;
+  });
+
+  it("cancel_pickup cancels with the order the pickup was booked with", async () => {
+    const booked = await h.call("schedule_pickup", { order_ids: ["ORD-1005", "ORD-1007"], carrier_type: "ups", timezone: "America/New_York", pickup_date: fedex.pickup_date });
+    const ups = booked.pickups[0];
+    assert.equal(ups.order_id, "ORD-1005");
+
+    const preview = await h.call("cancel_pickup", { pickup_id: ups.pickup_id, order_ids: ["ORD-1005"], dry_run: true });
+    const removed = await h.call("cancel_pickup", { pickup_id: ups.pickup_id, order_ids: ["ORD-1005"], confirmation_token: preview.confirmation_token });
+    const sent = h.mock.requests.find((r) => r.endpoint === "pickup_api/cancel_pickup.php" && r.body.confirmation_number === ups.confirmation_number);
+    assert.equal(sent.body.order_id, "ORD-1005");
+
+    const rest = await h.call("cancel_pickup", { pickup_id: removed.pickup.pickup_id, dry_run: true });
+    const cancelled = await h.call("cancel_pickup", { pickup_id: removed.pickup.pickup_id, confirmation_token: rest.confirmation_token });
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(cancelled.pickup.order_id, "ORD-1007");
+  });
+
+  it("cancel_pickup cancels the whole pickup with the carrier", async () => {
+    const refused = await h.call("cancel_pickup", { pickup_id: fedex.pickup_id });
+    assert.equal(refused.error.code, "policy_denied");
+
+    const preview = await h.call("cancel_pickup", { pickup_id: fedex.pickup_id, dry_run: true });
+    const cancelled = await h.call("cancel_pickup", { pickup_id: fedex.pickup_id, confirmation_token: preview.confirmation_token });
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(h.mock.state.pickups.find((p) => p.confirmation_number === fedex.confirmation_number).status, "cancelled");
+
+    const list = await h.call("list_pickups");
+    assert.deepEqual(list.pickups.map((p) => p.carrier), ["ups"]);
+  });
+});
+
+describe("pickups without the cancel call", () => {
+  let h;
+  before(async () => {
+    h = await startServer();
+  });
+  after(() => h.stop());
+
+  it("books a second pickup instead of changing the first", async () => {
+    const first = await h.call("schedule_pickup", { order_id: "ORD-1006" });
+    const second = await h.call("schedule_pickup", { order_id: "ORD-1003" });
+    assert.equal(second.pickups[0].result, "booked");
+    assert.notEqual(second.pickups[0].confirmation_number, first.pickups[0].confirmation_number);
+    assert.match(second.pickups[0].warnings[0], /SHIPI_PICKUP_CANCEL_ENDPOINT/);
+    assert.equal(h.mock.state.pickups.filter((p) => p.status === "scheduled").length, 2);
+    assert.equal(h.mock.requests.some((r) => r.endpoint === "pickup_api/cancel_pickup.php"), false);
+  });
+
+  it("refuses to cancel or reschedule", async () => {
+    const { pickups } = await h.call("list_pickups");
+    const preview = await h.call("cancel_pickup", { pickup_id: pickups[0].pickup_id, dry_run: true });
+    const cancel = await h.call("cancel_pickup", { pickup_id: pickups[0].pickup_id, confirmation_token: preview.confirmation_token });
+    assert.equal(cancel.error.code, "validation");
+    assert.match(cancel.error.message, /SHIPI_PICKUP_CANCEL_ENDPOINT/);
+    const moved = await h.call("reschedule_pickup", { pickup_id: pickups[0].pickup_id, pickup_date: weekLater(pickups[0].pickup_date) });
+    assert.equal(moved.error.code, "validation");
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Local shipment index and reports end to end: sync, offline queries, the
+ * cost report with CSV export, and the cached copy get_shipment falls back
+ * to while the API is down.
+ */
+
+import assert from "node:assert/strict";
+import { existsSync } from "node:fs";
+import { after, before, describe, it } from "node:test";
+import { startServer } from "./helpers.js";
+
+describe("shipment index and reports", () => {
+  let h;
+  before(async () => {
+    h = await startServer();
+  });
+  after(() => h.stop());
+
+  it("sync_shipments indexes every shipment", async () => {
+    const sync = await h.call("sync_shipments");
+    assert.equal(sync.isError, false);
+    assert.equal(sync.complete, true);
+    assert.equal(sync.indexed, 8);
+
+    const again = await h.call("sync_shipments");
+    assert.equal(again.added, 0);
+  });
+
+  it("query_shipments filters the index without calling the API", async () => {
+    h.mock.requests.length = 0;
+    const fedex = await h.call("query_shipments", { carrier: "fedex", refresh: "never" });
+    assert.equal(fedex.matches, 4);
+    const berlin = await h.call("query_shipments", { q: "berlin", refresh: "never" });
+    assert.deepEqual(berlin.shipments.map((s) => s.order_id), ["ORD-1004"]);
+    const cheap = await h.call("query_shipments", { cost_max: 11, sort_by: "cost", order: "asc", refresh: "never" });
+    assert.deepEqual(cheap.shipments.map((s) => s.order_id), ["ORD-1008", "ORD-1005"]);
+    assert.equal(h.mock.requests.length, 0);
+  });
+
+  it("query_shipments answers from the index while the API is down", async () => {
+    h.mock.fail({ endpoint: "api/v1/shipments.php", type: "server_error" });
+    try {
+      const stale = await h.call("query_shipments", { date_from: "2000-01-01" });
+      assert.equal(stale.isError, false);
+      assert.equal(stale.stale, true);
+      assert.match(stale.warnings[0], /Could not refresh the shipment index/);
+      assert.equal(stale.matches, 8);
+
+      const forced = await h.call("query_shipments", { refresh: "always" });
+      assert.equal(forced.error.code, "upstream_unavailable");
+    } finally {
+      h.mock.clearFaults();
+    }
+  });
+
+  it("shipping_report groups cost and delivery performance", async () => {
+    const report = await h.call("shipping_report", { group_by: "carrier", refresh: "never", export_csv: true });
+    assert.equal(report.isError, false);
+    assert.deepEqual(report.groups.map((g) => g.group).sort(), ["dhl", "fedex", "ups"]);
+    assert.equal(report.totals.shipments, 8);
+    assert.equal(report.groups.find((g) => g.group === "fedex").on_time, 1);
+    assert.ok(existsSync(report.csv.path));
+    assert.equal(report.attachments.find((c) => c.type === "resource").resource.mimeType, "text/csv");
+  });
+
+  it("shipping_report reports from the index while the API is down", async () => {
+    h.mock.fail({ endpoint: "api/v1/shipments.php", type: "timeout" });
+    try {
+      const report = await h.call("shipping_report", { group_by: "carrier", date_from: "2000-01-01" });
+      assert.equal(report.isError, false);
+      assert.equal(report.stale, true);
+      assert.equal(report.totals.shipments, 8);
+      assert.match(report.warnings[0], /Could not refresh the shipment index/);
+    } finally {
+      h.mock.clearFaults();
+    }
+  });
+
+  it("get_shipment falls back to the index while the API is down", async () => {
+    h.mock.fail({ endpoint: "api/v1/shipments.php", type: "server_error" });
+    try {
+      const cached = await h.call("get_shipment", { id: "1003" });
+      assert.equal(cached.isError, false);
+      assert.equal(cached.source, "cache");
+      assert.equal(cached.data.order_id, "ORD-1003");
+
+      const uncached = await h.call("get_shipment", { id: "2999" });
+      assert.equal(uncached.isError, true);
+      assert.equal(uncached.error.code, "upstream_unavailable");
+    } finally {
+      h.mock.clearFaults();
+    }
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Shipments end to end: listing and lookup, label purchase with dry run,
+ * confirmation and idempotency, cancellation, rates and rate shopping,
+ * batches, returns, customs invoices, packing and the audit trail.
+ */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { ResourceListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { domesticShipment, startServer } from "./helpers.js";
+
+describe("shipments", () => {
+  let h;
+  before(async () => {
+    h = await startServer();
+  });
+  after(() => h.stop());
+
+  it("list_shipments pages and filters", async () => {
+    const all = await h.call("list_shipments", { per_page: 5 });
+    assert.equal(all.isError, false);
+    assert.equal(all.data.shipments.length, 5);
+    assert.equal(all.data.total, 8);
+
+    const delivered = await h.call("list_shipments", { status: "delivered" });
+    assert.deepEqual(delivered.data.shipments.map((s) => s.order_id).sort(), ["ORD-1001", "ORD-1002"]);
+  });
+
+  it("get_shipment finds a shipment by ID or order ID", async () => {
+    const byId = await h.call("get_shipment", { id: "1004" });
+    assert.equal(byId.data.tracking_number, "3318810025");
+    const byOrder = await h.call("get_shipment", { order_id: "ORD-1002" });
+    assert.equal(byOrder.data.shipment_id, 1002);
+
+    const missing = await h.call("get_shipment", { id: "999999" });
+    assert.equal(missing.isError, true);
+    assert.equal(missing.error.code, "validation");
+  });
+
+  it("search_shipments matches order IDs and tracking numbers", async () => {
+    const found = await h.call("search_shipments", { q: "1Z999AA10000001005" });
+    assert.deepEqual(found.data.shipments.map((s) => s.order_id), ["ORD-1005"]);
+  });
+
+  it("get_shipping_rates quotes every carrier account", async () => {
+    const rates = await h.call("get_shipping_rates", {
+      receiver_address: { address1: "456 Oak Ave", city: "Los Angeles", state: "CA", postal: "90001", country: "US" },
+      products: [{ weight: 2 }],
+    });
+    assert.equal(rates.isError, false);
+    assert.deepEqual(Object.keys(rates.rates).sort(), ["dhl", "fedex", "ups"]);
+    assert.equal(rates.rates.fedex.find((r) => r.service_code === "FEDEX_GROUND").total_charge, "10.70");
+  });
+
+  it("shop_rates ranks quotes and prepares the winner", async () => {
+    const shop = await h.call("shop_rates", {
+      recipient: domesticShipment().recipient,
+      products: [{ weight: 2 }],
+      strategy: "cheapest",
+      prepare_shipment: true,
+    });
+    assert.equal(shop.isError, false);
+    assert.equal(shop.chosen.carrier, "fedex");
+    assert.equal(shop.chosen.service_code, "FEDEX_GROUND");
+    assert.equal(shop.create_shipment.service_code, "FEDEX_GROUND");
+    assert.ok(shop.create_shipment.confirmation_token);
+
+    for (const ship_date of ["tomorrow", "2026-13-45"]) {
+      const bad = await h.call("shop_rates", { recipient: domesticShipment().recipient, products: [{ weight: 2 }], ship_date });
+      assert.equal(bad.error.code, "validation");
+    }
+  });
+
+  it("create_shipment needs a dry run, buys once and replays repeats", async () => {
+    const refused = await h.call("create_shipment", domesticShipment({ order_reference: "E2E-1" }));
+    assert.equal(refused.isError, true);
+    assert.match(refused.error.message, /confirmation_token is required/);
+
+    const preview = await h.call("create_shipment", domesticShipment({ order_reference: "E2E-1", dry_run: true }));
+    assert.equal(preview.status, "preview");
+    assert.equal(preview.valid, true);
+    assert.equal(preview.estimated_cost.total, 11.14);
+    assert.equal(h.mock.requests.filter((r) => r.endpoint === "label_api/create_shipment.php").length, 0);
+
+    const bought = await h.call("create_shipment", domesticShipment({ order_reference: "E2E-1", confirmation_token: preview.confirmation_token }));
+    assert.equal(bought.isError, false);
+    assert.equal(bought.status, "success");
+    assert.match(bought.tracking_number, /^7700000000\d{5}$/);
+
+    const repeat = await h.call("create_shipment", domesticShipment({ order_reference: "E2E-1", confirmation_token: preview.confirmation_token }));
+    assert.equal(repeat.idempotent_replay, true);
+    assert.equal(repeat.tracking_number, bought.tracking_number);
+    assert.equal(h.mock.requests.filter((r) => r.endpoint === "label_api/create_shipment.php").length, 1);
+  });
+
+  it("create_shipment reports a carrier rejection", async () => {
+    const shipment = domesticShipment({ order_reference: "E2E-BAD", recipient: { ...domesticShipment().recipient, postal: "00000" }, skip_address_validation: true });
+    const preview = await h.call("create_shipment", { ...shipment, dry_run: true });
+    const result = await h.call("create_shipment", { ...shipment, confirmation_token: preview.confirmation_token });
+    assert.equal(result.isError, true);
+    assert.equal(result.error.code, "carrier_rejected");
+    assert.equal(result.error.message, "Invalid recipient postal code");
+  });
+
+  it("cancel_shipment needs a confirmation token", async () => {
+    const preview = await h.call("cancel_shipment", { shipment_id: 1007, dry_run: true });
+    assert.equal(preview.status, "preview");
+    h.mock.fail({ endpoint: "cancel_api/", type: "server_error", times: 1 });
+    const failed = await h.call("cancel_shipment", { shipment_id: 1007, confirmation_token: preview.confirmation_token });
+    assert.equal(failed.error.code, "upstream_unavailable");
+
+    const cancelled = await h.call("cancel_shipment", { shipment_id: 1007, confirmation_token: preview.confirmation_token });
+    assert.equal(cancelled.isError, false);
+    assert.equal(h.mock.state.shipments.find((s) => s.shipment_id === 1007).status, "cancelled");
+
+    const again = await h.call("cancel_shipment", { shipment_id: 1007, confirmation_token: preview.confirmation_token });
+    assert.equal(again.isError, true);
+    assert.equal(h.mock.requests.filter((r) => r.endpoint === "cancel_api/delete_shipment.php").length, 2);
+  });
+
+  it("create_shipments_batch validates, quotes and buys every row", async () => {
+    const orders = ["B-1", "B-2", "B-3"].map((order_reference) => ({ order_reference, recipient: domesticShipment().recipient, products: [{ weight: 1 }] }));
+    const shipper = { name: "Main Warehouse", address1: "350 5th Ave", city: "New York", state: "NY", postal: "10118", country: "US" };
+    const args = { orders, carrier_id: 2, service_code: "03", shipper };
+    const dry = await h.call("create_shipments_batch", { ...args, dry_run: true });
+    assert.equal(dry.isError, false);
+    assert.equal(dry.rows.length, 3);
+    assert.ok(dry.rows.every((r) => r.status === "ok"));
+
+    const run = await h.call("create_shipments_batch", { ...args, confirmation_token: dry.confirmation_token });
+    assert.equal(run.rows.filter((r) => r.status === "created").length, 3);
+    assert.ok(run.rows.every((r) => r.tracking_number.startsWith("1Z")));
+  });
+
+  it("create_return_label swaps the addresses of the original", async () => {
+    const args = { shipment_id: 1001, items: [{ product: "Coffee Mug", quantity: 1, reason: "damaged" }] };
+    const preview = await h.call("create_return_label", { ...args, dry_run: true });
+    assert.equal(preview.isError, false);
+    assert.equal(preview.meta.t_city, "New York");
+    assert.equal(preview.meta.s_city, "Los Angeles");
+    assert.equal(preview.service_code, "FEDEX_GROUND");
+
+    const label = await h.call("create_return_label", { ...args, confirmation_token: preview.confirmation_token });
+    assert.equal(label.isError, false);
+    assert.equal(label.return_of.order_id, "ORD-1001");
+
+    const original = await h.call("get_shipment", { id: "1001" });
+    assert.equal(original.returns.length, 1);
+    assert.equal(original.returns[0].tracking_number, label.tracking_number);
+
+    const twice = await h.call("create_return_label", { shipment_id: 1001, items: [{ product: "Coffee Mug", quantity: 1 }, { product: 0, quantity: 1 }], dry_run: true });
+    assert.equal(twice.error.code, "validation");
+    assert.match(twice.error.message, /only 0 of the 2 shipped are left/);
+    const rest = await h.call("create_return_label", { shipment_id: 1001, dry_run: true });
+    assert.deepEqual(rest.meta.products.map((p) => [p.prod_name, p.prod_quantity]), [["Coffee Mug", 1], ["T-Shirt", 3]]);
+  });
+
+  it("create_commercial_invoice writes an invoice for an international parcel", async () => {
+    const invoice = await h.call("create_commercial_invoice", {
+      shipper: { name: "Main Warehouse", address1: "350 5th Ave", city: "New York", state: "NY", postal: "10118", country: "US" },
+      recipient: { name: "Hans Müller", address1: "Friedrichstraße 10", city: "Berlin", state: "", postal: "10117", country: "DE" },
+      products: [{ name: "Coffee Mug", weight: 1.2, quantity: 2, price: 14, hs_code: "6912.00", origin_country: "US" }],
+      customs: { currency: "USD", reason_for_export: "sale" },
+    });
+    assert.equal(invoice.isError, false);
+    assert.ok(invoice.path.startsWith(h.dataDir));
+    assert.equal(invoice.declared_total, 28);
+    const [pdf] = invoice.attachments;
+    assert.equal(pdf.resource.mimeType, "application/pdf");
+    assert.equal(Buffer.from(pdf.resource.blob, "base64").subarray(0, 5).toString(), "%PDF-");
+
+    const noCurrency = await h.call("create_commercial_invoice", {
+      shipper: { name: "Main Warehouse", address1: "350 5th Ave", city: "New York", state: "NY", postal: "10118", country: "US" },
+      recipient: { name: "Hans Müller", address1: "Friedrichstraße 10", city: "Berlin", state: "", postal: "10117", country: "DE" },
+      products: [{ name: "Coffee Mug", weight: 1.2, quantity: 2, price: 14, hs_code: "6912.00", origin_country: "US" }],
+      customs: { reason_for_export: "sale" },
+    });
+    assert.equal(noCurrency.error.code, "validation");
+    assert.match(noCurrency.error.message, /customs.currency is required/);
+
+    const domestic = await h.call("create_commercial_invoice", {
+      shipper: { name: "Main Warehouse", address1: "350 5th Ave", city: "New York", state: "NY", postal: "10118", country: "US" },
+      recipient: domesticShipment().recipient,
+      products: [{ name: "Coffee Mug", weight: 1.2 }],
+      customs: {},
+    });
+    assert.equal(domestic.status, "not_required");
+    assert.equal(domestic.path, undefined);
+  });
+
+  it("validate_address normalizes and flags problems offline", async () => {
+    const ok = await h.call("validate_address", { address1: "456 Oak Ave", city: "Los Angeles", state: "California", postal: "90001", country: "United States" });
+    assert.equal(ok.valid, true);
+    assert.equal(ok.address.state, "CA");
+    assert.equal(ok.address.country, "US");
+
+    const older = await h.call("validate_address", { address1: "12 MG Road", city: "Bhubaneswar", state: "OD", postal: "751001", country: "IN" });
+    assert.equal(older.address.state, "OR");
+    assert.match(older.warnings.find((w) => w.field === "state").message, /replaced by its current code OR/);
+
+    const bad = await h.call("validate_address", { address1: "456 Oak Ave", city: "Los Angeles", state: "CA", postal: "ABCDE", country: "US" });
+    assert.equal(bad.valid, false);
+    assert.ok(bad.errors.some((e) => e.field === "postal"));
+  });
+
+  it("pack_products packs items into catalog boxes", async () => {
+    const packed = await h.call("pack_products", { products: [{ name: "Coffee Mug", weight: 1.2, quantity: 6, length: 6, width: 5, height: 5 }] });
+    assert.equal(packed.isError, false);
+    assert.equal(packed.catalog.source, "default");
+    assert.equal(packed.packages.reduce((n, p) => n + p.contents[0].quantity, 0), 6);
+  });
+
+  it("get_audit_log shows the calls that changed something", async () => {
+    const log = await h.call("get_audit_log", { tool: "create_shipment" });
+    assert.equal(log.isError, false);
+    assert.deepEqual(log.entries.map((e) => e.status).sort(), ["error", "error", "success", "success"]);
+
+    const cancel = await h.call("get_audit_log", { tool: "cancel_shipment", status: "success" });
+    assert.equal(cancel.count, 1);
+    assert.equal(cancel.entries[0].shipment_id, 1007);
+  });
+
+  it("create_shipment buys once when identical calls race", async () => {
+    const shipment = domesticShipment({ order_reference: "E2E-RACE" });
+    const preview = await h.call("create_shipment", { ...shipment, dry_run: true });
+    const results = await Promise.all([1, 2].map(() => h.call("create_shipment", { ...shipment, confirmation_token: preview.confirmation_token })));
+    // The loser either sees the purchase in progress or replays its result.
+    assert.equal(results.filter((r) => !r.isError && !r.idempotent_replay).length, 1);
+    assert.ok(results.every((r) => !r.isError || r.error.code === "conflict"));
+    assert.equal(h.mock.requests.filter((r) => r.endpoint === "label_api/create_shipment.php" && r.body.meta.order_id === "E2E-RACE").length, 1);
+  });
+
+  it("create_shipment replays the whole result of an international purchase", async () => {
+    const shipment = domesticShipment({
+      order_reference: "E2E-INTL",
+      recipient: { name: "Hans Müller", address1: "Friedrichstraße 10", city: "Berlin", state: "", postal: "10117", country: "DE", phone: "+49301234567" },
+      products: [{ name: "Coffee Mug", weight: 1.2, quantity: 2, price: 14, hs_code: "6912.00", origin_country: "US" }],
+      customs: { currency: "USD", reason_for_export: "sale" },
+    });
+    let listChanged = 0;
+    h.client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+      listChanged++;
+    });
+    const preview = await h.call("create_shipment", { ...shipment, dry_run: true });
+    assert.equal(listChanged, 0);
+    const bought = await h.call("create_shipment", { ...shipment, confirmation_token: preview.confirmation_token });
+    assert.equal(bought.isError, false);
+    assert.equal(listChanged, 1);
+    assert.ok(bought.commercial_invoice.path.endsWith(".pdf"));
+    assert.equal(bought.attachments[0].resource.mimeType, "application/pdf");
+
+    const repeat = await h.call("create_shipment", { ...shipment, confirmation_token: preview.confirmation_token });
+    assert.equal(repeat.idempotent_replay, true);
+    assert.equal(listChanged, 1);
+    assert.deepEqual(repeat.estimated_cost, bought.estimated_cost);
+    assert.deepEqual(repeat.commercial_invoice, bought.commercial_invoice);
+    assert.equal(repeat.attachments[0].resource.blob, bought.attachments[0].resource.blob);
+  });
+});